@@ -2,16 +2,24 @@
 //   Integrates Hubot with Ollama for local LLM interactions
 //
 // Configuration:
-//   HUBOT_OLLAMA_MODEL - The Ollama model to use (default: llama3.2)
-//   HUBOT_OLLAMA_HOST - Ollama server host (default: http://127.0.0.1:11434)
-//   HUBOT_OLLAMA_API_KEY - API key for Ollama cloud (optional, for use with https://ollama.com)
+//   HUBOT_OLLAMA_MODEL - The Ollama model to use, or an ordered comma-separated fallback chain like `qwen3:32b,llama3.2` (default: llama3.2)
+//   HUBOT_OLLAMA_HOST - Ollama server host, or a comma-separated list of hosts in priority order; each may carry its own API key as `url|key` (default: http://127.0.0.1:11434)
+//   HUBOT_OLLAMA_API_KEY - API key for Ollama cloud (optional, for use with https://ollama.com; default for hosts without their own key)
+//   HUBOT_OLLAMA_HOST_STRATEGY - How requests are spread across multiple hosts: 'priority' (default, first healthy host) or 'round-robin'
+//   HUBOT_OLLAMA_HEALTH_CHECK_INTERVAL_MS - How often multiple hosts are pinged to detect outages and recoveries (default: 30000, 0 to disable)
 //   HUBOT_OLLAMA_SYSTEM_PROMPT - Custom system prompt (optional)
 //   HUBOT_OLLAMA_MAX_PROMPT_CHARS - Max user prompt length before truncation (default: 2000)
-//   HUBOT_OLLAMA_TIMEOUT_MS - Max time in ms before aborting request (default: 60000)
+//   HUBOT_OLLAMA_TIMEOUT_MS - Max time in ms to wait for each model before falling back (default: 60000)
 //   HUBOT_OLLAMA_TOOLS_ENABLED - Enable tool support (two-call workflow): true/false/1/0 (default: true)
 //   HUBOT_OLLAMA_CONTEXT_TTL_MS - Time in ms to maintain conversation context (default: 600000 / 10 minutes, set to 0 to disable)
-//   HUBOT_OLLAMA_CONTEXT_TURNS - Number of recent turns to keep in context (default: 5)
+//   HUBOT_OLLAMA_GC_INTERVAL_MS - How often expired contexts and leftover tool state are removed from the brain (default: 3600000 / 1 hour, 0 to disable)
+//   HUBOT_OLLAMA_SUMMARY_MODEL - Model that condenses older conversation turns, e.g. a small fast one (default: the conversation's model)
+//   HUBOT_OLLAMA_SUMMARY_PROMPT - System prompt for condensing older turns; `{maxChars}` is replaced with HUBOT_OLLAMA_SUMMARY_MAX_CHARS (optional)
+//   HUBOT_OLLAMA_SUMMARY_MAX_CHARS - Target length of the conversation summary (default: 600)
+//   HUBOT_OLLAMA_NUM_CTX - Context window in tokens requested from Ollama (num_ctx) and used to budget the prompt (default: 4096, or the model's context length if smaller)
+//   HUBOT_OLLAMA_MAX_NUM_CTX - Largest context window `--ctx` may ask for; the model's context length caps it too (default: 32768)
 //   HUBOT_OLLAMA_CONTEXT_SCOPE - Scope for conversation context: 'room-user' (default), 'room', or 'thread'. When set to 'thread', replies are always sent to threads.
+//   HUBOT_OLLAMA_THREAD_BACKFILL_LIMIT - With the 'thread' scope on Slack, how many earlier thread messages are read when the bot is first asked inside a thread (default: 50, 0 to disable)
 //   HUBOT_OLLAMA_WEB_ENABLED - Enable web-assisted workflow (default: false)
 //   HUBOT_OLLAMA_WEB_MAX_RESULTS - Max webSearch results to use (default: 5, max capped at 10)
 //   HUBOT_OLLAMA_WEB_FETCH_CONCURRENCY - Parallel fetch concurrency (default: 3)
@@ -20,14 +28,51 @@
 //   HUBOT_OLLAMA_RESPOND_TO_ADDRESSED_FALLBACK - Enable fallback replies for addressed messages when no other listener matches (default: false)
 //   HUBOT_OLLAMA_AMBIENT_CONTEXT - Passively capture recent room messages as background context for answers (default: false)
 //   HUBOT_OLLAMA_AMBIENT_CONTEXT_SIZE - Number of recent ambient messages to retain per room (default: 10)
+//   HUBOT_OLLAMA_AMBIENT_ROOMS - Comma-separated room IDs to capture ambient messages in (default: every room)
+//   HUBOT_OLLAMA_AMBIENT_EXCLUDE_ROOMS - Comma-separated room IDs never to capture ambient messages in
+//   HUBOT_OLLAMA_ROOM_TOOLS - JSON of tool rules keyed by room ID, e.g. `{"*":{"deny":["hubot_ollama_run_command"]},"C0OPS":{"allow":["*"]}}`; `*` as a key applies to rooms without a rule (default: every tool everywhere)
+//   HUBOT_OLLAMA_TOOL_CONCURRENCY - Max tool calls from one model turn that run at the same time (default: 4, 1 to run them one by one)
 //   HUBOT_OLLAMA_COMMAND_TOOL_ENABLED - Allow the LLM to invoke other Hubot commands on the user's behalf (default: false)
 //   HUBOT_OLLAMA_MEMORY_ENABLED - Allow the LLM to save/recall persistent memories via robot.brain (default: true)
 //   HUBOT_OLLAMA_MEMORY_MAX_ENTRIES - Max memory entries per context scope before least-recently-accessed eviction (default: 200)
 //   HUBOT_OLLAMA_MEMORY_MAX_CONTENT_CHARS - Max characters stored per memory entry (default: 4000)
 //   HUBOT_OLLAMA_MEMORY_MAX_SUMMARY_CHARS - Max characters for a memory's summary (default: 200)
+//   HUBOT_OLLAMA_STREAM_ENABLED - Stream answers as they are generated: edits one message in place on Slack, paragraph chunks elsewhere (default: false)
+//   HUBOT_OLLAMA_STREAM_UPDATE_INTERVAL_MS - Minimum time between streamed Slack message edits (default: 1000)
+//   HUBOT_OLLAMA_SCHEMAS_FILE - Path to a JSON file of named JSON schemas for `ask --json <schema-name>` (optional)
+//   HUBOT_OLLAMA_THINKING_DISPLAY - Default for showing reasoning from thinking models: 'thread' (Slack thread reply), 'inline', or 'hide' (default: hide)
+//   HUBOT_OLLAMA_IMAGE_MAX_BYTES - Largest Slack image attachment passed to vision models (default: 5242880 / 5 MB)
+//   HUBOT_OLLAMA_IMAGE_MAX_COUNT - Max images passed per prompt, 0 to ignore attachments (default: 4)
+//   HUBOT_OLLAMA_CAPABILITY_TTL_MS - How long a model's probed capabilities are reused before re-probing (default: 3600000 / 1 hour)
 //
 // Commands:
 //   hubot ask <prompt> - Ask Ollama a question
+//   hubot ask --json <schema-name> <prompt> - Extract structured JSON matching a registered schema
+//   hubot ask [--model <name>] [--temp <0-2>] [--seed <n>] [--ctx <tokens>] [--no-tools] [--no-context] [--web] <prompt> - Ask with per-request settings
+//   hubot ollama model - Show the model used in this room
+//   hubot ollama model [me] <name> - Pin a model for this room (admins only with hubot-auth) or only for you with `me`
+//   hubot ollama model [me] reset - Go back to the default model (HUBOT_OLLAMA_MODEL); the room's pin is admins only with hubot-auth
+//   hubot ollama models - List models installed on the Ollama host
+//   hubot ollama tools - Show which tools the model is offered in this room
+//   hubot ollama tools allow|deny <a,b> - Offer only these tools in this room, or every tool but these (names may end in `*`; admins only with hubot-auth)
+//   hubot ollama tools reset - Go back to HUBOT_OLLAMA_ROOM_TOOLS for this room
+//   hubot ollama schemas - List the schemas available to `ask --json`
+//   hubot ollama hosts - Show each configured Ollama host's health and latency
+//   hubot ollama thinking [thread|inline|hide|reset] - Show or set how reasoning from thinking models is shown in this room
+//   hubot ollama persona - Show the persona active in this room
+//   hubot ollama persona list - List the saved personas
+//   hubot ollama persona add <name> [--model <name>] [--tools <a,b>] [--trigger <word>] <system prompt> - Save a persona (replaces one with the same name; admins only with hubot-auth)
+//   hubot ollama persona remove <name> - Delete a persona (admins only with hubot-auth)
+//   hubot ollama persona use <name|none> - Answer as a persona in this room, or go back to the default prompt
+//   hubot <trigger> <prompt> - Ask the persona with that trigger word, e.g. `hubot coder <prompt>`
+//   hubot ollama forget - Clear the conversation context the bot keeps for you here
+//   hubot ollama forget all - Clear every conversation context that belongs to you
+//   hubot ollama context - Show what the bot remembers of this conversation (only to you on Slack)
+//   hubot ollama export [markdown|json] - Export this conversation's history, summary and memories as a transcript
+//   hubot ollama catchup [N|since <duration>] - Summarize recent room conversation: decisions, open questions and action items (e.g. `since 2h`)
+//   hubot ollama ambient - Show whether room messages are captured as background context here
+//   hubot ollama ambient optout - Stop capturing your room messages as background context (`optin` to undo)
+//   hubot ollama gc - Remove expired conversation contexts and leftover tool state from the brain now (admins only with hubot-auth)
 //
 
 /** @typedef {import('ollama').Message} OllamaMessage */
@@ -37,34 +82,79 @@
 
 const { Ollama } = require('ollama');
 
-const registry = require('./tool-registry');
+const sharedSchemaRegistry = require('./schema-registry');
+const sharedToolRegistry = require('./tool-registry');
 const createHubotCommandTool = require('./tools/hubot-command-tool');
 const createHubotHelpTool = require('./tools/hubot-help-tool');
 const createJavaScriptReplTool = require('./tools/javascript-repl-tool');
 const createMemoryTool = require('./tools/memory-tool');
 const createWebFetchTool = require('./tools/web-fetch-tool');
 const createWebSearchTool = require('./tools/web-search-tool');
+const { createTokenCalibration, estimateMessageTokens, fitContext, splitForSummary } = require('./utils/context-budget');
+const { createHostPool, isConnectionError, parseHosts } = require('./utils/host-pool');
 const { applyLoggerShims } = require('./utils/hubot-compat');
-const { getAdapterType, sanitizeText, sanitizeSlackBroadcasts, detectPromptInjection, getExistingSlackThread, getSlackThreadTs } = require('./utils/ollama-utils');
+const { coerceToSchema, validateJsonSchema } = require('./utils/json-schema');
+const { estimateTokens, formatBytes, formatDuration, parseDuration, mapWithConcurrency, getAdapterType, parseModelCapabilities, splitThinking, truncate, sanitizeText, sanitizeSlackBroadcasts, detectPromptInjection, redactSecrets, getExistingSlackThread, getSlackThreadTs } = require('./utils/ollama-utils');
+const { flagUsage, parsePromptFlags } = require('./utils/prompt-flags');
+const { createResponseStream } = require('./utils/response-stream');
 const { convertToSlackFormat } = require('./utils/slack-formatter');
+const { fetchChannelMessages, fetchThreadMessages } = require('./utils/slack-history');
+const { downloadSlackImages, findSlackImageFiles } = require('./utils/slack-images');
+const { DEFAULT_RULE_KEY, filterToolsForRoom, normalizeToolRule, parseToolRules } = require('./utils/tool-policy');
+const { chunkText, renderJson, renderMarkdown } = require('./utils/transcript');
 
 module.exports = (robot) => {
   // Ensure logger compatibility for both old and new Hubot versions
   applyLoggerShims(robot.logger);
+
+  // Tools and structured-output schemas of this robot; each also offers what is
+  // registered on the shared default registry
+  const registry = sharedToolRegistry.createToolRegistry({ inherit: sharedToolRegistry });
+  const schemaRegistry = sharedSchemaRegistry.createSchemaRegistry({ inherit: sharedSchemaRegistry });
+  robot.ollama = { ...(robot.ollama || {}), tools: registry, schemas: schemaRegistry };
+
   const DEFAULT_MODEL = 'llama3.2';
   const RAW_MODEL = process.env.HUBOT_OLLAMA_MODEL || DEFAULT_MODEL;
   const MODEL_NAME_ALLOWED = /^[a-z0-9._:-]+$/i;
-  const selectedModel = MODEL_NAME_ALLOWED.test(RAW_MODEL) ? RAW_MODEL : DEFAULT_MODEL;
+  // HUBOT_OLLAMA_MODEL may be an ordered, comma-separated fallback chain; invalid entries are dropped
+  const CONFIGURED_MODELS = RAW_MODEL.split(',').map(name => name.trim()).filter(name => MODEL_NAME_ALLOWED.test(name));
+  const selectedModel = CONFIGURED_MODELS[0] || DEFAULT_MODEL;
+  const FALLBACK_MODELS = CONFIGURED_MODELS.slice(1);
 
   const MAX_PROMPT_CHARS = Number.parseInt(process.env.HUBOT_OLLAMA_MAX_PROMPT_CHARS || '2000', 10);
   const TIMEOUT_MS = Number.parseInt(process.env.HUBOT_OLLAMA_TIMEOUT_MS || '60000', 10);
   const CONTEXT_TTL_MS = Number.parseInt(process.env.HUBOT_OLLAMA_CONTEXT_TTL_MS || '600000', 10); // 10 minutes default
-  const CONTEXT_TURNS = Math.max(1, Number.parseInt(process.env.HUBOT_OLLAMA_CONTEXT_TURNS || '5', 10));
-  const KEEP_RAW_TURNS = 2; // Number of recent turns to keep verbatim (not configurable)
+  // Prompts are budgeted in tokens against the model's context window (see utils/context-budget)
+  const NUM_CTX = Math.max(0, Number.parseInt(process.env.HUBOT_OLLAMA_NUM_CTX || '0', 10) || 0) || null;
+  const DEFAULT_CONTEXT_WINDOW = 4096; // Ollama's own default; models often support far more than it loads
+  // Largest `--ctx` a chat user may ask for: a big window means a big KV cache on the host
+  const MAX_NUM_CTX = Math.max(256, Number.parseInt(process.env.HUBOT_OLLAMA_MAX_NUM_CTX || '32768', 10) || 32768);
+  const RESPONSE_RESERVE_SHARE = 0.2; // Share of the window kept free for the answer
+  const MIN_RESPONSE_TOKENS = 256;
+  const HISTORY_SHARE = 0.5; // Stored history beyond this share of the window is summarized
+  const MAX_STORED_TURNS = 50; // Backstop for when summarization keeps failing (not configurable)
+  const MIN_TOOL_RESULT_CHARS = 800; // Even a full context window gets this much of a tool result
+  const EXPORT_CHUNK_CHARS = 3000; // Transcript piece size for adapters that can't take a file
+  const CATCHUP_DEFAULT_MESSAGES = 50;
+  const CATCHUP_MAX_MESSAGES = 200;
+  const RAW_SUMMARY_MODEL = (process.env.HUBOT_OLLAMA_SUMMARY_MODEL || '').trim();
+  const SUMMARY_MODEL = MODEL_NAME_ALLOWED.test(RAW_SUMMARY_MODEL) ? RAW_SUMMARY_MODEL : null;
+  const SUMMARY_MAX_CHARS = Math.max(100, Number.parseInt(process.env.HUBOT_OLLAMA_SUMMARY_MAX_CHARS || '600', 10) || 600);
+  const DEFAULT_SUMMARY_PROMPT = `You are summarizing a chat conversation for a future assistant.
+Preserve facts, decisions, user preferences, constraints, and unresolved questions.
+Do NOT include small talk, greetings, or filler.
+Do NOT speculate or add new information.
+Write in plain, compact sentences.
+IMPORTANT: Keep the summary under {maxChars} characters.`;
   const RAW_SCOPE = (process.env.HUBOT_OLLAMA_CONTEXT_SCOPE || 'room-user').toLowerCase();
   const CONTEXT_SCOPE = (['room', 'room-user', 'thread'].includes(RAW_SCOPE)) ? RAW_SCOPE : 'room-user';
   const TOOLS_ENABLED = /^1|true|yes$/i.test(process.env.HUBOT_OLLAMA_TOOLS_ENABLED || 'true');
   const WEB_ENABLED = /^1|true|yes$/i.test(process.env.HUBOT_OLLAMA_WEB_ENABLED || '');
+  const DEFAULT_HOST = 'http://127.0.0.1:11434';
+  const RAW_HOST_STRATEGY = (process.env.HUBOT_OLLAMA_HOST_STRATEGY || 'priority').toLowerCase();
+  const HOST_STRATEGY = (['priority', 'round-robin'].includes(RAW_HOST_STRATEGY)) ? RAW_HOST_STRATEGY : 'priority';
+  const HEALTH_CHECK_INTERVAL_MS = Math.max(0, Number.parseInt(process.env.HUBOT_OLLAMA_HEALTH_CHECK_INTERVAL_MS || '30000', 10) || 0);
+  const GC_INTERVAL_MS = Math.max(0, Number.parseInt(process.env.HUBOT_OLLAMA_GC_INTERVAL_MS || '3600000', 10) || 0);
   const HAS_WEB_API_KEY = Boolean(process.env.OLLAMA_API_KEY || process.env.HUBOT_OLLAMA_API_KEY);
   const WEB_MAX_RESULTS = Math.min(10, Math.max(1, Number.parseInt(process.env.HUBOT_OLLAMA_WEB_MAX_RESULTS || '5', 10)));
   const WEB_FETCH_CONCURRENCY = Math.max(1, Number.parseInt(process.env.HUBOT_OLLAMA_WEB_FETCH_CONCURRENCY || '3', 10));
@@ -73,11 +163,28 @@ module.exports = (robot) => {
   const RESPOND_TO_ADDRESSED_FALLBACK = /^(?:1|true|yes)$/i.test(process.env.HUBOT_OLLAMA_RESPOND_TO_ADDRESSED_FALLBACK || '');
   const AMBIENT_CONTEXT = /^(?:1|true|yes)$/i.test(process.env.HUBOT_OLLAMA_AMBIENT_CONTEXT || '');
   const AMBIENT_CONTEXT_SIZE = Math.max(1, Number.parseInt(process.env.HUBOT_OLLAMA_AMBIENT_CONTEXT_SIZE || '10', 10));
+  const parseRoomList = (value) => (value || '').split(',').map(room => room.trim().replace(/^#/, '').toLowerCase()).filter(Boolean);
+  const AMBIENT_ROOMS = parseRoomList(process.env.HUBOT_OLLAMA_AMBIENT_ROOMS);
+  const AMBIENT_EXCLUDE_ROOMS = parseRoomList(process.env.HUBOT_OLLAMA_AMBIENT_EXCLUDE_ROOMS);
+  // Keys other than `*` are room IDs, matched like the ambient room lists
+  const ROOM_TOOL_RULES = Object.fromEntries(Object.entries(parseToolRules(process.env.HUBOT_OLLAMA_ROOM_TOOLS, robot.logger))
+    .map(([room, rule]) => [room === DEFAULT_RULE_KEY ? room : parseRoomList(room)[0], rule]));
+  const THREAD_BACKFILL_LIMIT = Math.max(0, Number.parseInt(process.env.HUBOT_OLLAMA_THREAD_BACKFILL_LIMIT || '50', 10) || 0);
+  const TOOL_CONCURRENCY = Math.max(1, Number.parseInt(process.env.HUBOT_OLLAMA_TOOL_CONCURRENCY || '4', 10) || 1);
   const COMMAND_TOOL_ENABLED = /^(?:1|true|yes)$/i.test(process.env.HUBOT_OLLAMA_COMMAND_TOOL_ENABLED || '');
   const MEMORY_ENABLED = /^(?:1|true|yes)$/i.test(process.env.HUBOT_OLLAMA_MEMORY_ENABLED || 'true');
   const MEMORY_MAX_ENTRIES = Math.max(1, Number.parseInt(process.env.HUBOT_OLLAMA_MEMORY_MAX_ENTRIES || '200', 10));
   const MEMORY_MAX_CONTENT_CHARS = Math.max(1, Number.parseInt(process.env.HUBOT_OLLAMA_MEMORY_MAX_CONTENT_CHARS || '4000', 10));
   const MEMORY_MAX_SUMMARY_CHARS = Math.max(1, Number.parseInt(process.env.HUBOT_OLLAMA_MEMORY_MAX_SUMMARY_CHARS || '200', 10));
+  const STREAM_ENABLED = /^(?:1|true|yes)$/i.test(process.env.HUBOT_OLLAMA_STREAM_ENABLED || '');
+  const STREAM_UPDATE_INTERVAL_MS = Math.max(250, Number.parseInt(process.env.HUBOT_OLLAMA_STREAM_UPDATE_INTERVAL_MS || '1000', 10));
+  const CAPABILITY_TTL_MS = Math.max(0, Number.parseInt(process.env.HUBOT_OLLAMA_CAPABILITY_TTL_MS || '3600000', 10));
+  const THINKING_DISPLAY_MODES = ['thread', 'inline', 'hide'];
+  const RAW_THINKING_DISPLAY = (process.env.HUBOT_OLLAMA_THINKING_DISPLAY || 'hide').toLowerCase();
+  const DEFAULT_THINKING_DISPLAY = THINKING_DISPLAY_MODES.includes(RAW_THINKING_DISPLAY) ? RAW_THINKING_DISPLAY : 'hide';
+  const THINKING_MAX_CHARS = 3000; // Reasoning shown to users is capped; it can run far longer than the answer
+  const IMAGE_MAX_BYTES = Math.max(1, Number.parseInt(process.env.HUBOT_OLLAMA_IMAGE_MAX_BYTES || '5242880', 10));
+  const IMAGE_MAX_COUNT = Math.max(0, Number.parseInt(process.env.HUBOT_OLLAMA_IMAGE_MAX_COUNT || '4', 10));
 
   // Emoji used with compatible adapters to indicate processing state
   const REQUEST_THINKING_EMOJI = 'thought_balloon';
@@ -90,21 +197,67 @@ module.exports = (robot) => {
   // Not persisted — ambient context is intentionally ephemeral.
   const ambientBuffer = new Map();
 
-  const pushAmbient = (roomId, userName, text) => {
+  const pushAmbient = (roomId, userId, userName, text) => {
     if (!ambientBuffer.has(roomId)) ambientBuffer.set(roomId, []);
     const buf = ambientBuffer.get(roomId);
-    buf.push({ userName, text });
+    buf.push({ userId, userName, text, at: Date.now() });
     if (buf.length > AMBIENT_CONTEXT_SIZE) buf.shift();
   };
 
   const getAmbientMessages = (roomId) => ambientBuffer.get(roomId) || [];
 
+  // Rooms where ambient capture is allowed by HUBOT_OLLAMA_AMBIENT_ROOMS / _EXCLUDE_ROOMS
+  const isAmbientRoom = (roomId) => {
+    const room = String(roomId || '').toLowerCase();
+    if (AMBIENT_EXCLUDE_ROOMS.includes(room)) return false;
+    return AMBIENT_ROOMS.length === 0 || AMBIENT_ROOMS.includes(room);
+  };
+
+  // Users who opted out of ambient capture: { [userId]: optedOutAt }
+  const getAmbientOptOuts = () => robot.brain.get('ollamaAmbientOptOuts') || {};
+
+  // Drop everything a user said from every room's ambient buffer
+  const forgetAmbientUser = (userId) => {
+    let removed = 0;
+    ambientBuffer.forEach((buf, roomId) => {
+      const kept = buf.filter(m => m.userId !== userId);
+      removed += buf.length - kept.length;
+      ambientBuffer.set(roomId, kept);
+    });
+    return removed;
+  };
+
+  // Room history read from Slack (thread backfill, catchup) gets the same
+  // privacy controls as ambient capture: rooms ambient capture leaves out are
+  // never read, messages from people who opted out are dropped, and likely
+  // secrets are redacted. `read` returns the messages, or null when it can't.
+  const readRoomHistory = async (roomId, read) => {
+    if (!isAmbientRoom(roomId)) return [];
+    const messages = await read();
+    if (!messages) return messages;
+    const optOuts = getAmbientOptOuts();
+    return messages
+      .filter(m => !(m.userId && optOuts[m.userId]))
+      .map(m => ({ ...m, text: redactSecrets(m.text) }));
+  };
+
+  // Messages posted by bots (integrations, other Hubots) are never captured
+  const isBotMessage = (message) => {
+    const user = message.user || {};
+    const raw = message.rawMessage || {};
+    const event = raw.event || (raw.body && raw.body.event) || {};
+    return Boolean(
+      user.is_bot || (user.slack && user.slack.is_bot)
+      || raw.bot_id || raw.subtype === 'bot_message'
+      || event.bot_id || event.subtype === 'bot_message'
+    );
+  };
+
   // Build the complete default system prompt
-  const getDefaultInstructionPrompt = () => {
+  const getDefaultInstructionPrompt = (tools) => {
     // Core instructions
     let instructions = `You are a helpful chatbot for IRC/Slack-style chats. Keep responses under 512 characters. `;
     if (TOOLS_ENABLED) {
-      const tools = registry.getTools();
       instructions += "You MUST use any applicable tool from the list below:\n";
       Object.values(tools).forEach((t) => {
         instructions += `- '${t.name}': ${t.description} `;
@@ -131,8 +284,9 @@ module.exports = (robot) => {
     return instructions;
   };
 
-  // Build a per-request system prompt, optionally enriched with user/bot names
-  const buildSystemPrompt = (msg) => {
+  // Build a per-request system prompt, optionally enriched with user/bot names.
+  // A persona's prompt takes the place of the default or custom prompt.
+  const buildSystemPrompt = (msg, persona = null) => {
     const userName = (msg && msg.message && (msg.message.user.real_name || msg.message.user.name || msg.message.user.id)) || 'unknown-user';
     const botName = robot.name || adapterName || 'hubot';
     const hasCustom = Boolean(process.env.HUBOT_OLLAMA_SYSTEM_PROMPT);
@@ -141,29 +295,32 @@ module.exports = (robot) => {
       `System prompt context -> adapter=${adapterName || 'unknown'} user=${userName} bot=${botName} useCustomInstructions=${hasCustom} webEnabled=${WEB_ENABLED && HAS_WEB_API_KEY}`
     );
 
-    if (hasCustom) {
+    if (persona || hasCustom) {
       // For custom prompts, prepend user/bot names to the custom instructions
       // Timestamp is now available via hubot_ollama_get_current_time tool
       const baseFacts = `User's Name: ${userName} | Bot's Name: ${botName}`;
-      return `${baseFacts} | ${process.env.HUBOT_OLLAMA_SYSTEM_PROMPT}`;
+      return `${baseFacts} | ${persona ? persona.systemPrompt : process.env.HUBOT_OLLAMA_SYSTEM_PROMPT}`;
     }
 
     // Use default prompt with names appended
-    const defaultPrompt = getDefaultInstructionPrompt();
+    const defaultPrompt = getDefaultInstructionPrompt(getToolsFor(msg));
     return `${defaultPrompt} | User's Name: ${userName} | Bot's Name: ${botName}`;
-  };  // Initialize Ollama client
-  const ollamaConfig = {
-    host: process.env.HUBOT_OLLAMA_HOST || 'http://127.0.0.1:11434'
   };
 
-  // Add API key header if provided (for Ollama cloud)
-  if (process.env.HUBOT_OLLAMA_API_KEY) {
-    ollamaConfig.headers = {
-      Authorization: `Bearer ${process.env.HUBOT_OLLAMA_API_KEY}`
-    };
-  }
+  // Initialize one Ollama client per configured host. `ollama` is the pool's
+  // client facade: calls go to a healthy host and fail over on connection errors.
+  const configuredHosts = parseHosts(process.env.HUBOT_OLLAMA_HOST || DEFAULT_HOST, process.env.HUBOT_OLLAMA_API_KEY);
+  const hostPool = createHostPool(configuredHosts.length > 0 ? configuredHosts : parseHosts(DEFAULT_HOST, process.env.HUBOT_OLLAMA_API_KEY), {
+    createClient: (config) => new Ollama(config),
+    strategy: HOST_STRATEGY,
+    logger: robot.logger
+  });
+  const ollama = hostPool.client;
 
-  const ollama = new Ollama(ollamaConfig);
+  // Background health checks only matter when there is another host to fail over to
+  if (hostPool.size > 1) {
+    hostPool.start(HEALTH_CHECK_INTERVAL_MS);
+  }
 
   // Register help tool (always available — no feature gate required)
   const hubotHelpTool = createHubotHelpTool(null, {}, robot.logger);
@@ -181,6 +338,7 @@ module.exports = (robot) => {
     registry.registerTool(hubotCommandTool.name, {
       description: hubotCommandTool.description,
       parameters: hubotCommandTool.parameters,
+      parallelSafe: hubotCommandTool.parallelSafe,
       handler: hubotCommandTool.handler
     });
     robot.logger.debug('Registered Hubot command tool');
@@ -209,6 +367,8 @@ module.exports = (robot) => {
     registry.registerTool(webSearchTool.name, {
       description: webSearchTool.description,
       parameters: webSearchTool.parameters,
+      maxCallsPerInteraction: webSearchTool.maxCallsPerInteraction,
+      isEmptyResult: webSearchTool.isEmptyResult,
       handler: webSearchTool.handler
     });
     robot.logger.debug('Registered web search tool');
@@ -217,6 +377,8 @@ module.exports = (robot) => {
     registry.registerTool(webFetchTool.name, {
       description: webFetchTool.description,
       parameters: webFetchTool.parameters,
+      maxCallsPerInteraction: webFetchTool.maxCallsPerInteraction,
+      isEmptyResult: webFetchTool.isEmptyResult,
       handler: webFetchTool.handler
     });
     robot.logger.debug('Registered web fetch tool');
@@ -228,15 +390,36 @@ module.exports = (robot) => {
     robot.logger.debug(`Skipping web tool registration: ${reasons.join(', ')}`);
   }
 
+  // Load named schemas for structured output; scripts can also register their own
+  if (process.env.HUBOT_OLLAMA_SCHEMAS_FILE) {
+    try {
+      const names = schemaRegistry.loadSchemasFromFile(process.env.HUBOT_OLLAMA_SCHEMAS_FILE);
+      robot.logger.debug(`Loaded ${names.length} schema(s) from ${process.env.HUBOT_OLLAMA_SCHEMAS_FILE}`);
+    } catch (err) {
+      robot.logger.error(`Could not load schemas from ${process.env.HUBOT_OLLAMA_SCHEMAS_FILE}: ${err.message}`);
+    }
+  }
+
+  if (RAW_SUMMARY_MODEL && !SUMMARY_MODEL) {
+    robot.logger.warn(`Ignoring invalid HUBOT_OLLAMA_SUMMARY_MODEL "${RAW_SUMMARY_MODEL}"; summaries use the conversation's model`);
+  }
+
   // Initialize conversation context storage in robot.brain
   if (!robot.brain.get('ollamaContexts')) {
     robot.brain.set('ollamaContexts', {});
   }
 
+  // Initialize per-room/per-user model overrides in robot.brain
+  if (!robot.brain.get('ollamaModelOverrides')) {
+    robot.brain.set('ollamaModelOverrides', { rooms: {}, users: {} });
+  }
+
   // Initialize in-memory lock for summarization (not persisted)
   const summarizationInProgress = {};
 
-  // Get conversation context key for a user in a room
+  // ollamaFetchedUrls keys of interactions still running in this process;
+  // any other key was left behind by an interaction that never cleaned up
+  const activeInvocations = new Set();
 
   // Extract user information from message, with fallback options
   const getUserInfo = (msg) => {
@@ -266,8 +449,124 @@ module.exports = (robot) => {
     };
   };
 
-  // Asynchronous summarization of old conversation turns
-  const summarizeContext = async (contextKey) => {
+  const getModelOverrides = () => {
+    const overrides = robot.brain.get('ollamaModelOverrides') || {};
+    overrides.rooms = overrides.rooms || {};
+    overrides.users = overrides.users || {};
+    return overrides;
+  };
+
+  // Per-room display of model reasoning; rooms without a setting use HUBOT_OLLAMA_THINKING_DISPLAY
+  const getThinkingDisplaySettings = () => {
+    const settings = robot.brain.get('ollamaThinkingDisplay') || {};
+    settings.rooms = settings.rooms || {};
+    return settings;
+  };
+
+  const resolveThinkingDisplay = (msg) => {
+    const roomId = (msg && msg.message && msg.message.room) || 'direct';
+    const stored = getThinkingDisplaySettings().rooms[roomId];
+    return THINKING_DISPLAY_MODES.includes(stored) ? stored : DEFAULT_THINKING_DISPLAY;
+  };
+
+  // Named personas (system prompt, model, tool allowlist, trigger word) and the
+  // persona selected in each room
+  const PERSONA_NAME_ALLOWED = /^[a-z0-9._-]+$/i;
+  const RESERVED_TRIGGERS = ['ask', 'llm', 'ollama'];
+
+  const getPersonaSettings = () => {
+    const settings = robot.brain.get('ollamaPersonas') || {};
+    settings.personas = settings.personas || {};
+    settings.rooms = settings.rooms || {};
+    return settings;
+  };
+
+  const getPersona = (name) => getPersonaSettings().personas[String(name || '').toLowerCase()] || null;
+
+  // A trigger word may not shadow something the robot already answers to: our
+  // own commands, a command on robot.commands (such as `help`), or a listener
+  // of another script that matches `hubot <trigger> ...`
+  const isTriggerTaken = (trigger) => {
+    if (RESERVED_TRIGGERS.includes(trigger)) return true;
+    if (robot.commands && typeof robot.commands.getCommand === 'function' && robot.commands.getCommand(trigger)) return true;
+    const samples = [`${robot.name} ${trigger}`, `${robot.name} ${trigger} something`];
+    return robot.listeners.some(listener => listener.regex instanceof RegExp
+      && samples.some(text => listener.regex.test(text)));
+  };
+
+  const findPersonaByTrigger = (word) => {
+    const trigger = String(word || '').toLowerCase();
+    return Object.values(getPersonaSettings().personas).find(persona => persona.trigger === trigger) || null;
+  };
+
+  // The persona selected for the message's room, if it still exists
+  const resolvePersona = (msg) => {
+    const roomId = (msg && msg.message && msg.message.room) || 'direct';
+    return getPersona(getPersonaSettings().rooms[roomId]);
+  };
+
+  // Tool rules saved per room with `ollama tools allow|deny`
+  const getToolRuleSettings = () => {
+    const settings = robot.brain.get('ollamaToolRules') || {};
+    settings.rooms = settings.rooms || {};
+    return settings;
+  };
+
+  // A room's saved rule replaces its HUBOT_OLLAMA_ROOM_TOOLS rule
+  const getRoomToolRule = (roomId) => normalizeToolRule(getToolRuleSettings().rooms[roomId])
+    || ROOM_TOOL_RULES[parseRoomList(roomId)[0]]
+    || null;
+
+  // Registered tools the model may use for a message: the room's rules apply
+  // first, then a persona's allowlist when it has one
+  const getToolsFor = (msg, persona = null) => {
+    const roomId = (msg && msg.message && msg.message.room) || 'direct';
+    const tools = filterToolsForRoom(registry.getTools(), getRoomToolRule(roomId), ROOM_TOOL_RULES[DEFAULT_RULE_KEY] || null);
+    if (!persona || !Array.isArray(persona.tools)) return tools;
+    return Object.fromEntries(Object.entries(tools).filter(([name]) => persona.tools.includes(name)));
+  };
+
+  // Resolve the effective model for a message: user override, then room
+  // override, then HUBOT_OLLAMA_MODEL. Stored names are re-validated in case
+  // the brain was edited by hand.
+  const resolveModel = (msg) => {
+    const overrides = getModelOverrides();
+    const roomId = msg && msg.message && msg.message.room;
+    const userId = msg && msg.message && msg.message.user ? getUserInfo(msg).id : null;
+    const candidates = [
+      userId && overrides.users[userId],
+      roomId && overrides.rooms[roomId]
+    ];
+    const pinned = candidates.find(name => typeof name === 'string' && MODEL_NAME_ALLOWED.test(name));
+    return pinned || selectedModel;
+  };
+
+  // Ordered list of models to try for a message: the persona's model, the
+  // effective model, then the configured chain (a pinned model falls back to
+  // the configured default first)
+  const getModelChain = (msg, persona = resolvePersona(msg)) => {
+    const chain = [...(persona && persona.model ? [persona.model] : []), resolveModel(msg), selectedModel, ...FALLBACK_MODELS];
+    return chain.filter((name, index) => chain.indexOf(name) === index);
+  };
+
+  // Chat messages for a stored turn; room-scope turns carry the speaker's name
+  const turnToMessages = (turn) => {
+    const userContent = CONTEXT_SCOPE === 'room' && turn.userDisplayName ? `${turn.userDisplayName}: ${turn.user}` : turn.user;
+    return [
+      { role: 'user', content: userContent },
+      { role: 'assistant', content: turn.assistant }
+    ];
+  };
+
+  // Prompt-token estimates per model, corrected by what Ollama reports
+  const tokenCalibration = createTokenCalibration();
+  const turnTokens = (turn, model) => estimateMessageTokens(turnToMessages(turn), tokenCalibration.ratio(model));
+
+  // Asynchronous summarization of old conversation turns. The newest turns
+  // that fit in `keepTokens` stay verbatim; older ones are folded into the
+  // summary. `model` is the conversation's model; HUBOT_OLLAMA_SUMMARY_MODEL,
+  // when set, writes the summary instead so the chat model isn't kept busy.
+  const summarizeContext = async (contextKey, model = selectedModel, keepTokens = 0) => {
     try {
       // Check lock
       if (summarizationInProgress[contextKey]) {
@@ -286,30 +585,20 @@ module.exports = (robot) => {
         return;
       }
 
-      // Check if there are enough turns to summarize
-      if (context.history.length <= KEEP_RAW_TURNS) {
-        delete summarizationInProgress[contextKey];
-        return;
-      }
-
-      const turnsToSummarize = context.history.slice(0, context.history.length - KEEP_RAW_TURNS);
-      const remainingTurns = context.history.slice(context.history.length - KEEP_RAW_TURNS);
+      const { toSummarize: turnsToSummarize, toKeep: remainingTurns } = splitForSummary(context.history, keepTokens, turn => turnTokens(turn, model));
 
-      if (turnsToSummarize.length < 2) {
-        // Need at least 2 old turns to justify summarization
+      if (turnsToSummarize.length === 0) {
         delete summarizationInProgress[contextKey];
         return;
       }
 
-      robot.logger.info(`Starting summarization for key=${contextKey}: ${turnsToSummarize.length} turns to summarize, ${remainingTurns.length} kept raw`);
+      robot.logger.info(`Starting summarization for key=${contextKey} with model ${SUMMARY_MODEL || model}: ${turnsToSummarize.length} turns to summarize, ${remainingTurns.length} kept raw`);
 
-      // Build summarization prompt
-      const systemPrompt = `You are summarizing a chat conversation for a future assistant.
-Preserve facts, decisions, user preferences, constraints, and unresolved questions.
-Do NOT include small talk, greetings, or filler.
-Do NOT speculate or add new information.
-Write in plain, compact sentences.
-IMPORTANT: Keep the summary under 600 characters.`;
+      // Build summarization prompt; a custom template without `{maxChars}` still gets the length limit
+      const template = process.env.HUBOT_OLLAMA_SUMMARY_PROMPT || DEFAULT_SUMMARY_PROMPT;
+      const systemPrompt = template.includes('{maxChars}')
+        ? template.replace(/\{maxChars\}/g, String(SUMMARY_MAX_CHARS))
+        : `${template}\nKeep the summary under ${SUMMARY_MAX_CHARS} characters.`;
 
       let userPrompt;
       if (context.summary) {
@@ -342,7 +631,7 @@ IMPORTANT: Keep the summary under 600 characters.`;
 
       try {
         const response = await ollama.chat({
-          model: selectedModel,
+          model: SUMMARY_MODEL || model,
           messages: [
             { role: 'system', content: systemPrompt },
             { role: 'user', content: userPrompt }
@@ -353,7 +642,7 @@ IMPORTANT: Keep the summary under 600 characters.`;
 
         clearTimeout(timeout);
 
-        const summary = response?.message?.content?.trim();
+        const summary = splitThinking(response?.message?.content).content.trim();
 
         if (!summary || summary.length === 0) {
           robot.logger.warn(`Summarization returned empty content for key=${contextKey}`);
@@ -361,8 +650,15 @@ IMPORTANT: Keep the summary under 600 characters.`;
           return;
         }
 
-        // Cap summary length as safety fallback (model should already respect 600-char limit)
-        const cappedSummary = summary.length > 650 ? summary.slice(0, 600) + '...' : summary;
+        // Cap summary length as safety fallback (model should already respect the limit)
+        const cappedSummary = summary.length > SUMMARY_MAX_CHARS + 50 ? summary.slice(0, SUMMARY_MAX_CHARS) + '...' : summary;
+
+        // The context may have been forgotten, or started over, while the summary was written
+        const currentContexts = robot.brain.get('ollamaContexts') || {};
+        if (currentContexts[contextKey] !== context) {
+          robot.logger.debug(`Discarding summary for key=${contextKey}: the context was replaced`);
+          return;
+        }
 
         // Update context with summary and keep only recent turns
         context.summary = cappedSummary;
@@ -370,7 +666,7 @@ IMPORTANT: Keep the summary under 600 characters.`;
         context.summarizedUntil = Date.now();
         context.lastUpdated = Date.now();
 
-        robot.brain.set('ollamaContexts', contexts);
+        robot.brain.set('ollamaContexts', currentContexts);
         robot.logger.info(`Summarization complete for key=${contextKey}: summary=${cappedSummary.length} chars, kept ${remainingTurns.length} raw turns`);
       } catch (error) {
         clearTimeout(timeout);
@@ -389,6 +685,7 @@ IMPORTANT: Keep the summary under 600 characters.`;
     }
   };
 
+  // Get conversation context key for a user in a room
   const getContextKey = (msg) => {
     const userInfo = getUserInfo(msg);
     const roomId = (msg && msg.message && msg.message.room) || 'direct';
@@ -493,32 +790,125 @@ IMPORTANT: Keep the summary under 600 characters.`;
       })
     });
 
-    // Keep only the last N turns to prevent context from growing too large
-    if (contexts[contextKey].history.length > CONTEXT_TURNS) {
-      contexts[contextKey].history = contexts[contextKey].history.slice(-CONTEXT_TURNS);
+    // History is bounded by tokens (summarization below); this only guards the brain
+    if (contexts[contextKey].history.length > MAX_STORED_TURNS) {
+      contexts[contextKey].history = contexts[contextKey].history.slice(-MAX_STORED_TURNS);
     }
 
     contexts[contextKey].lastUpdated = Date.now();
     robot.brain.set('ollamaContexts', contexts);
     robot.logger.debug(`Stored conversation turn for key=${contextKey} historyLen=${contexts[contextKey].history.length} scope=${CONTEXT_SCOPE}`);
 
-    // Trigger summarization asynchronously if conditions are met
+    // Once the stored history outgrows its share of the model's context
+    // window, summarize the oldest turns down to half of that share.
     // Don't block the main response on this
-    setImmediate(() => {
-      const shouldSummarize = (
-        contexts[contextKey].history.length > KEEP_RAW_TURNS &&
-        contexts[contextKey].history.length > 2 &&
-        !summarizationInProgress[contextKey]
-      );
-
-      if (shouldSummarize) {
-        summarizeContext(contextKey).catch(err => {
-          robot.logger.error(`Async summarization failed for key=${contextKey}: ${err.message}`);
-        });
+    setImmediate(async () => {
+      // The context may have been forgotten in the meantime
+      if (!contexts[contextKey] || summarizationInProgress[contextKey]) return;
+
+      try {
+        const model = getModelChain(msg)[0];
+        const historyBudget = Math.floor((await getContextWindow(model)) * HISTORY_SHARE);
+        const historyTokens = (contexts[contextKey] ? contexts[contextKey].history : []).reduce((total, turn) => total + turnTokens(turn, model), 0);
+        if (historyTokens > historyBudget) {
+          robot.logger.debug(`History for key=${contextKey} is ~${historyTokens} tokens (budget ${historyBudget}); summarizing`);
+          await summarizeContext(contextKey, model, Math.floor(historyBudget / 2));
+        }
+      } catch (err) {
+        robot.logger.error(`Async summarization failed for key=${contextKey}: ${err.message}`);
       }
     });
   };
 
+  /**
+   * Delete stored conversation contexts. A summarization that is already
+   * running keeps its lock until it ends; it finishes against the deleted
+   * context, so its result is discarded.
+   * @param {string[]} contextKeys
+   * @returns {{ contexts: number, turns: number, summaries: number }} what was cleared
+   */
+  const forgetContexts = (contextKeys) => {
+    const contexts = robot.brain.get('ollamaContexts') || {};
+    const cleared = { contexts: 0, turns: 0, summaries: 0 };
+    for (const contextKey of contextKeys) {
+      const context = contexts[contextKey];
+      if (!context) continue;
+      cleared.contexts++;
+      cleared.turns += (context.history || []).length;
+      if (context.summary) cleared.summaries++;
+      delete contexts[contextKey];
+    }
+    robot.brain.set('ollamaContexts', contexts);
+    robot.logger.info(`Forgot ${cleared.contexts} conversation context(s): ${contextKeys.join(', ')}`);
+    return cleared;
+  };
+
+  /**
+   * Remove what lazy cleanup misses: contexts that expired without being read
+   * again, fetched-URL lists of interactions that died before
+   * cleanupInvocation, and memory scopes left empty.
+   * @returns {{ contexts: number, fetchedUrls: number, memoryScopes: number }}
+   */
+  const collectGarbage = () => {
+    const removed = { contexts: 0, fetchedUrls: 0, memoryScopes: 0 };
+    const now = Date.now();
+
+    const contexts = robot.brain.get('ollamaContexts');
+    if (contexts) {
+      Object.keys(contexts).forEach((contextKey) => {
+        const context = contexts[contextKey];
+        const expired = CONTEXT_TTL_MS === 0 || !context || !(now - context.lastUpdated <= CONTEXT_TTL_MS);
+        if (expired && !summarizationInProgress[contextKey]) {
+          delete contexts[contextKey];
+          removed.contexts++;
+        }
+      });
+      if (removed.contexts > 0) robot.brain.set('ollamaContexts', contexts);
+    }
+
+    const fetchedUrls = robot.brain.get('ollamaFetchedUrls');
+    if (fetchedUrls) {
+      Object.keys(fetchedUrls).forEach((invocationKey) => {
+        if (!activeInvocations.has(invocationKey)) {
+          delete fetchedUrls[invocationKey];
+          removed.fetchedUrls++;
+        }
+      });
+      if (removed.fetchedUrls > 0) robot.brain.set('ollamaFetchedUrls', fetchedUrls);
+    }
+
+    const memory = robot.brain.get('ollamaMemory');
+    if (memory) {
+      Object.keys(memory).forEach((scopeKey) => {
+        if (!memory[scopeKey] || Object.keys(memory[scopeKey]).length === 0) {
+          delete memory[scopeKey];
+          removed.memoryScopes++;
+        }
+      });
+      if (removed.memoryScopes > 0) robot.brain.set('ollamaMemory', memory);
+    }
+
+    const total = removed.contexts + removed.fetchedUrls + removed.memoryScopes;
+    if (total > 0) {
+      robot.logger.info(`Brain cleanup removed ${removed.contexts} expired context(s), ${removed.fetchedUrls} orphaned fetched-URL list(s), ${removed.memoryScopes} empty memory scope(s)`);
+    } else {
+      robot.logger.debug('Brain cleanup found nothing to remove');
+    }
+    return removed;
+  };
+
+  // Sweep on an interval; unref'd so the timer never keeps the process alive
+  if (GC_INTERVAL_MS > 0) {
+    const gcTimer = setInterval(() => {
+      try {
+        collectGarbage();
+      } catch (e) {
+        robot.logger.error(`Brain cleanup failed: ${e.message}`);
+      }
+    }, GC_INTERVAL_MS);
+    if (typeof gcTimer.unref === 'function') gcTimer.unref();
+  }
+
   const formatResponse = (response, msg) => {
     // Handle adapter-specific response formatting
     const adapterType = getAdapterType(robot);
@@ -550,6 +940,28 @@ IMPORTANT: Keep the summary under 600 characters.`;
     return response;
   };
 
+  /**
+   * Send a reply only the caller can see. On Slack this is an ephemeral
+   * message (chat.postEphemeral); elsewhere, or if that fails, a normal reply.
+   * @param {object} msg
+   * @param {string} text
+   */
+  const sendPrivately = async (msg, text) => {
+    const formatted = formatResponse(text, msg);
+    const postEphemeral = robot?.adapter?.client?.web?.chat?.postEphemeral;
+    const channel = msg && msg.message && msg.message.room;
+    const user = msg && msg.message && msg.message.user && msg.message.user.id;
+    if (getAdapterType(robot) === 'slack' && typeof postEphemeral === 'function' && channel && user) {
+      try {
+        await postEphemeral({ channel, user, ...formatted });
+        return;
+      } catch (e) {
+        robot.logger.debug(`Ephemeral message failed, replying normally: ${e && e.message}`);
+      }
+    }
+    msg.send(formatted);
+  };
+
   // Reaction helpers (adapter-aware; no-ops when unsupported)
   const getReactionTarget = (msg, adapterType) => {
     try {
@@ -618,70 +1030,118 @@ IMPORTANT: Keep the summary under 600 characters.`;
     }
   };
 
-  // Model tool support cache to avoid repeated probes
-  let modelSupportsCached = null;
-
-  // Probe if the selected model supports tools via `ollama.show`
-  const probeModelToolsSupport = async (modelName) => {
-    if (modelSupportsCached !== null) {
-      robot.logger.debug(`Model tool support (cached) model=${modelName}: ${modelSupportsCached}`);
-      return modelSupportsCached;
+  // Per-model capability records from `ollama.show`, keyed by model name.
+  // Successful probes are reused for CAPABILITY_TTL_MS; failed probes are not
+  // cached, so a host that was briefly unreachable is re-probed next time.
+  const modelCapabilities = new Map();
+  const pendingCapabilityProbes = new Map();
+
+  /**
+   * Resolve the capability record for a model, probing the host when the
+   * cached record is missing or stale. Never throws; on probe failure returns
+   * an all-false record with `probeFailed: true`.
+   * @param {string} modelName
+   * @returns {Promise<{ tools: boolean, vision: boolean, thinking: boolean, embedding: boolean, contextLength: number|null, capabilities: string[], probedAt: number, probeFailed?: boolean }>}
+   */
+  const getModelCapabilities = async (modelName) => {
+    const cached = modelCapabilities.get(modelName);
+    if (cached && Date.now() - cached.probedAt < CAPABILITY_TTL_MS) {
+      return cached;
     }
-
-    try {
-      const info = await ollama.show({ model: modelName });
-      const caps = Array.isArray(info && info.capabilities) ? info.capabilities : [];
-      const capList = caps.map(String);
-      const supportsTools = capList.some(c => /tools/i.test(c));
-      modelSupportsCached = Boolean(supportsTools);
-      robot.logger.debug(`Model tool support (probed) model=${modelName}: ${modelSupportsCached} caps=${capList.join(',')}`);
-      return modelSupportsCached;
-    } catch (err) {
-      robot.logger.debug(`Model tool support probe failed for model=${modelName}: ${err && err.message}`);
-      modelSupportsCached = false;
-      return false;
+    if (pendingCapabilityProbes.has(modelName)) {
+      return pendingCapabilityProbes.get(modelName);
     }
+
+    const probe = (async () => {
+      try {
+        const info = await ollama.show({ model: modelName });
+        const record = { ...parseModelCapabilities(info), probedAt: Date.now() };
+        modelCapabilities.set(modelName, record);
+        robot.logger.debug(`Model capabilities (probed) model=${modelName}: caps=${record.capabilities.join(',')} contextLength=${record.contextLength}`);
+        return record;
+      } catch (err) {
+        robot.logger.debug(`Model capability probe failed for model=${modelName}: ${err && err.message}`);
+        modelCapabilities.delete(modelName);
+        return {
+          ...parseModelCapabilities(null),
+          probedAt: Date.now(),
+          probeFailed: true
+        };
+      } finally {
+        pendingCapabilityProbes.delete(modelName);
+      }
+    })();
+    pendingCapabilityProbes.set(modelName, probe);
+    return probe;
+  };
+
+  /**
+   * Largest per-request window (`--ctx`) for `modelName`: HUBOT_OLLAMA_MAX_NUM_CTX,
+   * or the model's reported context length if that is smaller.
+   * @param {string} modelName
+   * @returns {Promise<number>}
+   */
+  const getMaxContextWindow = async (modelName) => {
+    const { contextLength } = await getModelCapabilities(modelName);
+    return contextLength ? Math.min(MAX_NUM_CTX, contextLength) : MAX_NUM_CTX;
+  };
+
+  /**
+   * Context window, in tokens, for a request to `modelName`: the request's
+   * `--ctx` (at most getMaxContextWindow), else HUBOT_OLLAMA_NUM_CTX or DEFAULT_CONTEXT_WINDOW capped by the
+   * model's reported context length. Prompts are budgeted against it and it is
+   * always sent as `num_ctx`, so Ollama never loads a smaller window than the
+   * prompt was sized for.
+   * @param {string} modelName
+   * @param {number} [numCtx] - Per-request `num_ctx`
+   * @returns {Promise<number>}
+   */
+  const getContextWindow = async (modelName, numCtx) => {
+    if (numCtx) return Math.min(numCtx, await getMaxContextWindow(modelName));
+    const { contextLength } = await getModelCapabilities(modelName);
+    const configured = NUM_CTX || DEFAULT_CONTEXT_WINDOW;
+    return contextLength ? Math.min(configured, contextLength) : configured;
+  };
+
+  // Check whether the given model supports tools
+  const probeModelToolsSupport = async (modelName) => {
+    const { tools } = await getModelCapabilities(modelName);
+    robot.logger.debug(`Model tool support model=${modelName}: ${tools}`);
+    return tools;
   };
 
-  // Helper function to execute ollama API call with tool support
+  // Execute an ollama API call with tool support against one model
   // Workflow: (1) First call to determine tools if needed (2) Execute tool(s) (3) Second call to incorporate results
-  const askOllama = async (userPrompt, msg, conversationHistory = [], conversationSummary = null) => {
-    robot.logger.debug(`Calling Ollama API with model: ${selectedModel}`);
+  // Options: `stream` - a response stream (see utils/response-stream) that receives tokens as they arrive
+  //          `images` - base64 images for the user message, attached when the model has the vision capability
+  //          `onReasoning(text)` - receives reasoning from thinking models (never part of the returned answer)
+  //          `format` - JSON schema for structured output; skips tools and answers in a single call
+  //          `temperature`, `seed`, `numCtx` - generation settings for this request only
+  //          `noTools` - answer in a single call without tools
+  //          `noContext` - leave out ambient room messages (callers pass no history either)
+  //          `threadMessages` - earlier messages of the Slack thread, used instead of ambient room messages
+  //          `web` - ask the model to search the web before answering
+  //          `persona` - persona whose system prompt and tool allowlist apply
+  //          `signal` - aborts the request (askOllama's timeout for this model); no call or tool starts after it
+  //          `onToolRun()` - called before each tool runs
+  // Throws the raw client error on failure; askOllama decides whether to fall back and how to word it.
+  const askOllamaWithModel = async (model, userPrompt, msg, conversationHistory = [], conversationSummary = null, options = {}) => {
+    robot.logger.debug(`Calling Ollama API with model: ${model}`);
+
+    // Tools this request may use (fetched per request: the registry is dynamic)
+    const getAvailableTools = () => getToolsFor(msg, options.persona);
 
     // Build messages array for chat API
     /** @type {OllamaMessage[]} */
-    const messages = [{ role: 'system', content: buildSystemPrompt(msg) }];
-
-    // Inject conversation summary if present
-    if (conversationSummary) {
-      messages.push({ role: 'system', content: `Conversation summary:\n${conversationSummary}` });
-      robot.logger.debug(`Injected conversation summary: ${conversationSummary.length} chars`);
-    }
-
-    // Add conversation history if available
-    if (conversationHistory.length > 0) {
-      robot.logger.debug(`Using conversation context with ${conversationHistory.length} recent turns`);
-      for (const turn of conversationHistory) {
-        // For room-scope contexts, prefix user message with the user's display name
-        let userContent = turn.user;
-        if (CONTEXT_SCOPE === 'room' && turn.userDisplayName) {
-          userContent = `${turn.userDisplayName}: ${turn.user}`;
-        }
-        messages.push({ role: 'user', content: userContent });
-        messages.push({ role: 'assistant', content: turn.assistant });
-      }
-    }
+    const messages = [{ role: 'system', content: buildSystemPrompt(msg, options.persona) }];
 
-    // Inject recent ambient room messages as background context
-    if (AMBIENT_CONTEXT) {
-      const roomId = msg && msg.message && (msg.message.room || (msg.message.user && msg.message.user.room));
-      const ambient = roomId ? getAmbientMessages(roomId) : [];
-      if (ambient.length > 0) {
-        const formatted = ambient.map(m => `${m.userName}: ${m.text}`).join('\n');
-        messages.push({ role: 'system', content: `Recent room conversation:\n${formatted}` });
-        robot.logger.debug(`Injected ${ambient.length} ambient messages from room ${roomId}`);
-      }
-    }
+    // Recent ambient room messages, used as background context; a backfilled
+    // thread is the more relevant background, so it takes their place
+    const ambientRoomId = msg && msg.message && (msg.message.room || (msg.message.user && msg.message.user.room));
+    const hasThreadMessages = Array.isArray(options.threadMessages) && options.threadMessages.length > 0;
+    const ambient = hasThreadMessages
+      ? options.threadMessages
+      : (AMBIENT_CONTEXT && !options.noContext && ambientRoomId ? getAmbientMessages(ambientRoomId) : []);
 
     // Potentially run web-enabled workflow to augment context
     const finalUserPrompt = userPrompt;
@@ -694,7 +1154,84 @@ IMPORTANT: Keep the summary under 600 characters.`;
     // Add current user prompt — wrapped in structural delimiters to reduce delimiter
     // injection risk (model can still be tricked, but explicit delimiters make it harder
     // to craft input that blends with system-level instructions).
-    messages.push({ role: 'user', content: `<user_input>${finalUserPrompt}</user_input>` });
+    /** @type {OllamaMessage} */
+    const userMessage = { role: 'user', content: `<user_input>${finalUserPrompt}</user_input>` };
+    // Images only go to models that can see them (a fallback model may not)
+    if (Array.isArray(options.images) && options.images.length > 0) {
+      const { vision } = await getModelCapabilities(model);
+      if (vision) {
+        userMessage.images = options.images;
+        robot.logger.debug(`Attached ${options.images.length} image(s) for model ${model}`);
+      } else {
+        robot.logger.debug(`Model ${model} lacks vision; sending prompt without its images`);
+      }
+    }
+    messages.push(userMessage);
+
+    if (options.web) {
+      messages.splice(1, 0, {
+        role: 'system',
+        content: 'The user asked for a web search: call hubot_ollama_web_search before answering and base the answer on its results.'
+      });
+    }
+
+    // Ollama constrains the output to the schema; spelling it out in the prompt helps the model fill it in
+    if (options.format) {
+      messages.splice(1, 0, {
+        role: 'system',
+        content: `Respond only with JSON that matches this JSON schema:\n${JSON.stringify(options.format)}`
+      });
+    }
+
+    // Thinking models return their reasoning separately in `message.thinking` when asked
+    const { thinking: modelThinks, tools: modelHasTools } = await getModelCapabilities(model);
+
+    // Fit the summary, history and ambient messages into the context window
+    // after the parts that must be sent (system prompts, tool definitions,
+    // the prompt itself) and room for the answer. The oldest material goes first.
+    const contextWindow = await getContextWindow(model, options.numCtx);
+    const tokenRatio = tokenCalibration.ratio(model);
+    const inputBudget = contextWindow - Math.max(MIN_RESPONSE_TOKENS, Math.floor(contextWindow * RESPONSE_RESERVE_SHARE));
+    const mayUseTools = TOOLS_ENABLED && modelHasTools && !options.format && !options.noTools;
+    const toolDefinitionTokens = mayUseTools
+      ? estimateMessageTokens([{ content: JSON.stringify(Object.values(getAvailableTools()).map(t => [t.name, t.description, t.parameters])) }], tokenRatio)
+      : 0;
+    const fitted = fitContext({
+      budget: inputBudget - estimateMessageTokens(messages, tokenRatio) - toolDefinitionTokens,
+      summary: conversationSummary,
+      history: conversationHistory,
+      ambient,
+      turnTokens: turn => estimateMessageTokens(turnToMessages(turn), tokenRatio),
+      ambientTokens: m => estimateMessageTokens([{ content: `${m.userName}: ${m.text}` }], tokenRatio),
+      summaryTokens: summary => estimateMessageTokens([{ content: `Conversation summary:\n${summary}` }], tokenRatio)
+    });
+    if (fitted.droppedTurns > 0 || fitted.droppedAmbient > 0 || fitted.droppedSummary) {
+      robot.logger.info(`Context window of ${contextWindow} tokens for ${model}: left out ${fitted.droppedTurns} oldest turn(s), ${fitted.droppedAmbient} ambient message(s)${fitted.droppedSummary ? ' and the summary' : ''}`);
+    }
+
+    const contextMessages = [];
+    if (fitted.summary) {
+      contextMessages.push({ role: 'system', content: `Conversation summary:\n${fitted.summary}` });
+      robot.logger.debug(`Injected conversation summary: ${fitted.summary.length} chars`);
+    }
+    if (fitted.history.length > 0) {
+      robot.logger.debug(`Using conversation context with ${fitted.history.length} recent turns`);
+      contextMessages.push(...fitted.history.flatMap(turnToMessages));
+    }
+    if (fitted.ambient.length > 0) {
+      const formatted = fitted.ambient.map(m => `${m.userName}: ${m.text}`).join('\n');
+      const heading = hasThreadMessages ? 'Earlier messages in this thread' : 'Recent room conversation';
+      contextMessages.push({ role: 'system', content: `${heading}:\n${formatted}` });
+      robot.logger.debug(`Injected ${fitted.ambient.length} ${hasThreadMessages ? 'thread' : 'ambient'} messages from room ${ambientRoomId}`);
+    }
+    // Context goes between the instructions and the user's message
+    messages.splice(messages.length - 1, 0, ...contextMessages);
+
+    // Per-request generation settings (Ollama `options`)
+    const generationOptions = {};
+    if (options.temperature !== undefined) generationOptions.temperature = options.temperature;
+    if (options.seed !== undefined) generationOptions.seed = options.seed;
+    generationOptions.num_ctx = contextWindow;
     robot.logger.debug(`Assembled ${messages.length} messages for chat API`);
 
     // Track interaction statistics
@@ -723,11 +1260,110 @@ IMPORTANT: Keep the summary under 600 characters.`;
       });
     };
 
+    const responseStream = options.stream || null;
+
+    /**
+     * Move reasoning out of a chat response: `message.thinking` (think option)
+     * and any `<think>` blocks in the content go to `options.onReasoning`, so
+     * only the answer is left in `message.content`.
+     * @param {OllamaChatResponse} response
+     * @returns {OllamaChatResponse}
+     */
+    const separateReasoning = (response) => {
+      const message = response && response.message;
+      if (!message) return response;
+      const { content, thinking } = splitThinking(message.content);
+      const reasoning = [message.thinking, thinking].filter(text => text && text.trim()).map(text => text.trim()).join('\n\n');
+      message.content = content;
+      delete message.thinking;
+      if (reasoning) {
+        robot.logger.debug(`Separated ${reasoning.length} chars of model reasoning`);
+        if (typeof options.onReasoning === 'function') options.onReasoning(reasoning);
+      }
+      return response;
+    };
+
+    /**
+     * Learn from the prompt size Ollama reports, and warn when the prompt
+     * probably filled the context window (Ollama then drops its beginning).
+     * @param {OllamaChatResponse} response
+     * @param {number} estimatedPromptTokens - Uncalibrated estimate of the prompt that was sent
+     */
+    const checkPromptTokens = (response, estimatedPromptTokens) => {
+      const promptTokens = response && response.prompt_eval_count;
+      if (!promptTokens) return;
+      tokenCalibration.observe(model, estimatedPromptTokens, promptTokens);
+      if (promptTokens >= contextWindow) {
+        robot.logger.warn(`Prompt for ${model} used ${promptTokens} tokens, the whole ${contextWindow}-token context window; the start of the prompt was probably truncated`);
+      }
+    };
+
+    /**
+     * Chat call for any phase that may produce the final answer. Without a
+     * response stream this is a plain non-streaming call. With one, tokens are
+     * pushed to the stream as they arrive and the parts are folded back into a
+     * non-streaming-shaped response (content and tool_calls accumulated, token
+     * counts from the final chunk), so callers don't need to care which it was.
+     * @param {object} params - ollama.chat params, minus `stream`
+     * @returns {Promise<OllamaChatResponse & { streamedIntermediate?: boolean }>}
+     */
+    const chatForAnswer = async (params) => {
+      // Out of time: don't start another call
+      abortSignal.throwIfAborted();
+      const request = {
+        ...params,
+        ...(modelThinks ? { think: true } : {}),
+        options: generationOptions
+      };
+      const estimatedPromptTokens = estimateMessageTokens(params.messages)
+        + (params.tools ? estimateMessageTokens([{ content: JSON.stringify(params.tools) }]) : 0);
+      if (!responseStream) {
+        const response = await ollama.chat({ ...request, stream: false });
+        checkPromptTokens(response, estimatedPromptTokens);
+        return separateReasoning(response);
+      }
+
+      const parts = await ollama.chat({ ...request, stream: true });
+      const onAbort = () => parts.abort();
+      abortSignal.addEventListener('abort', onAbort);
+      const response = { message: { role: 'assistant', content: '', thinking: '' } };
+      try {
+        for await (const part of parts) {
+          const partMessage = part.message || {};
+          if (partMessage.thinking) {
+            response.message.thinking += partMessage.thinking;
+          }
+          if (partMessage.content) {
+            response.message.content += partMessage.content;
+            // Inline <think> blocks never reach the chat, even half-finished
+            responseStream.push(splitThinking(response.message.content).content);
+          }
+          if (Array.isArray(partMessage.tool_calls) && partMessage.tool_calls.length > 0) {
+            response.message.tool_calls = [...(response.message.tool_calls || []), ...partMessage.tool_calls];
+          }
+          if (part.done) {
+            response.prompt_eval_count = part.prompt_eval_count;
+            response.eval_count = part.eval_count;
+          }
+        }
+      } finally {
+        abortSignal.removeEventListener('abort', onAbort);
+      }
+
+      checkPromptTokens(response, estimatedPromptTokens);
+      separateReasoning(response);
+      if (response.message.tool_calls) {
+        // Text streamed ahead of a tool call was not the answer: take it back,
+        // so it goes out like any intermediate text, and start over for what comes next
+        response.streamedIntermediate = await responseStream.discard();
+      }
+      return response;
+    };
+
     const makeFallbackResponse = async (logMessage) => {
       robot.logger.info(logMessage);
-      const fallbackResponse = await ollama.chat({ model: selectedModel, messages, stream: false });
+      const fallbackResponse = await chatForAnswer({ model, messages });
       accumulateTokens(fallbackResponse);
-      clearTimeout(timeout);
       if (fallbackResponse.message && fallbackResponse.message.content) {
         logInteractionComplete();
         return fallbackResponse.message.content;
@@ -740,22 +1376,20 @@ IMPORTANT: Keep the summary under 600 characters.`;
      * This surfaces reasoning text the model emits alongside a tool call,
      * giving the user visibility into what the agent is doing before results arrive.
      * @param {string|null|undefined} content
+     * @param {boolean} [alreadyStreamed] - content already reached the chat via the response stream
      */
-    const sendThinkingContent = (content) => {
-      if (!content || !content.trim()) return;
+    const sendThinkingContent = (content, alreadyStreamed = false) => {
+      if (alreadyStreamed || !content || !content.trim()) return;
       robot.logger.debug(`Sending intermediate thinking content (${content.length} chars)`);
       msg.send(formatResponse(content.trim(), msg));
     };
 
-    // Per-tool call limits (prevent redundant tool calls)
-    const toolCallLimits = {
-      hubot_ollama_web_search: 6,  // Allow up to 6 searches (they're fast)
-      hubot_ollama_web_fetch: 10   // Allow up to 10 fetches
-    };
-    const toolCallCounts = {
-      hubot_ollama_web_search: 0,
-      hubot_ollama_web_fetch: 0
-    };
+    // Calls per tool in this interaction, checked against each tool's maxCallsPerInteraction
+    const toolCallCounts = {};
+
+    // Handlers of tools that are not parallel-safe, by tool name; a call that
+    // timed out leaves its handler running, and the next call waits for it
+    const unsettledSerialRuns = {};
 
     // Create a unique invocation ID for per-invocation URL tracking
     // This allows URLs to be re-fetched in follow-up questions, but prevents
@@ -768,13 +1402,14 @@ IMPORTANT: Keep the summary under 600 characters.`;
       robot.brain.set('ollamaFetchedUrls', {});
     }
     robot.brain.get('ollamaFetchedUrls')[invocationContextKey] = [];
+    activeInvocations.add(invocationContextKey);
 
-    // Set up abort controller for timeout
-    const abortController = new AbortController();
-    const timeout = setTimeout(() => abortController.abort(), TIMEOUT_MS);
+    // askOllama's timeout for this model
+    const abortSignal = options.signal || new AbortController().signal;
 
     // Function to clean up invocation context after interaction
     const cleanupInvocation = () => {
+      activeInvocations.delete(invocationContextKey);
       try {
         if (invocationContextKey && robot.brain.get('ollamaFetchedUrls')) {
           const fetchedUrls = robot.brain.get('ollamaFetchedUrls');
@@ -794,42 +1429,74 @@ IMPORTANT: Keep the summary under 600 characters.`;
      * system-level instructions.
      * @param {string} toolName
      * @param {object} toolResults
+     * @returns {string}
      */
-    const formatToolResultContent = (toolName, toolResults) =>
-      `<tool_result name="${toolName || 'unknown'}">${JSON.stringify(toolResults)}</tool_result>`;
+    const formatToolResultContent = (toolName, toolResults) => {
+      // Results are cut to what is left of the context window (keeping at least a little)
+      let json = JSON.stringify(toolResults);
+      const remainingTokens = inputBudget - estimateMessageTokens(messages, tokenRatio) - toolDefinitionTokens;
+      const maxChars = Math.max(MIN_TOOL_RESULT_CHARS, Math.floor(remainingTokens / tokenRatio) * 4);
+      if (json && json.length > maxChars) {
+        robot.logger.info(`Tool result from ${toolName} cut from ${json.length} to ${maxChars} chars to fit the context window`);
+        json = `${json.slice(0, maxChars)}... [truncated to fit the context window]`;
+      }
+      return `<tool_result name="${toolName || 'unknown'}">${json}</tool_result>`;
+    };
+
+    // Tool calls of one turn may run at the same time; the tool reaction goes
+    // on with the first and comes off when the last one finishes
+    let runningToolCalls = 0;
+    let toolReactionAdded = Promise.resolve(false);
 
     /**
-     * Parse, resolve, and execute a single tool call object from the model.
-     * Handles JSON argument parsing, nameless-call recovery, call-limit enforcement,
-     * and tool execution. Returns a result object; never throws.
-     *
+     * Read the name and arguments of a tool call from the model. Arguments may
+     * come as a JSON string; a nameless call may hint at its tool with a `type`
+     * (or `parameters.type`) argument.
      * @param {import('ollama').ToolCall} rawToolCall
-     * @returns {Promise<{ toolName: string, toolResults: object|null, wasNameless: boolean, unrecoverable: boolean, unrecoverableReason?: string }>}
+     * @returns {{ toolName: string, toolArgs: object, hintedType?: string, parseError?: string }}
      */
-    const resolveAndExecuteToolCall = async (rawToolCall) => {
-      let toolName = (rawToolCall.function && typeof rawToolCall.function.name === 'string')
+    const readToolCall = (rawToolCall) => {
+      const toolName = (rawToolCall.function && typeof rawToolCall.function.name === 'string')
         ? rawToolCall.function.name : '';
       let toolArgs = (rawToolCall.function && rawToolCall.function.arguments) || {};
-
+      let parseError;
       if (typeof toolArgs === 'string') {
         try {
           toolArgs = JSON.parse(toolArgs);
         } catch (e) {
-          robot.logger.error(`Failed to parse tool arguments: ${e.message}`);
+          parseError = e.message;
           toolArgs = {};
         }
       }
-
       const hintedType = toolArgs && (toolArgs.type || (toolArgs.parameters && toolArgs.parameters.type));
+      return { toolName, toolArgs, hintedType, parseError };
+    };
+
+    /**
+     * Parse, resolve, and execute a single tool call object from the model.
+     * Handles JSON argument parsing, nameless-call recovery, call-limit enforcement,
+     * argument validation against the tool's schema, and tool execution. Returns a result object; never throws.
+     *
+     * @param {import('ollama').ToolCall} rawToolCall
+     * @returns {Promise<{ toolName: string, toolResults: object|null, wasNameless: boolean, unrecoverable: boolean, unrecoverableReason?: string }>}
+     */
+    const resolveAndExecuteToolCall = async (rawToolCall) => {
+      const { hintedType, parseError, ...call } = readToolCall(rawToolCall);
+      let { toolName, toolArgs } = call;
+      if (parseError) robot.logger.error(`Failed to parse tool arguments: ${parseError}`);
       const wasNameless = !toolName || !toolName.trim();
 
       if (wasNameless) {
         robot.logger.warn(`Tool call missing name; hinted type=${hintedType || 'none'}. Raw: ${JSON.stringify(rawToolCall)}`);
-        robot.logger.debug(`Available tools: ${Object.keys(registry.getTools()).join(', ') || 'none'}`);
-        if (hintedType && registry.getTools()[hintedType]) {
+        robot.logger.debug(`Available tools: ${Object.keys(getAvailableTools()).join(', ') || 'none'}`);
+        if (hintedType && getAvailableTools()[hintedType]) {
           robot.logger.info(`Recovering tool name from hinted type: ${hintedType}`);
           toolName = hintedType;
           rawToolCall.function.name = hintedType;
+          // Such calls carry their arguments under `parameters`
+          if (toolArgs.parameters && typeof toolArgs.parameters === 'object' && !Array.isArray(toolArgs.parameters)) {
+            toolArgs = toolArgs.parameters;
+          }
         } else {
           const unrecoverableReason = hintedType
             ? `Hinted tool '${hintedType}' is not registered; skipping tool execution and retrying without tools.`
@@ -840,34 +1507,80 @@ IMPORTANT: Keep the summary under 600 characters.`;
 
       robot.logger.debug(`Tool selected: ${toolName} with args: ${JSON.stringify(toolArgs)}`);
 
-      if (toolCallLimits.hasOwnProperty(toolName) && toolCallCounts[toolName] >= toolCallLimits[toolName]) {
-        robot.logger.warn(`Tool '${toolName}' call limit reached (${toolCallLimits[toolName]} calls max)`);
-        return { toolName, toolResults: { error: `Tool call limit reached for ${toolName}` }, wasNameless, unrecoverable: false };
-      }
-
-      const selectedTool = registry.getTools()[toolName];
+      const selectedTool = getAvailableTools()[toolName];
       if (!selectedTool || !selectedTool.handler) {
         robot.logger.warn(`Tool '${toolName}' not found or has no handler`);
         return { toolName, toolResults: { error: `Tool ${toolName} not found` }, wasNameless, unrecoverable: false };
       }
 
+      const callLimit = selectedTool.maxCallsPerInteraction;
+      if (callLimit && (toolCallCounts[toolName] || 0) >= callLimit) {
+        robot.logger.warn(`Tool '${toolName}' call limit reached (${callLimit} calls max)`);
+        return { toolName, toolResults: { error: `Tool call limit reached for ${toolName}` }, wasNameless, unrecoverable: false };
+      }
+
+      // Check the arguments against the tool's schema before running it; the
+      // problems go back to the model as the tool result so it can try again
+      const checkedArgs = coerceToSchema(toolArgs, selectedTool.parameters);
+      const argumentProblems = validateJsonSchema(checkedArgs, selectedTool.parameters, 'arguments');
+      if (argumentProblems.length > 0) {
+        robot.logger.warn(`Invalid arguments for tool '${toolName}': ${argumentProblems.join('; ')}`);
+        return {
+          toolName,
+          toolResults: { error: `Invalid arguments for ${toolName}`, details: argumentProblems },
+          wasNameless,
+          unrecoverable: false
+        };
+      }
+
+      // A model that timed out may still be working through its turn; it runs no more tools
+      if (abortSignal.aborted) {
+        return { toolName, toolResults: { error: 'The request timed out' }, wasNameless, unrecoverable: false };
+      }
+
       try {
         robot.logger.info(`Executing tool: ${toolName}`);
-        if (toolCallLimits.hasOwnProperty(toolName)) toolCallCounts[toolName]++;
+        toolCallCounts[toolName] = (toolCallCounts[toolName] || 0) + 1;
         if (!toolsUsed.includes(toolName)) toolsUsed.push(toolName);
-        let toolReactionAdded = false;
+        if (typeof options.onToolRun === 'function') options.onToolRun();
+        runningToolCalls++;
         try {
-          toolReactionAdded = await addThinkingReaction(msg, TOOL_INVOKED_EMOJI);
-          const toolResults = await selectedTool.handler(
-            { ...toolArgs, _invocationContextKey: invocationContextKey },
+          if (runningToolCalls === 1) toolReactionAdded = addThinkingReaction(msg, TOOL_INVOKED_EMOJI);
+          await toolReactionAdded;
+          const runHandler = () => selectedTool.handler(
+            { ...checkedArgs, _invocationContextKey: invocationContextKey },
             robot, msg
           );
+          let running;
+          if (selectedTool.parallelSafe === false) {
+            // Time spent waiting for a previous call counts against this call's timeout
+            running = (unsettledSerialRuns[toolName] || Promise.resolve()).then(runHandler);
+            unsettledSerialRuns[toolName] = running.catch(() => {});
+          } else {
+            running = Promise.resolve(runHandler());
+          }
+          let toolResults;
+          if (selectedTool.timeoutMs) {
+            // The handler can't be cancelled; its late result is ignored
+            let timeoutId;
+            const timedOut = new Promise((_resolve, reject) => {
+              timeoutId = setTimeout(() => reject(new Error(`Tool ${toolName} timed out after ${selectedTool.timeoutMs} ms`)), selectedTool.timeoutMs);
+            });
+            try {
+              toolResults = await Promise.race([running, timedOut]);
+            } finally {
+              clearTimeout(timeoutId);
+            }
+          } else {
+            toolResults = await running;
+          }
           robot.logger.debug(`Tool result: ${JSON.stringify(toolResults)}`);
           return { toolName, toolResults, wasNameless, unrecoverable: false };
         } finally {
           // Remove reaction asynchronously to avoid blocking critical path
-          if (toolReactionAdded) {
-            removeThinkingReaction(msg, TOOL_INVOKED_EMOJI).catch((err) => {
+          runningToolCalls--;
+          if (runningToolCalls === 0) {
+            toolReactionAdded.then(added => added && removeThinkingReaction(msg, TOOL_INVOKED_EMOJI)).catch((err) => {
               robot.logger.debug(`Tool reaction removal failed: ${err.message}`);
             });
           }
@@ -878,13 +1591,47 @@ IMPORTANT: Keep the summary under 600 characters.`;
       }
     };
 
+    /**
+     * Run the tool calls of one model turn. Consecutive calls to parallel-safe
+     * tools run together, at most TOOL_CONCURRENCY at a time; a call to a tool
+     * registered with `parallelSafe: false` waits for the calls before it, and
+     * the calls after it wait for it.
+     * @param {OllamaToolCall[]} toolCalls
+     * @param {(call: OllamaToolCall) => Promise<object>} runCall - Never throws
+     * @returns {Promise<object[]>} results in the order of `toolCalls`
+     */
+    const runToolCalls = async (toolCalls, runCall) => {
+      const results = new Array(toolCalls.length);
+      let group = [];
+      const runGroup = async () => {
+        const indexes = group;
+        group = [];
+        const groupResults = await mapWithConcurrency(indexes, TOOL_CONCURRENCY, index => runCall(toolCalls[index]));
+        indexes.forEach((index, i) => { results[index] = groupResults[i]; });
+      };
+
+      for (const [index, call] of toolCalls.entries()) {
+        // A nameless call runs as the tool it hints at, so it is grouped as that tool
+        const { toolName, hintedType } = readToolCall(call);
+        const tool = getAvailableTools()[toolName && toolName.trim() ? toolName : hintedType];
+        if (tool && tool.parallelSafe === false) {
+          await runGroup();
+          results[index] = await runCall(call);
+        } else {
+          group.push(index);
+        }
+      }
+      await runGroup();
+      return results;
+    };
+
     try {
       // Fetch latest registered tools for each request (dynamic registry)
-      const tools = registry.getTools();
+      const tools = getAvailableTools();
 
       // Check if model supports tools and tools are enabled
-      const modelSupportsTools = await probeModelToolsSupport(selectedModel);
-      const shouldUseTwoCallWorkflow = TOOLS_ENABLED && modelSupportsTools && Object.keys(tools).length > 0;
+      const modelSupportsTools = await probeModelToolsSupport(model);
+      const shouldUseTwoCallWorkflow = TOOLS_ENABLED && modelSupportsTools && Object.keys(tools).length > 0 && !options.format && !options.noTools;
 
       if (shouldUseTwoCallWorkflow) {
         // Format tools for Ollama API using the documented Tool schema
@@ -901,10 +1648,9 @@ IMPORTANT: Keep the summary under 600 characters.`;
         // PHASE 1: First call to determine if tools are needed
         robot.logger.debug(`Making first LLM call to determine tool need. Available tools: ${toolsArray.map(t => t.function.name).join(', ') || 'none'}`);
 
-        const toolDecisionResponse = await ollama.chat({
-          model: selectedModel,
+        const toolDecisionResponse = await chatForAnswer({
+          model,
           messages,
-          stream: false,
           tools: toolsArray
         });
         accumulateTokens(toolDecisionResponse);
@@ -912,18 +1658,21 @@ IMPORTANT: Keep the summary under 600 characters.`;
         let toolResults = null;
         let toolName = null;
         let wasNameless = false;
-        let phase1ToolNames = [];
-        // Track consecutive empty tool outcomes to break out early
+        // Track consecutive empty tool outcomes to break out early. Errors
+        // always count as empty; tools may say what else does with
+        // isEmptyResult(result), otherwise an empty object does.
         const isEmptyToolResult = (name, result) => {
           if (!result) return true;
           if (result.error) return true;
-          if (name === 'hubot_ollama_web_search') {
-            return !Array.isArray(result.results) || result.results.length === 0;
-          }
-          if (name === 'hubot_ollama_web_fetch') {
-            return !Array.isArray(result.pages) || result.pages.length === 0;
+          const tool = getAvailableTools()[name];
+          if (tool && tool.isEmptyResult) {
+            try {
+              return Boolean(tool.isEmptyResult(result));
+            } catch (err) {
+              robot.logger.warn(`isEmptyResult of tool '${name}' failed: ${err.message}`);
+              return false;
+            }
           }
-          // Default heuristic: empty object counts as empty
           return typeof result === 'object' && Object.keys(result).length === 0;
         };
         let consecutiveEmptyToolResults = 0;
@@ -934,7 +1683,7 @@ IMPORTANT: Keep the summary under 600 characters.`;
           const toolCall = toolDecisionResponse.message.tool_calls[0];
 
           // Surface any model reasoning emitted alongside the tool call
-          sendThinkingContent(toolDecisionResponse.message.content);
+          sendThinkingContent(toolDecisionResponse.message.content, toolDecisionResponse.streamedIntermediate);
 
           const resolved = await resolveAndExecuteToolCall(toolCall);
           toolName = resolved.toolName;
@@ -966,21 +1715,19 @@ IMPORTANT: Keep the summary under 600 characters.`;
           // not just the first, so none are silently dropped.
           const toolCalls = toolDecisionResponse.message.tool_calls;
 
-          sendThinkingContent(toolDecisionResponse.message.content);
+          sendThinkingContent(toolDecisionResponse.message.content, toolDecisionResponse.streamedIntermediate);
 
-          const perCallResults = [];
-          for (const call of toolCalls) {
+          const perCallResults = await runToolCalls(toolCalls, async (call) => {
             const resolved = await resolveAndExecuteToolCall(call);
             if (resolved.unrecoverable) {
               // Downgrade to a soft error for this call rather than aborting the whole
               // batch — sibling calls in the same turn may still be valid.
               resolved.toolResults = { error: resolved.unrecoverableReason };
             }
-            perCallResults.push(resolved);
-          }
+            return resolved;
+          });
 
           wasNameless = perCallResults.some(r => r.wasNameless);
-          phase1ToolNames = perCallResults.map(r => r.toolName);
           consecutiveEmptyToolResults = perCallResults.every(r => isEmptyToolResult(r.toolName, r.toolResults)) ? 1 : 0;
 
           messages.push({
@@ -998,7 +1745,6 @@ IMPORTANT: Keep the summary under 600 characters.`;
           // No tool was selected, use the response as-is
           robot.logger.debug(`No tool selected in first call, returning response directly.`);
           robot.logger.debug({ toolDecisionResponse });
-          clearTimeout(timeout);
 
           if (toolDecisionResponse.message && toolDecisionResponse.message.content) {
             logInteractionComplete();
@@ -1012,24 +1758,18 @@ IMPORTANT: Keep the summary under 600 characters.`;
           let currentResponse = null;
           const maxToolIterations = 10; // Budget cap; actual loop protection is the empty-result/nameless-call bailouts below
           let toolIterationCount = 0;
-          let webSearchAlreadyPerformed = toolName === 'hubot_ollama_web_search' || phase1ToolNames.includes('hubot_ollama_web_search');
           let bailedDueToEmptyToolResults = false;
           // Track nameless tool calls to avoid spinning (count initial nameless call if present)
           let namelessToolCallCount = wasNameless ? 1 : 0;
           const MAX_NAMELESS_TOOL_CALLS = 2;
           let bailedDueToNamelessToolCalls = false;
-          // Duplicate web-search skips don't consume iteration budget (they're cheap to reject),
-          // but cap the number of free retries so a model that keeps re-requesting it can't loop forever.
-          let duplicateWebSearchSkips = 0;
-          const MAX_DUPLICATE_WEB_SEARCH_SKIPS = 3;
 
           // Loop to handle chained tool calls (model may need multiple tools)
           while (toolIterationCount < maxToolIterations) {
             toolIterationCount++;
-            currentResponse = await ollama.chat({
-              model: selectedModel,
+            currentResponse = await chatForAnswer({
+              model,
               messages,
-              stream: false,
               tools: toolsArray
             });
             accumulateTokens(currentResponse);
@@ -1039,33 +1779,14 @@ IMPORTANT: Keep the summary under 600 characters.`;
               const chainedToolCall = currentResponse.message.tool_calls[0];
 
               // Surface any model reasoning emitted alongside the chained tool call
-              sendThinkingContent(currentResponse.message.content);
-
-              // Skip web search if already performed in this interaction (before executing)
-              if ((chainedToolCall.function && chainedToolCall.function.name) === 'hubot_ollama_web_search' && webSearchAlreadyPerformed) {
-                robot.logger.debug('Web search already performed in this interaction, skipping duplicate web search tool call');
-                messages.push({
-                  role: 'assistant',
-                  content: currentResponse.message.content || '',
-                  tool_calls: [chainedToolCall]
-                });
-                messages.push({
-                  role: 'user',
-                  content: formatToolResultContent('hubot_ollama_web_search', { error: 'Web search already performed earlier in this conversation' })
-                });
-                if (duplicateWebSearchSkips < MAX_DUPLICATE_WEB_SEARCH_SKIPS) {
-                  duplicateWebSearchSkips++;
-                  toolIterationCount--;
-                }
-                continue;
-              }
+              sendThinkingContent(currentResponse.message.content, currentResponse.streamedIntermediate);
 
               const chainedResolved = await resolveAndExecuteToolCall(chainedToolCall);
 
               if (chainedResolved.unrecoverable) {
                 // Nameless with no recoverable hint — try a no-tool fallback before bailing
                 robot.logger.info('Chained tool call unrecoverable; making a fallback call without tools.');
-                const fallbackResponse = await ollama.chat({ model: selectedModel, messages, stream: false });
+                const fallbackResponse = await chatForAnswer({ model, messages });
                 accumulateTokens(fallbackResponse);
                 if (fallbackResponse.message && fallbackResponse.message.content) {
                   currentResponse = fallbackResponse;
@@ -1128,8 +1849,6 @@ IMPORTANT: Keep the summary under 600 characters.`;
                 tool_calls: [chainedToolCall]
               });
 
-              if (chainedToolName === 'hubot_ollama_web_search') webSearchAlreadyPerformed = true;
-
               messages.push({
                 role: 'user',
                 content: formatToolResultContent(chainedToolName, chainedToolResults)
@@ -1140,23 +1859,15 @@ IMPORTANT: Keep the summary under 600 characters.`;
               // Model requested multiple tool calls in this turn — execute all of them.
               const chainedToolCalls = currentResponse.message.tool_calls;
 
-              sendThinkingContent(currentResponse.message.content);
-
-              const perCallResults = [];
-              for (const call of chainedToolCalls) {
-                const fnName = call.function && call.function.name;
-                if (fnName === 'hubot_ollama_web_search' && webSearchAlreadyPerformed) {
-                  robot.logger.debug('Web search already performed in this interaction, skipping duplicate web search tool call');
-                  perCallResults.push({ toolName: fnName, toolResults: { error: 'Web search already performed earlier in this conversation' }, wasNameless: false });
-                  continue;
-                }
+              sendThinkingContent(currentResponse.message.content, currentResponse.streamedIntermediate);
 
+              const perCallResults = await runToolCalls(chainedToolCalls, async (call) => {
                 const chainedResolved = await resolveAndExecuteToolCall(call);
                 if (chainedResolved.unrecoverable) {
                   chainedResolved.toolResults = { error: chainedResolved.unrecoverableReason || 'Unrecoverable tool call' };
                 }
-                perCallResults.push(chainedResolved);
-              }
+                return chainedResolved;
+              });
 
               const namelessInBatch = perCallResults.filter(r => r.wasNameless).length;
               if (namelessInBatch > 0) {
@@ -1196,8 +1907,6 @@ IMPORTANT: Keep the summary under 600 characters.`;
                 tool_calls: chainedToolCalls
               });
 
-              if (perCallResults.some(r => r.toolName === 'hubot_ollama_web_search')) webSearchAlreadyPerformed = true;
-
               for (const r of perCallResults) {
                 messages.push({ role: 'user', content: formatToolResultContent(r.toolName, r.toolResults) });
               }
@@ -1209,8 +1918,6 @@ IMPORTANT: Keep the summary under 600 characters.`;
             }
           }
 
-          clearTimeout(timeout);
-
           // Handle response
           if (currentResponse && currentResponse.message && currentResponse.message.content) {
             logInteractionComplete();
@@ -1227,54 +1934,133 @@ IMPORTANT: Keep the summary under 600 characters.`;
         }
       } else {
         // Single call (tools disabled, model doesn't support them, or no tools available)
-        const reason = !TOOLS_ENABLED ? 'disabled' : !modelSupportsTools ? 'model lacks support' : 'no tools registered';
+        const reason = options.format ? 'skipped for structured output'
+          : options.noTools ? 'skipped for this request'
+            : !TOOLS_ENABLED ? 'disabled' : !modelSupportsTools ? 'model lacks support' : 'no tools registered';
         robot.logger.debug(`Making single LLM call (tools ${reason})`);
 
-        const response = await ollama.chat({
-          model: selectedModel,
+        const response = await chatForAnswer({
+          model,
           messages,
-          stream: false
+          ...(options.format ? { format: options.format } : {})
         });
         accumulateTokens(response);
 
-        clearTimeout(timeout);
-
         if (response.message && response.message.content) {
           logInteractionComplete();
-
-          // Cleanup invocation context tracking after interaction completes
-          cleanupInvocation();
-
           return response.message.content;
         }
         throw new Error('No content in response');
       }
-    } catch (error) {
-      // Cleanup invocation context tracking even on error
+    } finally {
+      // Every way out of the interaction ends its invocation tracking
       cleanupInvocation();
+    }
+  };
 
-      clearTimeout(timeout);
+  // Failures that another model might not share: missing model, timeout, or a 5xx from the host
+  const isModelFallbackError = (error) => Boolean(
+    error.name === 'AbortError'
+    || (error.message && error.message.includes('not found'))
+    || Number(error.status_code) >= 500
+  );
+
+  // Turn a client error into the user-facing error for the model that raised it
+  const describeOllamaError = (error, model) => {
+    // Handle specific error cases
+    if (error.name === 'AbortError') {
+      return new Error(`Ollama timed out after ${TIMEOUT_MS} ms`);
+    }
 
-      // Handle specific error cases
-      if (error.name === 'AbortError') {
-        throw new Error(`Ollama timed out after ${TIMEOUT_MS} ms`);
-      }
+    // Check for connection errors
+    if (isConnectionError(error)) {
+      return new Error('Cannot connect to Ollama server. Please ensure Ollama is running.');
+    }
 
-      // Check for connection errors
-      if (error.code === 'ECONNREFUSED') {
-        throw new Error('Cannot connect to Ollama server. Please ensure Ollama is running.');
-      }
+    // Check for model not found
+    if (error.message && error.message.includes('not found')) {
+      return new Error(`The model '${model}' was not found. You may need to run \`ollama pull ${model}\` first.`);
+    }
 
-      // Check for model not found
-      if (error.message && error.message.includes('not found')) {
-        throw new Error(`The model '${selectedModel}' was not found. You may need to run \`ollama pull ${selectedModel}\` first.`);
-      }
+    // Pass other errors through
+    return error;
+  };
 
-      // Re-throw other errors
-      throw error;
+  // Run `attempt(signal)` against `model`, bounded by HUBOT_OLLAMA_TIMEOUT_MS. A
+  // non-streaming chat call can't be cancelled, so the timeout rejects right
+  // away with an AbortError and the abort signal keeps the abandoned attempt
+  // from starting anything new.
+  const withModelTimeout = async (model, attempt) => {
+    const abortController = new AbortController();
+    const running = attempt(abortController.signal);
+    let timeoutId;
+    const timedOut = new Promise((_resolve, reject) => {
+      timeoutId = setTimeout(() => {
+        abortController.abort();
+        const error = new Error(`Model ${model} timed out after ${TIMEOUT_MS} ms`);
+        error.name = 'AbortError';
+        reject(error);
+      }, TIMEOUT_MS);
+    });
+    // The abandoned attempt's own outcome no longer matters
+    running.catch(err => robot.logger.debug(`Abandoned request to ${model} ended: ${err.message}`));
+    try {
+      return await Promise.race([running, timedOut]);
+    } finally {
+      clearTimeout(timeoutId);
     }
   };
 
+  const askModelWithTimeout = (model, userPrompt, msg, conversationHistory, conversationSummary, options) =>
+    withModelTimeout(model, signal => askOllamaWithModel(model, userPrompt, msg, conversationHistory, conversationSummary, {
+      ...options,
+      signal
+    }));
+
+  // Ask the effective model for this message, walking the fallback chain on
+  // model-specific failures. Each model gets HUBOT_OLLAMA_TIMEOUT_MS, and once a
+  // model has run a tool there is no fallback, so no tool runs twice.
+  // Options (in addition to askOllamaWithModel's):
+  // `model` - use this model only, instead of the room/user model and its fallbacks
+  // `persona` - persona to answer as; defaults to the one selected in the room (null for none)
+  // `onFallback(model, failedModels)` - called when a fallback model produced the answer
+  const askOllama = async (userPrompt, msg, conversationHistory = [], conversationSummary = null, requestOptions = {}) => {
+    const persona = requestOptions.persona === undefined ? resolvePersona(msg) : requestOptions.persona;
+    const options = { ...requestOptions, persona };
+    // A per-request `--model` is used as-is, without the fallback chain
+    const models = options.model ? [options.model] : getModelChain(msg, persona);
+    const failedModels = [];
+
+    for (let i = 0; i < models.length; i++) {
+      const model = models[i];
+      let toolsRan = false;
+      try {
+        const answer = await askModelWithTimeout(model, userPrompt, msg, conversationHistory, conversationSummary, {
+          ...options,
+          onToolRun: () => { toolsRan = true; }
+        });
+        if (failedModels.length > 0 && typeof options.onFallback === 'function') {
+          options.onFallback(model, failedModels);
+        }
+        return answer;
+      } catch (error) {
+        const nextModel = models[i + 1];
+        if (!nextModel || !isModelFallbackError(error)) {
+          throw describeOllamaError(error, model);
+        }
+        if (toolsRan) {
+          robot.logger.warn(`Model ${model} failed (${error.message}) after running tools; not falling back to ${nextModel} so they don't run again`);
+          throw describeOllamaError(error, model);
+        }
+        robot.logger.warn(`Model ${model} failed (${error.message}); falling back to ${nextModel}`);
+        failedModels.push(model);
+        // Anything already streamed from the failed model stays in its own message
+        if (options.stream) await options.stream.reset();
+      }
+    }
+    return null;
+  };
+
   const escapeRegex = (value) => String(value).replace(/[-[\]{}()*+?.,\\^$|#\s]/g, '\\$&');
 
   const isDirectMessage = (message) => {
@@ -1317,8 +2103,172 @@ IMPORTANT: Keep the summary under 600 characters.`;
     return /^[a-z0-9._-]+$/i.test(prompt.trim());
   };
 
+  /**
+   * Download the Slack images a prompt refers to, if the model can see them.
+   * @param {object} msg
+   * @param {string} model - Model that will answer the prompt
+   * @returns {Promise<{ images: string[], notices: string[] }>} notices explain images that were left out
+   */
+  const getPromptImages = async (msg, model) => {
+    const none = { images: [], notices: [] };
+    if (IMAGE_MAX_COUNT === 0 || getAdapterType(robot) !== 'slack') return none;
+
+    const web = robot?.adapter?.client?.web;
+    const target = getReactionTarget(msg, 'slack');
+    const files = await findSlackImageFiles({
+      web,
+      msg,
+      channel: target && target.channel,
+      threadTs: getExistingSlackThread(msg),
+      logger: robot.logger
+    });
+    if (files.length === 0) return none;
+
+    const { vision } = await getModelCapabilities(model);
+    if (!vision) {
+      return {
+        images: [],
+        notices: [`The model \`${model}\` can't see images, so I'm answering from your text only. Pin a vision model with \`${robot.name} ollama model <name>\` to ask about images.`]
+      };
+    }
+
+    const { images, skipped } = await downloadSlackImages(files, {
+      web,
+      maxImages: IMAGE_MAX_COUNT,
+      maxBytes: IMAGE_MAX_BYTES,
+      logger: robot.logger
+    });
+    const notices = skipped.length > 0
+      ? [`Skipped ${skipped.map(s => `${s.name} (${s.reason})`).join(', ')}.`]
+      : [];
+    return { images, notices };
+  };
+
+  /**
+   * Ask for JSON matching a registered schema and return it parsed and validated.
+   * Runs without conversation history, so the answer depends on the prompt alone.
+   * Exposed to other scripts as `robot.ollama.askJson`.
+   * @param {string} schemaName
+   * @param {string} prompt
+   * @param {object} [msg] - Hubot response object; picks the room/user model
+   * @param {object} [options] - Per-request options for askOllama (e.g. `model`, `temperature`)
+   * @returns {Promise<object>}
+   */
+  const askJson = async (schemaName, prompt, msg = null, options = {}) => {
+    const entry = schemaRegistry.getSchema(schemaName);
+    if (!entry) {
+      throw new Error(`Unknown schema \`${schemaName}\`.`);
+    }
+
+    const answer = await askOllama(sanitizeText(prompt), msg, [], null, { ...options, format: entry.schema });
+    let data;
+    try {
+      data = JSON.parse(answer);
+    } catch {
+      throw new Error(`The model did not return valid JSON for schema \`${entry.name}\`.`);
+    }
+
+    const problems = validateJsonSchema(data, entry.schema);
+    if (problems.length > 0) {
+      const error = new Error(`The model's JSON does not match schema \`${entry.name}\`: ${problems.slice(0, 5).join('; ')}`);
+      error.details = problems;
+      error.data = data;
+      throw error;
+    }
+    return data;
+  };
+
+  robot.ollama = { ...(robot.ollama || {}), askJson };
+
+  // `hubot ask --json <schema-name> <prompt>`: post the validated JSON as a code block
+  const handleJsonPrompt = async (schemaName, prompt, msg, requestOptions = {}) => {
+    if (!schemaRegistry.getSchema(schemaName)) {
+      const names = Object.values(schemaRegistry.getSchemas()).map(entry => `\`${entry.name}\``);
+      const available = names.length > 0 ? `Available schemas: ${names.join(', ')}` : 'No schemas are registered.';
+      msg.send(formatResponse(`Unknown schema \`${schemaName}\`. ${available}`, msg));
+      return;
+    }
+
+    let reactionAdded = false;
+    try {
+      reactionAdded = await addThinkingReaction(msg, REQUEST_THINKING_EMOJI);
+      const data = await askJson(schemaName, prompt, msg, requestOptions);
+      msg.send(formatResponse(`\`\`\`json\n${JSON.stringify(data, null, 2)}\n\`\`\``, msg));
+    } catch (err) {
+      msg.send(formatResponse(`Error: ${err.message || 'An unexpected error occurred while communicating with Ollama.'}`, msg));
+    } finally {
+      if (reactionAdded) await removeThinkingReaction(msg, REQUEST_THINKING_EMOJI);
+    }
+  };
+
+  /**
+   * Show a thinking model's reasoning according to the room's display mode.
+   * `thread` posts it as a Slack thread reply (collapsed under the message);
+   * adapters without threads treat it like `hide`.
+   * @param {object} msg
+   * @param {string[]} reasoningParts
+   * @param {'thread'|'inline'|'hide'} mode
+   */
+  const sendReasoning = (msg, reasoningParts, mode) => {
+    const reasoning = reasoningParts.join('\n\n').trim();
+    if (!reasoning || mode === 'hide') return;
+
+    const quoted = truncate(reasoning, THINKING_MAX_CHARS).split('\n').map(line => `> ${line}`).join('\n');
+    const text = `_Reasoning:_\n${quoted}`;
+    if (mode === 'inline') {
+      msg.send(formatResponse(text, msg));
+      return;
+    }
+
+    const threadTs = getAdapterType(robot) === 'slack' ? getSlackThreadTs(msg) : undefined;
+    if (!threadTs) {
+      robot.logger.debug('Reasoning not shown: thread display needs an adapter with threads');
+      return;
+    }
+    msg.send({ ...formatResponse(text, msg), thread_ts: threadTs });
+  };
+
+  // Name for a Slack user ID in messages read from the API: from the brain,
+  // else from the profile Slack attaches to the message, else the ID itself
+  const resolveSlackUserName = (userId, message) => {
+    const user = userId && ((robot.brain.users && robot.brain.users()) || {})[userId];
+    const profile = message && message.user_profile;
+    return (user && (user.real_name || user.name))
+      || (profile && (profile.real_name || profile.display_name))
+      || userId
+      || 'Unknown';
+  };
+
+  /**
+   * Earlier human messages of the Slack thread the bot was just asked in, for
+   * a thread-scoped conversation that has nothing stored yet.
+   * @param {object} msg
+   * @returns {Promise<{ userName: string, text: string }[]>}
+   */
+  const getThreadBackfill = async (msg) => {
+    if (CONTEXT_SCOPE !== 'thread' || THREAD_BACKFILL_LIMIT === 0 || getAdapterType(robot) !== 'slack') return [];
+    const threadTs = getExistingSlackThread(msg);
+    const target = getReactionTarget(msg, 'slack');
+    if (!threadTs || !target) return [];
+
+    const messages = await readRoomHistory(msg.message.room, () => fetchThreadMessages({
+      web: robot?.adapter?.client?.web,
+      channel: target.channel,
+      threadTs,
+      beforeTs: target.timestamp,
+      maxMessages: THREAD_BACKFILL_LIMIT,
+      resolveUserName: resolveSlackUserName,
+      logger: robot.logger
+    }));
+    if (messages.length > 0) {
+      robot.logger.debug(`Backfilled ${messages.length} message(s) from Slack thread ${threadTs}`);
+    }
+    return messages.map(m => ({ userName: m.userName, text: sanitizeText(m.text) }));
+  };
+
   // Shared handler for processing prompts from any source
-  const handlePrompt = async (userPrompt, msg) => {
+  // `requestOptions` come from inline flags (see utils/prompt-flags) and are passed on to askOllama
+  const handlePrompt = async (userPrompt, msg, requestOptions = {}) => {
     if (!userPrompt || userPrompt.trim() === '') {
       msg.send(formatResponse('Please provide a question or prompt.', msg));
       return;
@@ -1337,28 +2287,84 @@ IMPORTANT: Keep the summary under 600 characters.`;
       robot.logger.warn(`Possible prompt injection attempt detected from user=${getUserInfo(msg).name} room=${(msg && msg.message && msg.message.room) || 'unknown'}`);
     }
 
-    // Get conversation history and summary for this user/room
-    const { history: conversationHistory, summary: conversationSummary } = getConversationHistory(msg);
+    // Get conversation history and summary for this user/room (`--no-context` skips both)
+    const { history: conversationHistory, summary: conversationSummary } = requestOptions.noContext
+      ? { history: [], summary: null }
+      : getConversationHistory(msg);
+    const truncationNotice = `Note: Your prompt exceeded ${MAX_PROMPT_CHARS} characters and was truncated.`;
+    const responseStream = STREAM_ENABLED
+      ? createResponseStream({
+        robot,
+        msg,
+        format: (text) => formatResponse(text, msg),
+        canEdit: getAdapterType(robot) === 'slack',
+        updateIntervalMs: STREAM_UPDATE_INTERVAL_MS
+      })
+      : null;
     let reactionAdded = false;
     try {
       // Try to add a thinking reaction while processing (adapter-aware)
       reactionAdded = await addThinkingReaction(msg, REQUEST_THINKING_EMOJI);
 
-      const response = await askOllama(sanitizedPrompt, msg, conversationHistory, conversationSummary);
+      // A streamed answer starts arriving before askOllama returns, so the notice goes first
+      if (wasTruncated && responseStream) {
+        msg.send(formatResponse(truncationNotice, msg));
+      }
+
+      const persona = requestOptions.persona === undefined ? resolvePersona(msg) : requestOptions.persona;
+      const { images, notices: imageNotices } = await getPromptImages(msg, requestOptions.model || getModelChain(msg, persona)[0]);
+      for (const notice of imageNotices) {
+        msg.send(formatResponse(notice, msg));
+      }
+
+      // Asked inside a thread for the first time: read what the thread already says
+      const isNewConversation = conversationHistory.length === 0 && !conversationSummary;
+      const threadMessages = CONTEXT_TTL_MS > 0 && !requestOptions.noContext && isNewConversation ? await getThreadBackfill(msg) : [];
+
+      let fallbackNote = null;
+      const reasoningParts = [];
+      const response = await askOllama(sanitizedPrompt, msg, conversationHistory, conversationSummary, {
+        ...requestOptions,
+        persona,
+        threadMessages,
+        stream: responseStream,
+        images,
+        onReasoning: (text) => reasoningParts.push(text),
+        onFallback: (model, failedModels) => {
+          fallbackNote = `_Answered by fallback model \`${model}\` (${failedModels.map(m => `\`${m}\``).join(', ')} unavailable)._`;
+        }
+      });
 
       if (!response || !response.trim()) {
         msg.send(formatResponse('Error: Ollama returned an empty response.', msg));
         return;
       }
 
-      // Store this conversation turn for future context
-      storeConversationTurn(msg, sanitizedPrompt, response);
+      // Store this conversation turn for future context; a `--no-context` question stays out of it
+      if (!requestOptions.noContext) {
+        storeConversationTurn(msg, sanitizedPrompt, response);
+      }
+
+      if (wasTruncated && !responseStream) {
+        msg.send(formatResponse(truncationNotice, msg));
+      }
+
+      // Inline reasoning reads best ahead of the answer, unless the answer is already streaming
+      const thinkingDisplay = resolveThinkingDisplay(msg);
+      if (thinkingDisplay === 'inline' && !responseStream) {
+        sendReasoning(msg, reasoningParts, thinkingDisplay);
+      }
 
-      if (wasTruncated) {
-        msg.send(formatResponse(`Note: Your prompt exceeded ${MAX_PROMPT_CHARS} characters and was truncated.`, msg));
+      // The fallback note is only for the reply; the stored turn keeps the model's answer as-is
+      const reply = fallbackNote ? `${response}\n\n${fallbackNote}` : response;
+      const delivered = responseStream ? await responseStream.finish(reply) : false;
+      if (!delivered) {
+        msg.send(formatResponse(reply, msg));
       }
 
-      msg.send(formatResponse(response, msg));
+      if (thinkingDisplay === 'thread' || (thinkingDisplay === 'inline' && responseStream)) {
+        sendReasoning(msg, reasoningParts, thinkingDisplay);
+      }
     } catch (err) {
       msg.send(formatResponse(`Error: ${err.message || 'An unexpected error occurred while communicating with Ollama.'}`, msg));
     } finally {
@@ -1380,17 +2386,711 @@ IMPORTANT: Keep the summary under 600 characters.`;
       if (!text) return;
       if (extractAddressedFallbackPrompt(text)) return;
       const roomId = message.room || (message.user && message.user.room);
-      if (!roomId) return;
+      if (!roomId || !isAmbientRoom(roomId)) return;
+      if (isBotMessage(message)) return;
+      const userId = message.user && (message.user.id || message.user.name);
+      if (userId && getAmbientOptOuts()[userId]) return;
       const userName = (message.user && (message.user.real_name || message.user.name)) || 'Unknown';
-      pushAmbient(roomId, userName, text);
+      const redacted = redactSecrets(text);
+      if (redacted !== text) robot.logger.debug(`Redacted a likely secret from an ambient message in room ${roomId}`);
+      pushAmbient(roomId, userId, userName, redacted);
     });
   }
 
-  // Main command handler
-  robot.respond(/(?:ask|ollama|llm):?\s+(.+)/i, async (msg) => {
-    const userPrompt = msg.match[1];
+  // `hubot ollama <subcommand>` commands. Each pattern must match the whole
+  // remainder of the message; the prompt handler below skips anything a
+  // subcommand already claims, so `hubot ollama model foo` is never sent to the LLM.
+  const ollamaSubcommandPatterns = [];
+  const respondToSubcommand = (pattern, callback) => {
+    ollamaSubcommandPatterns.push(pattern);
+    robot.respond(new RegExp(`ollama\\s+${pattern}\\s*$`, 'i'), callback);
+  };
+
+  // Without hubot-auth everyone may run admin subcommands
+  const isAdmin = (msg) => !(robot.auth && typeof robot.auth.isAdmin === 'function') || robot.auth.isAdmin(msg.message.user);
+
+  // Show, pin, or reset the model for the current room (or just for the caller)
+  respondToSubcommand('model(?:\\s+(me))?(?:\\s+(\\S+))?', (msg) => {
+    const forUser = Boolean(msg.match[1]);
+    const requested = msg.match[2];
+    const overrides = getModelOverrides();
+    const roomId = (msg.message && msg.message.room) || 'direct';
+    const userId = getUserInfo(msg).id;
+    const scopeLabel = forUser ? 'you' : 'this room';
+    const bucket = forUser ? overrides.users : overrides.rooms;
+    const bucketKey = forUser ? userId : roomId;
+
+    if (!requested) {
+      const persona = resolvePersona(msg);
+      const [current, ...fallbacks] = getModelChain(msg, persona);
+      const source = persona && persona.model ? `from persona \`${persona.name}\``
+        : overrides.users[userId] ? 'pinned for you'
+          : overrides.rooms[roomId] ? 'pinned for this room'
+            : 'default';
+      const fallbackText = fallbacks.length > 0 ? `; falls back to ${fallbacks.map(m => `\`${m}\``).join(', ')}` : '';
+      msg.send(formatResponse(`Current model: \`${current}\` (${source})${fallbackText}`, msg));
+      return;
+    }
+
+    // Anyone may pin a model for themselves; the room's model is for admins
+    if (!forUser && !isAdmin(msg)) {
+      msg.send(formatResponse('Only admins can change the model of a room; use `ollama model me <name>` to change yours.', msg));
+      return;
+    }
+
+    if (/^reset$/i.test(requested)) {
+      delete bucket[bucketKey];
+      robot.brain.set('ollamaModelOverrides', overrides);
+      robot.logger.info(`Model override reset for ${forUser ? 'user' : 'room'}=${bucketKey}`);
+      msg.send(formatResponse(`Model reset for ${scopeLabel}; now using \`${resolveModel(msg)}\`.`, msg));
+      return;
+    }
+
+    if (!MODEL_NAME_ALLOWED.test(requested)) {
+      msg.send(formatResponse(`Invalid model name \`${sanitizeText(requested)}\`. Allowed characters: letters, numbers, \`.\`, \`_\`, \`:\`, \`-\`.`, msg));
+      return;
+    }
+
+    bucket[bucketKey] = requested;
+    robot.brain.set('ollamaModelOverrides', overrides);
+    robot.logger.info(`Model override set for ${forUser ? 'user' : 'room'}=${bucketKey}: ${requested}`);
+    msg.send(formatResponse(`Model for ${scopeLabel} set to \`${requested}\`.`, msg));
+  });
+
+  // Capabilities worth surfacing in the model catalog (Ollama also reports e.g. 'completion')
+  const CATALOG_CAPABILITIES = ['tools', 'vision', 'thinking', 'embedding'];
+
+  // `llama3.2` and `llama3.2:latest` name the same model
+  const normalizeModelName = (name) => (String(name || '').includes(':') ? String(name) : `${name}:latest`);
+
+  // List the models installed on the configured host
+  respondToSubcommand('models', async (msg) => {
+    let installed;
+    try {
+      const listing = await ollama.list();
+      installed = (listing && Array.isArray(listing.models)) ? listing.models : [];
+    } catch (err) {
+      robot.logger.error(`Model list failed: ${err.message}`);
+      msg.send(formatResponse(`Error: Could not list models (${err.message})`, msg));
+      return;
+    }
+
+    if (installed.length === 0) {
+      msg.send(formatResponse('No models are installed on the Ollama host.', msg));
+      return;
+    }
+
+    const activeModel = normalizeModelName(resolveModel(msg));
+    const rows = await Promise.all(installed.map(async (entry) => {
+      const name = entry.name || entry.model;
+      const details = entry.details || {};
+      const record = await getModelCapabilities(name);
+      const capabilities = record.probeFailed ? null : CATALOG_CAPABILITIES.filter(cap => record[cap]);
+      return {
+        name,
+        active: normalizeModelName(name) === activeModel,
+        size: formatBytes(entry.size),
+        parameters: details.parameter_size || '?',
+        quantization: details.quantization_level || '?',
+        capabilities: capabilities ? (capabilities.join(', ') || '-') : '?'
+      };
+    }));
+    rows.sort((a, b) => a.name.localeCompare(b.name));
+
+    let output;
+    if (getAdapterType(robot) === 'slack') {
+      const lines = [
+        '| Model | Size | Params | Quant | Capabilities |',
+        '|---|---|---|---|---|',
+        ...rows.map(r => `| ${r.active ? '* ' : ''}${r.name} | ${r.size} | ${r.parameters} | ${r.quantization} | ${r.capabilities} |`)
+      ];
+      output = `${lines.join('\n')}\n\n\`*\` = active in this room`;
+    } else {
+      output = rows.map(r =>
+        `${r.active ? '* ' : '  '}${r.name} - ${r.size}, ${r.parameters}, ${r.quantization}, capabilities: ${r.capabilities}`
+      ).join('\n');
+      output += '\n(* = active in this room)';
+    }
+    msg.send(formatResponse(output, msg));
+  });
+
+  // Show or set how reasoning from thinking models is shown in this room
+  respondToSubcommand('thinking(?:\\s+(thread|inline|hide|reset))?', (msg) => {
+    const requested = msg.match[1] && msg.match[1].toLowerCase();
+    const settings = getThinkingDisplaySettings();
+    const roomId = (msg.message && msg.message.room) || 'direct';
+    const describeMode = {
+      thread: 'in a thread reply',
+      inline: 'inline with the answer',
+      hide: 'hidden'
+    };
+
+    if (!requested) {
+      const current = resolveThinkingDisplay(msg);
+      const source = settings.rooms[roomId] ? 'set for this room' : 'default';
+      msg.send(formatResponse(`Model reasoning in this room: \`${current}\` (${describeMode[current]}, ${source})`, msg));
+      return;
+    }
+
+    if (requested === 'reset') {
+      delete settings.rooms[roomId];
+      robot.brain.set('ollamaThinkingDisplay', settings);
+      msg.send(formatResponse(`Model reasoning in this room reset to the default (\`${DEFAULT_THINKING_DISPLAY}\`).`, msg));
+      return;
+    }
+
+    settings.rooms[roomId] = requested;
+    robot.brain.set('ollamaThinkingDisplay', settings);
+    msg.send(formatResponse(`Model reasoning in this room will be ${describeMode[requested]}.`, msg));
+  });
+
+  const PERSONA_FLAG_SPECS = {
+    '--model': { key: 'model', type: 'string', placeholder: '<name>' },
+    '--tools': { key: 'tools', type: 'string', placeholder: '<a,b>' },
+    '--trigger': { key: 'trigger', type: 'string', placeholder: '<word>' }
+  };
+
+  const describePersona = (persona) => {
+    const details = [
+      persona.model ? `model \`${persona.model}\`` : null,
+      Array.isArray(persona.tools) ? `tools: ${persona.tools.join(', ') || 'none'}` : null,
+      persona.trigger ? `trigger \`${robot.name} ${persona.trigger}\`` : null
+    ].filter(Boolean);
+    return `\`${persona.name}\`${details.length > 0 ? ` (${details.join('; ')})` : ''}: ${truncate(persona.systemPrompt, 100)}`;
+  };
+
+  // Show the persona active in this room
+  respondToSubcommand('persona', (msg) => {
+    const persona = resolvePersona(msg);
+    const text = persona
+      ? `Persona in this room: ${describePersona(persona)}`
+      : `No persona in this room; using the default prompt. Pick one with \`${robot.name} ollama persona use <name>\`.`;
+    msg.send(formatResponse(text, msg));
+  });
+
+  // List the saved personas
+  respondToSubcommand('persona\\s+list', (msg) => {
+    const personas = Object.values(getPersonaSettings().personas).sort((a, b) => a.name.localeCompare(b.name));
+    if (personas.length === 0) {
+      msg.send(formatResponse(`No personas yet. Add one with \`${flagUsage(`${robot.name} ollama persona add <name>`, PERSONA_FLAG_SPECS).replace(/^Usage: /, '').replace(/<prompt>$/, '<system prompt>')}\`.`, msg));
+      return;
+    }
+    const active = resolvePersona(msg);
+    const lines = personas.map(persona => `${active && active.name === persona.name ? '* ' : '- '}${describePersona(persona)}`);
+    lines.push('(* = active in this room)');
+    msg.send(formatResponse(lines.join('\n'), msg));
+  });
+
+  // Save a persona; an existing persona with the same name is replaced
+  respondToSubcommand('persona\\s+add\\s+([\\s\\S]+)', (msg) => {
+    if (!isAdmin(msg)) {
+      msg.send(formatResponse('Only admins can change personas.', msg));
+      return;
+    }
+    const usage = flagUsage(`${robot.name} ollama persona add <name>`, PERSONA_FLAG_SPECS).replace(/<prompt>$/, '<system prompt>');
+    const [, name, rest = ''] = msg.match[1].match(/^(\S+)\s*([\s\S]*)$/);
+    const { options, prompt, error, help } = parsePromptFlags(rest, PERSONA_FLAG_SPECS);
+    const tools = options.tools !== undefined
+      ? options.tools.split(',').map(tool => tool.trim()).filter(tool => tool && tool.toLowerCase() !== 'none')
+      : null;
+    const unknownTools = (tools || []).filter(tool => !registry.getTools()[tool]);
+    const trigger = options.trigger && options.trigger.toLowerCase();
+    const triggerOwner = trigger && findPersonaByTrigger(trigger);
+
+    const problem = error
+      || (!PERSONA_NAME_ALLOWED.test(name) ? `Invalid persona name \`${sanitizeText(name)}\`. Allowed characters: letters, numbers, \`.\`, \`_\`, \`-\`` : null)
+      || (options.model && !MODEL_NAME_ALLOWED.test(options.model) ? `Invalid model name \`${sanitizeText(options.model)}\`` : null)
+      || (unknownTools.length > 0 ? `Unknown tool(s): ${unknownTools.join(', ')}. Available tools: ${Object.keys(registry.getTools()).join(', ') || 'none'}` : null)
+      || (trigger && !PERSONA_NAME_ALLOWED.test(trigger) ? `Invalid trigger word \`${sanitizeText(trigger)}\`` : null)
+      || (trigger && isTriggerTaken(trigger) ? `\`${trigger}\` is already a command and cannot be a trigger word` : null)
+      || (triggerOwner && triggerOwner.name.toLowerCase() !== name.toLowerCase() ? `Trigger \`${trigger}\` is already used by persona \`${triggerOwner.name}\`` : null)
+      || (!prompt.trim() ? 'A persona needs a system prompt' : null);
+    if (help || problem) {
+      msg.send(formatResponse(problem ? `${problem}.\n${usage}` : usage, msg));
+      return;
+    }
+
+    const settings = getPersonaSettings();
+    const key = name.toLowerCase();
+    const replaced = Boolean(settings.personas[key]);
+    settings.personas[key] = {
+      name,
+      systemPrompt: sanitizeText(prompt),
+      model: options.model || null,
+      tools,
+      trigger: trigger || null,
+      createdBy: getUserInfo(msg).name,
+      createdAt: Date.now()
+    };
+    robot.brain.set('ollamaPersonas', settings);
+    robot.logger.info(`Persona ${replaced ? 'updated' : 'added'}: ${name}`);
+    msg.send(formatResponse(`Persona ${describePersona(settings.personas[key])} ${replaced ? 'updated' : 'saved'}. Use it here with \`${robot.name} ollama persona use ${name}\`.`, msg));
+  });
+
+  // Delete a persona, and its selection in every room
+  respondToSubcommand('persona\\s+remove\\s+(\\S+)', (msg) => {
+    if (!isAdmin(msg)) {
+      msg.send(formatResponse('Only admins can change personas.', msg));
+      return;
+    }
+    const persona = getPersona(msg.match[1]);
+    if (!persona) {
+      msg.send(formatResponse(`There is no persona named \`${sanitizeText(msg.match[1])}\`.`, msg));
+      return;
+    }
+    const settings = getPersonaSettings();
+    const key = persona.name.toLowerCase();
+    delete settings.personas[key];
+    for (const [roomId, selected] of Object.entries(settings.rooms)) {
+      if (selected === key) delete settings.rooms[roomId];
+    }
+    robot.brain.set('ollamaPersonas', settings);
+    robot.logger.info(`Persona removed: ${persona.name}`);
+    msg.send(formatResponse(`Persona \`${persona.name}\` removed.`, msg));
+  });
+
+  // Select the persona this room is answered as (`none` goes back to the default prompt)
+  respondToSubcommand('persona\\s+use\\s+(\\S+)', (msg) => {
+    const requested = msg.match[1];
+    const settings = getPersonaSettings();
+    const roomId = (msg.message && msg.message.room) || 'direct';
+
+    if (/^(?:none|reset|default)$/i.test(requested)) {
+      delete settings.rooms[roomId];
+      robot.brain.set('ollamaPersonas', settings);
+      msg.send(formatResponse('This room is back to the default prompt.', msg));
+      return;
+    }
+
+    const persona = getPersona(requested);
+    if (!persona) {
+      const names = Object.values(settings.personas).map(p => `\`${p.name}\``);
+      const available = names.length > 0 ? `Available personas: ${names.join(', ')}` : 'No personas are saved.';
+      msg.send(formatResponse(`There is no persona named \`${sanitizeText(requested)}\`. ${available}`, msg));
+      return;
+    }
+
+    settings.rooms[roomId] = persona.name.toLowerCase();
+    robot.brain.set('ollamaPersonas', settings);
+    robot.logger.info(`Persona for room=${roomId} set to ${persona.name}`);
+    msg.send(formatResponse(`This room now answers as persona \`${persona.name}\`.`, msg));
+  });
+
+  // Show which registered tools are offered in this room, and why
+  respondToSubcommand('tools', (msg) => {
+    const roomId = (msg.message && msg.message.room) || 'direct';
+    const registered = Object.keys(registry.getTools()).sort();
+    const offered = Object.keys(getToolsFor(msg));
+    const withheld = registered.filter(name => !offered.includes(name));
+    const source = normalizeToolRule(getToolRuleSettings().rooms[roomId]) ? `set with \`${robot.name} ollama tools allow|deny\``
+      : ROOM_TOOL_RULES[parseRoomList(roomId)[0]] ? 'from HUBOT_OLLAMA_ROOM_TOOLS for this room'
+        : ROOM_TOOL_RULES[DEFAULT_RULE_KEY] ? 'from the HUBOT_OLLAMA_ROOM_TOOLS default'
+          : null;
+    const lines = [
+      `Tools offered in this room: ${offered.sort().join(', ') || 'none'}`,
+      withheld.length > 0 ? `Not offered here: ${withheld.join(', ')}` : null,
+      source ? `Rule: ${source}.` : null,
+      !TOOLS_ENABLED ? 'Tools are turned off on this bot (HUBOT_OLLAMA_TOOLS_ENABLED).' : null
+    ].filter(Boolean);
+    msg.send(formatResponse(lines.join('\n'), msg));
+  });
+
+  // Offer only some tools in this room, or every tool but some
+  respondToSubcommand('tools\\s+(allow|deny)\\s+(\\S+(?:[\\s,]+\\S+)*)', (msg) => {
+    if (!isAdmin(msg)) {
+      msg.send(formatResponse('Only admins can change the tools of a room.', msg));
+      return;
+    }
+    const mode = msg.match[1].toLowerCase();
+    const names = msg.match[2].split(/[\s,]+/).filter(name => name && name.toLowerCase() !== 'none');
+    const registered = registry.getTools();
+    const unknown = names.filter(name => !name.endsWith('*') && !registered[name]);
+    if (unknown.length > 0) {
+      msg.send(formatResponse(`Unknown tool(s): ${unknown.map(sanitizeText).join(', ')}. Available tools: ${Object.keys(registered).join(', ') || 'none'}`, msg));
+      return;
+    }
+
+    const roomId = (msg.message && msg.message.room) || 'direct';
+    const settings = getToolRuleSettings();
+    settings.rooms[roomId] = { [mode]: names };
+    robot.brain.set('ollamaToolRules', settings);
+    robot.logger.info(`Tool rule for room=${roomId} set to ${mode} ${names.join(',') || 'none'}`);
+    const offered = Object.keys(getToolsFor(msg)).sort();
+    msg.send(formatResponse(`Tools offered in this room: ${offered.join(', ') || 'none'}`, msg));
+  });
+
+  // Drop this room's saved rule
+  respondToSubcommand('tools\\s+reset', (msg) => {
+    if (!isAdmin(msg)) {
+      msg.send(formatResponse('Only admins can change the tools of a room.', msg));
+      return;
+    }
+    const roomId = (msg.message && msg.message.room) || 'direct';
+    const settings = getToolRuleSettings();
+    delete settings.rooms[roomId];
+    robot.brain.set('ollamaToolRules', settings);
+    const offered = Object.keys(getToolsFor(msg)).sort();
+    msg.send(formatResponse(`This room is back to the configured tools: ${offered.join(', ') || 'none'}`, msg));
+  });
+
+  // List the schemas available to `ask --json`
+  respondToSubcommand('schemas', (msg) => {
+    const entries = Object.values(schemaRegistry.getSchemas()).sort((a, b) => a.name.localeCompare(b.name));
+    if (entries.length === 0) {
+      msg.send(formatResponse('No schemas are registered. Set HUBOT_OLLAMA_SCHEMAS_FILE or register one from a script.', msg));
+      return;
+    }
+    const lines = entries.map(entry => {
+      const fields = Object.keys((entry.schema && entry.schema.properties) || {});
+      const fieldText = fields.length > 0 ? ` (fields: ${fields.join(', ')})` : '';
+      return `- \`${entry.name}\`${entry.description ? ` - ${entry.description}` : ''}${fieldText}`;
+    });
+    msg.send(formatResponse(lines.join('\n'), msg));
+  });
+
+  // Clear the caller's conversation context: the current one, or with `all`,
+  // every context keyed to them in any room (room and thread scopes share the
+  // current context with others, so only that one is theirs to clear)
+  respondToSubcommand('forget(?:\\s+(all))?', (msg) => {
+    const contextKey = getContextKey(msg);
+    const userId = getUserInfo(msg).id;
+    const keys = [contextKey];
+    if (msg.match[1]) {
+      const suffix = `:${userId}`;
+      keys.push(...Object.keys(robot.brain.get('ollamaContexts') || {}).filter(key => key !== contextKey && key.endsWith(suffix)));
+    }
+
+    const cleared = forgetContexts(keys);
+    if (cleared.contexts === 0) {
+      msg.send(formatResponse('There was no conversation to forget.', msg));
+      return;
+    }
+
+    const parts = [`${cleared.turns} turn${cleared.turns === 1 ? '' : 's'}`];
+    if (cleared.summaries > 0) parts.push(`${cleared.summaries === 1 ? 'a summary' : `${cleared.summaries} summaries`} of earlier turns`);
+    const what = cleared.contexts === 1 ? 'this conversation' : `${cleared.contexts} conversations`;
+    msg.send(formatResponse(`Forgot ${what} (${parts.join(' and ')}).`, msg));
+  });
+
+  // Show what getConversationHistory would hand the model for this conversation
+  respondToSubcommand('context', async (msg) => {
+    if (CONTEXT_TTL_MS === 0) {
+      await sendPrivately(msg, 'Conversation context is disabled (HUBOT_OLLAMA_CONTEXT_TTL_MS=0), so nothing is remembered between prompts.');
+      return;
+    }
+
+    const contextKey = getContextKey(msg);
+    const { history, summary } = getConversationHistory(msg);
+    const context = (robot.brain.get('ollamaContexts') || {})[contextKey];
+    const lines = [`Context key: \`${contextKey}\` (scope: ${CONTEXT_SCOPE})`];
+    if (!context) {
+      lines.push('Nothing is stored for this conversation yet.');
+      await sendPrivately(msg, lines.join('\n'));
+      return;
+    }
+
+    const model = getModelChain(msg)[0];
+    const historyBudget = Math.floor((await getContextWindow(model)) * HISTORY_SHARE);
+    const storedTokens = (summary ? estimateMessageTokens([{ content: summary }], tokenCalibration.ratio(model)) : 0)
+      + history.reduce((total, turn) => total + turnTokens(turn, model), 0);
+    const expiresIn = Math.max(0, CONTEXT_TTL_MS - (Date.now() - context.lastUpdated));
+    lines.push(`Stored turns: ${history.length}`);
+    lines.push(summary ? `Summary of earlier turns: ${summary}` : 'Summary of earlier turns: none');
+    lines.push(`Expires in: ${formatDuration(expiresIn)} without new messages`);
+    lines.push(`Estimated tokens: ~${storedTokens} (older turns are summarized past ~${historyBudget} for \`${model}\`)`);
+    await sendPrivately(msg, lines.join('\n'));
+  });
+
+  // Export the current conversation as a transcript. Slack gets a file
+  // snippet in the conversation's thread; other adapters get chunked text.
+  respondToSubcommand('export(?:\\s+(markdown|md|json))?', async (msg) => {
+    const format = /^json$/i.test(msg.match[1] || '') ? 'json' : 'markdown';
+    const contextKey = getContextKey(msg);
+    const { history, summary } = getConversationHistory(msg);
+    const context = (robot.brain.get('ollamaContexts') || {})[contextKey];
+    const memories = (robot.brain.get('ollamaMemory') || {})[contextKey] || {};
+    if (!context && Object.keys(memories).length === 0) {
+      msg.send(formatResponse('There is no conversation to export yet.', msg));
+      return;
+    }
+
+    const exportedAt = Date.now();
+    const source = {
+      contextKey,
+      scope: CONTEXT_SCOPE,
+      botName: robot.name,
+      userName: CONTEXT_SCOPE === 'room-user' ? getUserInfo(msg).name : 'user',
+      summary,
+      history,
+      memories,
+      lastUpdated: context && context.lastUpdated,
+      exportedAt
+    };
+    const transcript = format === 'json' ? renderJson(source) : renderMarkdown(source);
+    const turnsLabel = `${history.length} turn${history.length === 1 ? '' : 's'}`;
+
+    const uploadV2 = robot?.adapter?.client?.web?.files?.uploadV2;
+    if (getAdapterType(robot) === 'slack' && typeof uploadV2 === 'function') {
+      const extension = format === 'json' ? 'json' : 'md';
+      const threadTs = getExistingSlackThread(msg) || (CONTEXT_SCOPE === 'thread' ? getSlackThreadTs(msg) : undefined);
+      try {
+        await uploadV2({
+          channel_id: msg.message.room,
+          ...(threadTs && { thread_ts: threadTs }),
+          filename: `transcript-${new Date(exportedAt).toISOString().slice(0, 10)}.${extension}`,
+          title: `Conversation transcript (${turnsLabel})`,
+          content: transcript
+        });
+        return;
+      } catch (e) {
+        robot.logger.warn(`Transcript upload failed, sending it as text: ${e && e.message}`);
+      }
+    }
+
+    msg.send(formatResponse(`Conversation transcript (${turnsLabel}):`, msg));
+    chunkText(transcript, EXPORT_CHUNK_CHARS).forEach(chunk => msg.send(chunk));
+  });
+
+  /**
+   * Recent messages of the room for `ollama catchup`: Slack channel history
+   * when the adapter can read it, else the ambient buffer. Both honour the
+   * ambient room rules and opt-outs.
+   * @param {object} msg
+   * @param {{ count: number, since: number|null }} range - `since` is a time in ms since epoch
+   * @returns {Promise<{ userName: string, text: string }[]|null>} oldest first; null when no source is available or the room is left out
+   */
+  const getCatchupMessages = async (msg, { count, since }) => {
+    if (!isAmbientRoom(msg.message.room)) return null;
+    if (getAdapterType(robot) === 'slack') {
+      const target = getReactionTarget(msg, 'slack');
+      const messages = await readRoomHistory(msg.message.room, () => fetchChannelMessages({
+        web: robot?.adapter?.client?.web,
+        channel: (target && target.channel) || msg.message.room,
+        maxMessages: count,
+        since,
+        beforeTs: target && target.timestamp,
+        resolveUserName: resolveSlackUserName,
+        logger: robot.logger
+      }));
+      if (messages) return messages;
+    }
+
+    if (!AMBIENT_CONTEXT) return null;
+    const messages = getAmbientMessages(msg.message.room).filter(m => !since || m.at >= since);
+    return messages.slice(Math.max(0, messages.length - count));
+  };
+
+  const CATCHUP_PROMPT = `You are catching someone up on a chat room conversation they missed.
+Summarize the messages you are given under these headings:
+**Decisions** - what was agreed or decided.
+**Open questions** - what was asked and is not answered yet.
+**Action items** - who is going to do what; name the owner of each, or say it has none.
+Leave out a heading when nothing belongs under it. Use only what is in the messages and be brief.`;
+
+  // Summarize recent room conversation for someone who missed it
+  respondToSubcommand('catchup(?:\\s+(\\d+|since\\s+\\S+))?', async (msg) => {
+    const arg = msg.match[1] || '';
+    const sinceMatch = /^since\s+(\S+)$/i.exec(arg);
+    const sinceMs = sinceMatch ? parseDuration(sinceMatch[1]) : null;
+    if (sinceMatch && !sinceMs) {
+      msg.send(formatResponse(`\`${sinceMatch[1]}\` is not a duration.\nUsage: ${robot.name} ollama catchup [N|since <duration>], e.g. \`since 2h\` or \`since 30m\``, msg));
+      return;
+    }
+    const count = /^\d+$/.test(arg)
+      ? Math.min(CATCHUP_MAX_MESSAGES, Math.max(1, Number.parseInt(arg, 10)))
+      : (sinceMs ? CATCHUP_MAX_MESSAGES : CATCHUP_DEFAULT_MESSAGES);
+
+    const messages = await getCatchupMessages(msg, { count, since: sinceMs ? Date.now() - sinceMs : null });
+    if (!messages) {
+      const reason = isAmbientRoom(msg.message.room)
+        ? 'turn on HUBOT_OLLAMA_AMBIENT_CONTEXT, or use Slack so I can read the channel'
+        : 'this room is left out by HUBOT_OLLAMA_AMBIENT_ROOMS / HUBOT_OLLAMA_AMBIENT_EXCLUDE_ROOMS';
+      msg.send(formatResponse(`I have no room history to catch you up on: ${reason}.`, msg));
+      return;
+    }
+    const period = sinceMs ? ` from the last ${formatDuration(sinceMs).replace(/ 0[ms]$/, '')}` : '';
+    if (messages.length === 0) {
+      msg.send(formatResponse(`There are no messages${period || ' yet'} to catch up on.`, msg));
+      return;
+    }
+
+    // Keep the newest messages that fit the model's context window
+    const summarizeWithModel = async (model) => {
+      const contextWindow = await getContextWindow(model);
+      const ratio = tokenCalibration.ratio(model);
+      let budget = contextWindow - Math.max(MIN_RESPONSE_TOKENS, Math.floor(contextWindow * RESPONSE_RESERVE_SHARE))
+        - estimateMessageTokens([{ content: CATCHUP_PROMPT }], ratio);
+      const lines = [];
+      for (let i = messages.length - 1; i >= 0; i--) {
+        const line = `${messages[i].userName}: ${sanitizeText(messages[i].text)}`;
+        budget -= Math.ceil(estimateTokens(line) * ratio) + 1;
+        if (budget < 0 && lines.length > 0) break;
+        lines.unshift(line);
+      }
+
+      const response = await ollama.chat({
+        model,
+        messages: [
+          { role: 'system', content: CATCHUP_PROMPT },
+          { role: 'user', content: `<room_messages>\n${lines.join('\n')}\n</room_messages>` }
+        ],
+        options: { num_ctx: contextWindow }
+      });
+      return { response, lines };
+    };
+
+    const models = getModelChain(msg);
+    let model = models[0];
+    let reactionAdded = false;
+    try {
+      reactionAdded = await addThinkingReaction(msg, REQUEST_THINKING_EMOJI);
+
+      // Same fallback chain and per-model timeout as questions
+      let result;
+      for (let i = 0; !result; i++) {
+        model = models[i];
+        try {
+          result = await withModelTimeout(model, () => summarizeWithModel(model));
+        } catch (error) {
+          const nextModel = models[i + 1];
+          if (!nextModel || !isModelFallbackError(error)) throw error;
+          robot.logger.warn(`Model ${model} failed (${error.message}); falling back to ${nextModel}`);
+        }
+      }
+      const { response, lines } = result;
+      const summary = splitThinking(response && response.message && response.message.content).content.trim();
+      if (!summary) {
+        msg.send(formatResponse('Error: Ollama returned an empty response.', msg));
+        return;
+      }
+      const counted = `${lines.length} message${lines.length === 1 ? '' : 's'}`;
+      const heading = sinceMs ? `Catch-up on ${counted}${period}:` : `Catch-up on the last ${counted}:`;
+      msg.send(formatResponse(`${heading}\n${summary}`, msg));
+    } catch (error) {
+      const err = describeOllamaError(error, model);
+      msg.send(formatResponse(`Error: ${err.message || 'An unexpected error occurred while communicating with Ollama.'}`, msg));
+    } finally {
+      if (reactionAdded) await removeThinkingReaction(msg, REQUEST_THINKING_EMOJI);
+    }
+  });
+
+  // Show or change whether the caller's room messages are captured as ambient context
+  respondToSubcommand('ambient(?:\\s+(optout|optin|opt-out|opt-in))?', (msg) => {
+    const userId = getUserInfo(msg).id;
+    const action = (msg.match[1] || '').replace('-', '').toLowerCase();
+    const optOuts = getAmbientOptOuts();
+
+    if (action === 'optout') {
+      optOuts[userId] = Date.now();
+      robot.brain.set('ollamaAmbientOptOuts', optOuts);
+      const removed = forgetAmbientUser(userId);
+      robot.logger.info(`User ${userId} opted out of ambient capture; dropped ${removed} buffered message(s)`);
+      msg.send(formatResponse(`Your room messages are no longer captured as background context${removed > 0 ? `, and the ${removed} already captured were dropped` : ''}. Use \`${robot.name} ollama ambient optin\` to undo.`, msg));
+      return;
+    }
+    if (action === 'optin') {
+      delete optOuts[userId];
+      robot.brain.set('ollamaAmbientOptOuts', optOuts);
+      msg.send(formatResponse(AMBIENT_CONTEXT
+        ? 'Your room messages can be captured as background context again.'
+        : 'You are opted in, but ambient capture is off on this bot (HUBOT_OLLAMA_AMBIENT_CONTEXT).', msg));
+      return;
+    }
+
+    const roomId = msg.message.room;
+    let status;
+    if (!AMBIENT_CONTEXT) {
+      status = 'Ambient capture is off on this bot (HUBOT_OLLAMA_AMBIENT_CONTEXT), so room messages are never kept as background context.';
+    } else if (isDirectMessage(msg.message) || !isAmbientRoom(roomId)) {
+      status = 'Room messages here are not captured as background context.';
+    } else {
+      status = `The last ${AMBIENT_CONTEXT_SIZE} room messages here are kept in memory as background context for answers; likely secrets are redacted and bot posts are skipped.`;
+    }
+    const yours = optOuts[userId]
+      ? 'You opted out: your messages are never captured.'
+      : `Use \`${robot.name} ollama ambient optout\` to keep your messages out.`;
+    msg.send(formatResponse(`${status}\n${yours}`, msg));
+  });
+
+  // Run the brain cleanup now. With hubot-auth loaded only admins may; it
+  // only ever removes data that is already expired or orphaned.
+  respondToSubcommand('gc', (msg) => {
+    if (!isAdmin(msg)) {
+      msg.send(formatResponse('Only admins can run `ollama gc`.', msg));
+      return;
+    }
+
+    const removed = collectGarbage();
+    const parts = [];
+    if (removed.contexts > 0) parts.push(`${removed.contexts} expired conversation context${removed.contexts === 1 ? '' : 's'}`);
+    if (removed.fetchedUrls > 0) parts.push(`${removed.fetchedUrls} leftover fetched-URL list${removed.fetchedUrls === 1 ? '' : 's'}`);
+    if (removed.memoryScopes > 0) parts.push(`${removed.memoryScopes} empty memory scope${removed.memoryScopes === 1 ? '' : 's'}`);
+    msg.send(formatResponse(parts.length > 0 ? `Removed ${parts.join(', ')}.` : 'Nothing to clean up.', msg));
+  });
+
+  // Show every configured host with a fresh health check
+  respondToSubcommand('hosts', async (msg) => {
+    const hosts = await hostPool.checkHealth();
+    const describeHost = (host, index) => {
+      const health = host.status === 'healthy' ? `healthy, ${host.latencyMs} ms` : `down (${host.lastError})`;
+      return `${index + 1}. ${host.label} - ${health}`;
+    };
+
+    const lines = hosts.map(describeHost);
+    if (hosts.length > 1) {
+      lines.push(`Strategy: ${hostPool.strategy}`);
+    }
+    msg.send(formatResponse(lines.join('\n'), msg));
+  });
+
+  // Parse inline flags off a prompt and answer it. `command` is the command
+  // word shown in usage; `persona` is set for persona trigger words.
+  const handleAskCommand = async (userPrompt, msg, { command = 'ask', persona } = {}) => {
     robot.logger.debug(`User prompt: ${userPrompt}`);
-    await handlePrompt(userPrompt, msg);
+    const { options: flags, prompt, error, help } = parsePromptFlags(userPrompt);
+    const usage = flagUsage(`${robot.name} ${command}`);
+    const ctxModel = flags.numCtx && (flags.model || getModelChain(msg, persona || resolvePersona(msg))[0]);
+    const maxCtx = ctxModel && MODEL_NAME_ALLOWED.test(ctxModel) ? await getMaxContextWindow(ctxModel) : null;
+    const problem = error
+      || (flags.model && !MODEL_NAME_ALLOWED.test(flags.model) ? `Invalid model name \`${flags.model}\`` : null)
+      || (maxCtx && flags.numCtx > maxCtx ? `--ctx must be at most ${maxCtx} for \`${ctxModel}\`` : null)
+      || (flags.web && flags.noTools ? '--web needs tools, so it cannot be combined with --no-tools' : null)
+      || (flags.web && !registry.getTools().hubot_ollama_web_search ? '--web needs web search, which is not enabled on this bot' : null)
+      || (flags.web && !getToolsFor(msg).hubot_ollama_web_search ? '--web needs web search, which is turned off in this room' : null)
+      || (flags.web && !getToolsFor(msg, persona || resolvePersona(msg)).hubot_ollama_web_search ? '--web needs web search, which this persona is not allowed to use' : null);
+    if (help || problem) {
+      msg.send(formatResponse(problem ? `${problem}.\n${usage}` : usage, msg));
+      return;
+    }
+
+    if (flags.json !== undefined) {
+      if (!prompt) {
+        msg.send(formatResponse(`Usage: ${robot.name} ask --json <schema-name> <prompt>`, msg));
+        return;
+      }
+      const { json: schemaName, ...requestOptions } = flags;
+      await handleJsonPrompt(schemaName, prompt, msg, { ...requestOptions, persona });
+      return;
+    }
+    await handlePrompt(prompt, msg, { ...flags, persona });
+  };
+
+  // Main command handler (named group: subcommand patterns may add their own captures)
+  const promptPattern = new RegExp(`(?:ask|llm|ollama(?!\\s+(?:${ollamaSubcommandPatterns.join('|')})\\s*$)):?\\s+(?<prompt>.+)`, 'i');
+  robot.respond(promptPattern, async (msg) => {
+    await handleAskCommand(msg.match.groups.prompt, msg);
+  });
+
+  // Persona trigger words (`hubot coder <prompt>`). The matcher only claims
+  // messages whose first word is a saved trigger, so other addressed messages
+  // still reach the remaining listeners and catchAll.
+  const triggerPattern = robot.respondPattern(/([a-z0-9._-]+):?\s+([\s\S]+)/i);
+  robot.listen((message) => {
+    const match = typeof message.match === 'function' ? message.match(triggerPattern) : null;
+    return match && findPersonaByTrigger(match[1]) ? match : null;
+  }, async (msg) => {
+    const persona = findPersonaByTrigger(msg.match[1]);
+    await handleAskCommand(msg.match[2], msg, { command: persona.trigger, persona });
   });
 
   if (RESPOND_TO_ADDRESSED_FALLBACK) {
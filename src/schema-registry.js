@@ -0,0 +1,81 @@
+const fs = require('fs');
+
+const SCHEMA_NAME_ALLOWED = /^[a-z0-9._-]+$/i;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Create a registry of named JSON Schemas for structured output (`hubot ask --json <name>`).
+ *
+ * @param {object} [options]
+ * @param {object} [options.inherit] - Another registry whose schemas are also offered, unless
+ *   this one registers a schema of the same name
+ */
+function createSchemaRegistry({ inherit = null } = {}) {
+  let schemas = {};
+
+  const registry = {
+    /**
+     * @param {string} name - Used as `--json <name>`
+     * @param {object} schema - JSON Schema passed to Ollama's `format` parameter
+     * @param {{ description?: string }} [options]
+     */
+    registerSchema(name, schema, options = {}) {
+      if (!name || !SCHEMA_NAME_ALLOWED.test(name)) {
+        throw new Error(`Schema name "${name}" must only contain letters, digits, ".", "_" or "-"`);
+      }
+      if (!isPlainObject(schema) || typeof schema.type !== 'string') {
+        throw new Error(`Schema "${name}" must be a JSON Schema object with a type`);
+      }
+
+      schemas[name.toLowerCase()] = {
+        name,
+        description: options.description || schema.description || '',
+        schema
+      };
+    },
+
+    getSchema(name) {
+      const key = String(name || '').toLowerCase();
+      return schemas[key] || (inherit ? inherit.getSchema(key) : null);
+    },
+
+    getSchemas() {
+      return { ...(inherit ? inherit.getSchemas() : {}), ...schemas };
+    },
+
+    // Drops this registry's own schemas; inherited ones stay
+    clearSchemas() {
+      schemas = {};
+    },
+
+    /**
+     * Register every schema in a JSON file shaped like
+     * `{ "<name>": <schema> }` or `{ "<name>": { "description": "...", "schema": <schema> } }`.
+     * @param {string} filePath
+     * @returns {string[]} names of the registered schemas
+     */
+    loadSchemasFromFile(filePath) {
+      const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (!isPlainObject(parsed)) {
+        throw new Error(`Schema file ${filePath} must contain a JSON object keyed by schema name`);
+      }
+      return Object.entries(parsed).map(([name, entry]) => {
+        const wrapped = isPlainObject(entry) && isPlainObject(entry.schema);
+        registry.registerSchema(name, wrapped ? entry.schema : entry, { description: wrapped ? entry.description : undefined });
+        return name;
+      });
+    }
+  };
+
+  return registry;
+}
+
+/**
+ * Shared registry for scripts that still `require('hubot-ollama/src/schema-registry')`.
+ * Each robot's own registry (`robot.ollama.schemas`) inherits from it.
+ */
+module.exports = createSchemaRegistry();
+module.exports.createSchemaRegistry = createSchemaRegistry;
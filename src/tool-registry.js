@@ -1,4 +1,5 @@
-const tools = {};
+const { EventEmitter } = require('events');
+
 const JSON_SCHEMA_TYPES = new Set(['object', 'array', 'string', 'number', 'integer', 'boolean', 'null']);
 
 function isPlainObject(value) {
@@ -17,57 +18,132 @@ function isJsonSchemaObject(rawParams) {
   return true;
 }
 
-/**
- * Register Available Tools
- */
-module.exports = {
-  registerTool(name, definition) {
-    if (!name) {
-      throw new Error('Tool must have a name');
-    }
-    if (!definition || typeof definition !== "object") {
-      throw new Error(`Tool "${name}" must provide a definition object`);
-    }
-    if (typeof definition.handler !== 'function') {
-      throw new Error(`Tool "${name}" must provide an async handler function`);
-    }
-    if (!definition.description) {
-      throw new Error(`Tool "${name}" must provide a description`);
-    }
+function normalizeTool(name, definition) {
+  if (!name) {
+    throw new Error('Tool must have a name');
+  }
+  if (!definition || typeof definition !== "object") {
+    throw new Error(`Tool "${name}" must provide a definition object`);
+  }
+  if (typeof definition.handler !== 'function') {
+    throw new Error(`Tool "${name}" must provide an async handler function`);
+  }
+  if (!definition.description) {
+    throw new Error(`Tool "${name}" must provide a description`);
+  }
 
-    // Normalize parameters to JSON Schema object shape: { type, properties, required? }.
-    // Tools that pass a flat { fieldName: { type, description } } map get wrapped automatically.
-    const rawParams = definition.parameters || {};
-    const parameters = isJsonSchemaObject(rawParams)
-      ? rawParams
-      : { type: 'object', properties: rawParams };
-
-    tools[name] = {
-      name,
-      ...definition,
-      parameters
-    };
-  },
-
-  getTools() {
-    return { ...tools };
-  },
-
-  clearTools() {
-    // Clear all tools except the built-in one
-    for (const key of Object.keys(tools)) {
-      if (key !== 'hubot_ollama_get_current_time') {
-        delete tools[key];
-      }
-    }
+  // Optional limits the agent loop enforces for every tool alike
+  if (definition.maxCallsPerInteraction !== undefined
+    && !(Number.isInteger(definition.maxCallsPerInteraction) && definition.maxCallsPerInteraction > 0)) {
+    throw new Error(`Tool "${name}" maxCallsPerInteraction must be a positive integer`);
+  }
+  if (definition.timeoutMs !== undefined && !(Number.isFinite(definition.timeoutMs) && definition.timeoutMs > 0)) {
+    throw new Error(`Tool "${name}" timeoutMs must be a positive number`);
+  }
+  if (definition.isEmptyResult !== undefined && typeof definition.isEmptyResult !== 'function') {
+    throw new Error(`Tool "${name}" isEmptyResult must be a function`);
   }
-};
+
+  // Normalize parameters to JSON Schema object shape: { type, properties, required? }.
+  // Tools that pass a flat { fieldName: { type, description } } map get wrapped automatically.
+  const rawParams = definition.parameters || {};
+  const parameters = isJsonSchemaObject(rawParams)
+    ? rawParams
+    : { type: 'object', properties: rawParams };
+
+  return {
+    name,
+    ...definition,
+    parameters
+  };
+}
 
 // Built-in tool: Get current time
-module.exports.registerTool('hubot_ollama_get_current_time', {
+const currentTimeTool = {
   description: 'Get the current date and time in ISO 8601 format (UTC)',
   parameters: {},
   handler: async () => ({
     timestamp: new Date().toISOString()
   })
-});
+};
+
+/**
+ * Create a registry of the tools the model may call.
+ *
+ * Every registry emits `change` with `{ type: 'register' | 'unregister' | 'clear', name? }`
+ * when its own tools change.
+ *
+ * @param {object} [options]
+ * @param {Record<string, object>} [options.builtins] - Tools registered up front and restored by clearTools()
+ * @param {object} [options.inherit] - Another registry whose tools are also offered, unless
+ *   this one registers a tool of the same name or unregisters it
+ */
+function createToolRegistry({ builtins = {}, inherit = null } = {}) {
+  const events = new EventEmitter();
+  let tools = {};
+  // Inherited tools unregistered here
+  const hidden = new Set();
+
+  const reset = () => {
+    tools = {};
+    hidden.clear();
+    for (const [name, definition] of Object.entries(builtins)) {
+      tools[name] = normalizeTool(name, definition);
+    }
+  };
+  reset();
+
+  const registry = {
+    registerTool(name, definition) {
+      tools[name] = normalizeTool(name, definition);
+      hidden.delete(name);
+      events.emit('change', { type: 'register', name });
+    },
+
+    /**
+     * @returns {boolean} false when no tool by that name was offered
+     */
+    unregisterTool(name) {
+      if (!registry.hasTool(name)) return false;
+      delete tools[name];
+      if (inherit && inherit.hasTool(name)) hidden.add(name);
+      events.emit('change', { type: 'unregister', name });
+      return true;
+    },
+
+    hasTool(name) {
+      return Object.prototype.hasOwnProperty.call(registry.getTools(), name);
+    },
+
+    getTools() {
+      const inherited = inherit ? inherit.getTools() : {};
+      for (const name of hidden) delete inherited[name];
+      return { ...inherited, ...tools };
+    },
+
+    // Back to the builtins (and everything inherited)
+    clearTools() {
+      reset();
+      events.emit('change', { type: 'clear' });
+    },
+
+    on(event, listener) {
+      events.on(event, listener);
+      return registry;
+    },
+
+    off(event, listener) {
+      events.off(event, listener);
+      return registry;
+    }
+  };
+
+  return registry;
+}
+
+/**
+ * Shared registry for scripts that still `require('hubot-ollama/src/tool-registry')`.
+ * Each robot's own registry (`robot.ollama.tools`) inherits from it.
+ */
+module.exports = createToolRegistry({ builtins: { hubot_ollama_get_current_time: currentTimeTool } });
+module.exports.createToolRegistry = createToolRegistry;
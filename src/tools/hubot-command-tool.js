@@ -57,6 +57,8 @@ const getHubotModule = () => hubotModulePromise;
 
 module.exports = (_ollama, _config, logger) => ({
   name: 'hubot_ollama_run_command',
+  // Captures replies by swapping the adapter's send methods, so it must run alone
+  parallelSafe: false,
   description: 'Run another Hubot command on the user\'s behalf, as if they had typed it themselves, and ' +
     'return its response. Only call this after using hubot_ollama_help to confirm the exact command exists — ' +
     'never invent a command. Only include the bot\'s own name/alias prefix if the command needs it. ' +
@@ -27,6 +27,7 @@ module.exports = (ollama, config, logger) => ({
   parameters: {
     action: {
       type: 'string',
+      enum: ['save', 'recall', 'list', 'delete'],
       description: 'One of: save, recall, list, delete'
     },
     key: {
@@ -7,6 +7,8 @@ const ollamaClient = require('./ollama-client');
 
 module.exports = (ollama, config, logger) => ({
   name: 'hubot_ollama_web_fetch',
+  maxCallsPerInteraction: 10,
+  isEmptyResult: result => !Array.isArray(result.pages) || result.pages.length === 0,
   description: 'Fetch full content from specific URLs to get detailed information',
   parameters: {
     urls: {
@@ -8,6 +8,8 @@ const ollamaClient = require('./ollama-client');
 
 module.exports = (ollama, config, logger) => ({
   name: 'hubot_ollama_web_search',
+  maxCallsPerInteraction: 1, // The instruction prompt tells the model not to repeat searches
+  isEmptyResult: result => !Array.isArray(result.results) || result.results.length === 0,
   description: 'Search the web for information using a search query. This is for finding relevant web pages. For fetching content from a specific URL, use hubot_ollama_web_fetch instead. Returns search result metadata (title, url, snippet).',
   parameters: {
     query: {
@@ -0,0 +1,130 @@
+// Token budgeting for prompt assembly. The model's context window has to hold
+// the system prompt, conversation summary, history, ambient room messages,
+// the user's prompt, tool results and the answer; when it overflows, Ollama
+// silently drops the *front* of the prompt, which is usually the system prompt.
+// These helpers decide what fits, dropping the oldest material first.
+
+const { estimateTokens } = require('./ollama-utils');
+
+// Rough per-message overhead of the chat template (role markers, separators)
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+/**
+ * Estimated tokens for a list of chat messages.
+ * @param {{ content?: string, tool_calls?: object[] }[]} messages
+ * @param {number} [ratio] - Correction factor for the model's tokenizer (see createTokenCalibration)
+ * @returns {number}
+ */
+function estimateMessageTokens(messages, ratio = 1) {
+  return (messages || []).reduce((total, message) => {
+    const toolCalls = message.tool_calls ? JSON.stringify(message.tool_calls) : '';
+    return total + MESSAGE_OVERHEAD_TOKENS + Math.ceil(estimateTokens(`${message.content || ''}${toolCalls}`) * ratio);
+  }, 0);
+}
+
+/**
+ * Choose the optional context that fits in `budget` tokens. The summary goes
+ * in first (it is short and stands for everything older), then history turns
+ * newest to oldest, then ambient messages newest to oldest. Whatever does not
+ * fit is dropped, oldest first; kept items stay in their original order.
+ * @param {object} params
+ * @param {number} params.budget - Tokens available for summary, history and ambient messages
+ * @param {string|null} params.summary
+ * @param {object[]} params.history - Turns, oldest first
+ * @param {object[]} params.ambient - Ambient messages, oldest first
+ * @param {(turn: object) => number} params.turnTokens
+ * @param {(message: object) => number} params.ambientTokens
+ * @param {(summary: string) => number} params.summaryTokens
+ * @returns {{ summary: string|null, history: object[], ambient: object[], droppedTurns: number, droppedAmbient: number, droppedSummary: boolean }}
+ */
+function fitContext({ budget, summary, history, ambient, turnTokens, ambientTokens, summaryTokens }) {
+  let remaining = Math.max(0, budget);
+
+  let keptSummary = null;
+  if (summary) {
+    const cost = summaryTokens(summary);
+    if (cost <= remaining) {
+      keptSummary = summary;
+      remaining -= cost;
+    }
+  }
+
+  const takeNewest = (items, cost) => {
+    const kept = [];
+    for (let i = items.length - 1; i >= 0; i--) {
+      const itemCost = cost(items[i]);
+      if (itemCost > remaining) break;
+      remaining -= itemCost;
+      kept.unshift(items[i]);
+    }
+    return kept;
+  };
+
+  const keptHistory = takeNewest(history || [], turnTokens);
+  const keptAmbient = takeNewest(ambient || [], ambientTokens);
+
+  return {
+    summary: keptSummary,
+    history: keptHistory,
+    ambient: keptAmbient,
+    droppedTurns: (history || []).length - keptHistory.length,
+    droppedAmbient: (ambient || []).length - keptAmbient.length,
+    droppedSummary: Boolean(summary) && !keptSummary
+  };
+}
+
+/**
+ * Split stored turns into the oldest ones to summarize and the newest ones to
+ * keep verbatim, so the kept turns use at most `keepTokens`. The newest turn
+ * is always kept.
+ * @param {object[]} history - Turns, oldest first
+ * @param {number} keepTokens
+ * @param {(turn: object) => number} turnTokens
+ * @returns {{ toSummarize: object[], toKeep: object[] }}
+ */
+function splitForSummary(history, keepTokens, turnTokens) {
+  let used = 0;
+  let firstKept = history.length;
+  for (let i = history.length - 1; i >= 0; i--) {
+    used += turnTokens(history[i]);
+    if (used > keepTokens && i < history.length - 1) break;
+    firstKept = i;
+  }
+  return { toSummarize: history.slice(0, firstKept), toKeep: history.slice(firstKept) };
+}
+
+/**
+ * Per-model correction of the character-based token estimate, learned from
+ * the `prompt_eval_count` Ollama reports. Only ever raises the ratio:
+ * prompt caching makes the reported count smaller than the prompt, and an
+ * underestimate is what leads to truncation.
+ * @param {{ maxRatio?: number }} [options]
+ */
+function createTokenCalibration({ maxRatio = 3 } = {}) {
+  const ratios = new Map();
+  return {
+    ratio(model) {
+      return ratios.get(model) || 1;
+    },
+    /**
+     * @param {string} model
+     * @param {number} estimatedTokens - Uncalibrated estimate of the prompt that was sent
+     * @param {number} promptEvalCount - Prompt tokens Ollama reported for it
+     */
+    observe(model, estimatedTokens, promptEvalCount) {
+      if (!(estimatedTokens > 0) || !(promptEvalCount > 0)) return;
+      const observed = promptEvalCount / estimatedTokens;
+      const current = ratios.get(model) || 1;
+      if (observed <= current) return;
+      // Move part of the way, so one odd prompt can't swing the estimate
+      ratios.set(model, Math.min(maxRatio, current + (observed - current) / 2));
+    }
+  };
+}
+
+module.exports = {
+  createTokenCalibration,
+  estimateMessageTokens,
+  fitContext,
+  splitForSummary,
+};
@@ -0,0 +1,217 @@
+// Multiple Ollama hosts behind a single client-shaped facade.
+// Each configured host gets its own Ollama client. Calls go to a healthy host
+// (by priority order or round-robin); a connection failure marks the host down
+// and the call is retried on the next one. A periodic health check pings every
+// host so recovered hosts come back into rotation.
+
+const CONNECTION_ERROR_CODES = new Set([
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ENOTFOUND',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'UND_ERR_CONNECT_TIMEOUT',
+  'UND_ERR_SOCKET'
+]);
+
+// Client methods the facade forwards (the subset of the ollama-js API this package uses)
+const FORWARDED_METHODS = ['chat', 'show', 'list', 'webSearch', 'webFetch', 'version'];
+
+/**
+ * Whether an error means the host could not be reached at all (as opposed to
+ * the host answering with an error).
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isConnectionError(error) {
+  if (!error) return false;
+  if (CONNECTION_ERROR_CODES.has(error.code)) return true;
+  if (error.cause && CONNECTION_ERROR_CODES.has(error.cause.code)) return true;
+  return error.name === 'TypeError' && /fetch failed/i.test(error.message || '');
+}
+
+/**
+ * Parse a comma-separated host list. Each entry is a URL with an optional API
+ * key after a `|`, e.g. `http://gpu:11434,https://ollama.com|sk-123`. Entries
+ * without their own key use `defaultApiKey`.
+ * @param {string} raw
+ * @param {string} [defaultApiKey]
+ * @returns {{ url: string, apiKey: string|null }[]}
+ */
+function parseHosts(raw, defaultApiKey) {
+  return String(raw || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf('|');
+      const url = (separator === -1 ? entry : entry.slice(0, separator)).trim();
+      const ownKey = separator === -1 ? '' : entry.slice(separator + 1).trim();
+      return { url, apiKey: ownKey || defaultApiKey || null };
+    })
+    .filter(host => host.url);
+}
+
+/**
+ * Display form of a host URL with any embedded credentials removed.
+ * @param {string} url
+ * @returns {string}
+ */
+function redactHostUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.username = '';
+    parsed.password = '';
+    return parsed.toString().replace(/\/$/, '');
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Create a pool of Ollama clients.
+ *
+ * @param {{ url: string, apiKey: string|null }[]} hosts - In priority order
+ * @param {object} options
+ * @param {(config: object) => object} options.createClient - Builds an Ollama client from `{ host, headers? }`
+ * @param {'priority'|'round-robin'} [options.strategy]
+ * @param {number} [options.healthCheckTimeoutMs]
+ * @param {object} [options.logger]
+ */
+function createHostPool(hosts, { createClient, strategy = 'priority', healthCheckTimeoutMs = 5000, logger } = {}) {
+  const entries = hosts.map((host, index) => {
+    const config = { host: host.url };
+    if (host.apiKey) {
+      config.headers = { Authorization: `Bearer ${host.apiKey}` };
+    }
+    return {
+      index,
+      url: host.url,
+      label: redactHostUrl(host.url),
+      client: createClient(config),
+      // 'unknown' until the first check or call; unknown hosts are treated as healthy
+      status: 'unknown',
+      latencyMs: null,
+      lastCheckedAt: null,
+      lastError: null
+    };
+  });
+
+  let nextRoundRobin = 0;
+  let timer = null;
+
+  const markDown = (entry, error) => {
+    if (entry.status !== 'down') {
+      logger?.warn(`Ollama host ${entry.label} marked down: ${error && error.message}`);
+    }
+    entry.status = 'down';
+    entry.lastError = (error && error.message) || 'unreachable';
+  };
+
+  // Healthy (or unchecked) hosts first, in strategy order; down hosts last as a final resort
+  const orderedEntries = () => {
+    const available = entries.filter(entry => entry.status !== 'down');
+    const down = entries.filter(entry => entry.status === 'down');
+    if (strategy === 'round-robin' && available.length > 1) {
+      const start = nextRoundRobin % available.length;
+      nextRoundRobin++;
+      return [...available.slice(start), ...available.slice(0, start), ...down];
+    }
+    return [...available, ...down];
+  };
+
+  const forward = (method) => async (...args) => {
+    const candidates = orderedEntries();
+    let lastError = null;
+    for (const entry of candidates) {
+      try {
+        const result = await entry.client[method](...args);
+        if (entry.status !== 'healthy') {
+          entry.status = 'healthy';
+          entry.lastError = null;
+        }
+        return result;
+      } catch (error) {
+        if (!isConnectionError(error)) throw error;
+        markDown(entry, error);
+        lastError = error;
+      }
+    }
+    throw lastError;
+  };
+
+  const client = {};
+  for (const method of FORWARDED_METHODS) {
+    client[method] = forward(method);
+  }
+
+  /**
+   * Ping every host (GET /api/version) and record status and latency.
+   * @returns {Promise<object[]>} host status snapshots
+   */
+  const checkHealth = async () => {
+    await Promise.all(entries.map(async (entry) => {
+      const startedAt = Date.now();
+      let timeout;
+      try {
+        await Promise.race([
+          entry.client.version(),
+          new Promise((resolve, reject) => {
+            timeout = setTimeout(() => reject(new Error(`no response within ${healthCheckTimeoutMs} ms`)), healthCheckTimeoutMs);
+          })
+        ]);
+        if (entry.status === 'down') {
+          logger?.info(`Ollama host ${entry.label} is back up`);
+        }
+        entry.status = 'healthy';
+        entry.latencyMs = Date.now() - startedAt;
+        entry.lastError = null;
+      } catch (error) {
+        markDown(entry, error);
+        entry.latencyMs = null;
+      } finally {
+        clearTimeout(timeout);
+        entry.lastCheckedAt = Date.now();
+      }
+    }));
+    return getStatus();
+  };
+
+  const getStatus = () => entries.map(({ label, status, latencyMs, lastCheckedAt, lastError }) => ({
+    label, status, latencyMs, lastCheckedAt, lastError
+  }));
+
+  return {
+    client,
+    strategy,
+    size: entries.length,
+    checkHealth,
+    getStatus,
+
+    /**
+     * Run checkHealth on an interval. The timer is unref'd so it never keeps the process alive.
+     * @param {number} intervalMs
+     */
+    start(intervalMs) {
+      if (timer || !(intervalMs > 0)) return;
+      timer = setInterval(() => {
+        checkHealth().catch((err) => logger?.error(`Ollama host health check failed: ${err.message}`));
+      }, intervalMs);
+      if (typeof timer.unref === 'function') timer.unref();
+    },
+
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = {
+  createHostPool,
+  isConnectionError,
+  parseHosts,
+  redactHostUrl,
+};
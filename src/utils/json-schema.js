@@ -0,0 +1,173 @@
+// Minimal JSON Schema validation for the subset of keywords this package
+// relies on (the same subset Ollama's `format` parameter and tool definitions
+// use in practice): type, enum, const, properties, required,
+// additionalProperties, items, min/maxItems, min/maxLength, pattern,
+// minimum/maximum. Unknown keywords are ignored rather than rejected.
+// coerceToSchema() smooths over the near misses models make in tool-call
+// arguments before they are validated.
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * Validate a value against a JSON Schema.
+ * @param {*} value
+ * @param {object} schema
+ * @param {string} [path] - Location of `value`, used in error messages
+ * @returns {string[]} human-readable problems; empty when the value is valid
+ */
+function validateJsonSchema(value, schema, path = '$') {
+  if (!isPlainObject(schema)) return [];
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${path} should be ${types.join(' or ')} (got ${typeOf(value)})`);
+      return errors;
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${path} should be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if (Object.prototype.hasOwnProperty.call(schema, 'const') && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(`${path} should be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (Number.isFinite(schema.minLength) && value.length < schema.minLength) {
+      errors.push(`${path} should be at least ${schema.minLength} characters`);
+    }
+    if (Number.isFinite(schema.maxLength) && value.length > schema.maxLength) {
+      errors.push(`${path} should be at most ${schema.maxLength} characters`);
+    }
+    if (typeof schema.pattern === 'string') {
+      try {
+        if (!new RegExp(schema.pattern, 'u').test(value)) {
+          errors.push(`${path} should match /${schema.pattern}/`);
+        }
+      } catch {
+        // An invalid pattern in the schema is the schema author's problem, not the value's
+      }
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (Number.isFinite(schema.minimum) && value < schema.minimum) {
+      errors.push(`${path} should be >= ${schema.minimum}`);
+    }
+    if (Number.isFinite(schema.maximum) && value > schema.maximum) {
+      errors.push(`${path} should be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (Number.isFinite(schema.minItems) && value.length < schema.minItems) {
+      errors.push(`${path} should have at least ${schema.minItems} item(s)`);
+    }
+    if (Number.isFinite(schema.maxItems) && value.length > schema.maxItems) {
+      errors.push(`${path} should have at most ${schema.maxItems} item(s)`);
+    }
+    if (isPlainObject(schema.items)) {
+      value.forEach((item, index) => {
+        errors.push(...validateJsonSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (isPlainObject(value)) {
+    const properties = isPlainObject(schema.properties) ? schema.properties : {};
+    for (const key of (Array.isArray(schema.required) ? schema.required : [])) {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    for (const [key, propValue] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateJsonSchema(propValue, properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      } else if (isPlainObject(schema.additionalProperties)) {
+        errors.push(...validateJsonSchema(propValue, schema.additionalProperties, `${path}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+// A value of the wrong type converted to the first listed type it cleanly
+// converts to, or returned unchanged
+function coerceType(value, types) {
+  for (const type of types) {
+    if ((type === 'number' || type === 'integer') && typeof value === 'string' && value.trim() !== '') {
+      const number = Number(value);
+      if (Number.isFinite(number) && (type === 'number' || Number.isInteger(number))) return number;
+    }
+    if (type === 'boolean' && typeof value === 'string' && /^(?:true|false)$/i.test(value.trim())) {
+      return value.trim().toLowerCase() === 'true';
+    }
+    if (type === 'string' && (typeof value === 'number' || typeof value === 'boolean')) {
+      return String(value);
+    }
+    if (type === 'array' && value !== null && value !== undefined) {
+      return [value];
+    }
+  }
+  return value;
+}
+
+/**
+ * Lightly coerce a value towards a schema: numeric strings to numbers,
+ * "true"/"false" to booleans, numbers and booleans to strings, a lone value to
+ * a one-item array, and strings to the `enum` option they match ignoring case.
+ * Whatever can't be coerced is returned as is, for validateJsonSchema to report.
+ * @param {*} value
+ * @param {object} schema
+ * @returns {*} the coerced copy
+ */
+function coerceToSchema(value, schema) {
+  if (!isPlainObject(schema)) return value;
+  let coerced = value;
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(coerced, type))) coerced = coerceType(coerced, types);
+  }
+
+  if (typeof coerced === 'string' && Array.isArray(schema.enum) && !schema.enum.includes(coerced)) {
+    const match = schema.enum.find(option => typeof option === 'string' && option.toLowerCase() === coerced.trim().toLowerCase());
+    if (match !== undefined) coerced = match;
+  }
+
+  if (Array.isArray(coerced) && isPlainObject(schema.items)) {
+    return coerced.map(item => coerceToSchema(item, schema.items));
+  }
+  if (isPlainObject(coerced) && isPlainObject(schema.properties)) {
+    return Object.fromEntries(Object.entries(coerced).map(([key, propValue]) => [
+      key,
+      schema.properties[key] ? coerceToSchema(propValue, schema.properties[key]) : propValue
+    ]));
+  }
+  return coerced;
+}
+
+module.exports = {
+  coerceToSchema,
+  validateJsonSchema,
+};
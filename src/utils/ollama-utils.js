@@ -9,6 +9,146 @@ function truncate(s, max) {
   return (s.length > max ? `${s.slice(0, max)}...` : s);
 }
 
+/**
+ * Format a byte count for display (e.g. 2019393189 -> "1.9 GB").
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  if (!Number.isFinite(bytes) || bytes < 0) return '?';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return unit === 0 ? `${value} ${units[unit]}` : `${value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Format a duration for display (e.g. 432000 -> "7m 12s").
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatDuration(ms) {
+  if (!Number.isFinite(ms) || ms < 0) return '?';
+  const totalSeconds = Math.round(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${seconds}s`;
+  return `${seconds}s`;
+}
+
+/**
+ * Parse a short duration such as "90s", "30m", "2h" or "1d" into milliseconds.
+ * @param {string} text
+ * @returns {number|null} null when the text is not a duration
+ */
+function parseDuration(text) {
+  const match = /^(\d+)\s*(s|m|h|d)$/i.exec(String(text || '').trim());
+  if (!match) return null;
+  const unitMs = { s: 1000, m: 60000, h: 3600000, d: 86400000 }[match[2].toLowerCase()];
+  return Number.parseInt(match[1], 10) * unitMs;
+}
+
+/**
+ * Call `fn` on every item, with at most `limit` calls in flight at once.
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit
+ * @param {(item: T, index: number) => Promise<R>} fn
+ * @returns {Promise<R[]>} results in the order of `items`
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+  return results;
+}
+
+/**
+ * Rough token count for text, at about four characters per token. Good enough
+ * for budgeting and display; the model's own count comes back in
+ * `prompt_eval_count` after a request.
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * Reduce an `ollama.show` response to the capability flags the script cares about.
+ * Context length comes from `model_info` under the model's architecture prefix
+ * (e.g. `llama.context_length`); it is null when the host doesn't report it.
+ * @param {object} info - `ollama.show` response
+ * @returns {{ tools: boolean, vision: boolean, thinking: boolean, embedding: boolean, contextLength: number|null, capabilities: string[] }}
+ */
+function parseModelCapabilities(info) {
+  const capabilities = Array.isArray(info && info.capabilities) ? info.capabilities.map(String) : [];
+  const has = (name) => capabilities.some(c => c.toLowerCase() === name);
+  const modelInfo = (info && info.model_info) || {};
+  const arch = modelInfo['general.architecture'];
+  let contextLength = arch ? modelInfo[`${arch}.context_length`] : undefined;
+  if (contextLength === undefined) {
+    const key = Object.keys(modelInfo).find(k => k.endsWith('.context_length'));
+    contextLength = key ? modelInfo[key] : undefined;
+  }
+  return {
+    tools: has('tools'),
+    vision: has('vision'),
+    thinking: has('thinking'),
+    embedding: has('embedding'),
+    contextLength: Number.isFinite(contextLength) ? contextLength : null,
+    capabilities
+  };
+}
+
+/**
+ * Separate `<think>…</think>` reasoning blocks that some models emit inside
+ * `message.content` from the answer itself. An unclosed `<think>` (e.g. mid-stream)
+ * hides everything after it; a `</think>` with no opening tag (some chat
+ * templates open the block in the prompt) marks everything before it as reasoning.
+ * @param {string} text
+ * @returns {{ content: string, thinking: string }}
+ */
+function splitThinking(text) {
+  let rest = String(text || '');
+  const thoughts = [];
+
+  const strayClose = rest.search(/<\/think>/i);
+  const firstOpen = rest.search(/<think>/i);
+  if (strayClose !== -1 && (firstOpen === -1 || strayClose < firstOpen)) {
+    thoughts.push(rest.slice(0, strayClose));
+    rest = rest.slice(strayClose + '</think>'.length);
+  }
+
+  rest = rest.replace(/<think>([\s\S]*?)<\/think>/gi, (match, thought) => {
+    thoughts.push(thought);
+    return '';
+  });
+
+  const unclosed = rest.search(/<think>/i);
+  if (unclosed !== -1) {
+    thoughts.push(rest.slice(unclosed + '<think>'.length));
+    rest = rest.slice(0, unclosed);
+  }
+
+  return {
+    content: thoughts.length > 0 ? rest.trim() : rest,
+    thinking: thoughts.map(t => t.trim()).filter(Boolean).join('\n\n')
+  };
+}
+
 function getAdapterType(robot) {
   // Centralized adapter detection - returns adapter type for format handling
   // Extensible to support multiple custom response formats in the future
@@ -97,6 +237,23 @@ function looksLikeSecret(text) {
   return SECRET_PATTERNS.some(pattern => pattern.test(text));
 }
 
+// Global versions of SECRET_PATTERNS for redaction; a PEM key is redacted as a whole block
+const REDACT_PATTERNS = [
+  /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z ]*PRIVATE KEY-----|$)/g,
+  ...SECRET_PATTERNS.map(pattern => new RegExp(pattern.source, `${pattern.flags}g`)),
+];
+
+/**
+ * Replace anything that looks like a secret or credential with `[redacted]`.
+ * Same heuristic as looksLikeSecret, for text that is kept rather than rejected.
+ * @param {string} text
+ * @returns {string}
+ */
+function redactSecrets(text) {
+  if (!text || typeof text !== 'string') return text;
+  return REDACT_PATTERNS.reduce((result, pattern) => result.replace(pattern, '[redacted]'), text);
+}
+
 /**
  * Return the thread_ts of an existing thread the message belongs to, or null.
  * Does NOT fall back to the message's own ts — use this when you need to know
@@ -148,7 +305,15 @@ module.exports = {
   sanitizeSlackBroadcasts,
   detectPromptInjection,
   looksLikeSecret,
+  redactSecrets,
   truncate,
+  formatBytes,
+  formatDuration,
+  parseDuration,
+  mapWithConcurrency,
+  estimateTokens,
+  parseModelCapabilities,
+  splitThinking,
   getAdapterType,
   getExistingSlackThread,
   getSlackThreadTs,
@@ -0,0 +1,98 @@
+// Leading per-request flags on a prompt, e.g. `--temp 0.2 --no-context why?`.
+// Flags must come before the prompt text; parsing stops at the first token
+// that doesn't start with `--` (or after a bare `--`).
+
+const FLAG_SPECS = {
+  '--model': { key: 'model', type: 'string', placeholder: '<name>' },
+  '--temp': { key: 'temperature', type: 'number', min: 0, max: 2, placeholder: '<0-2>' },
+  '--seed': { key: 'seed', type: 'integer', placeholder: '<n>' },
+  '--ctx': { key: 'numCtx', type: 'integer', min: 256, placeholder: '<tokens>' },
+  '--no-tools': { key: 'noTools' },
+  '--no-context': { key: 'noContext' },
+  '--web': { key: 'web' },
+  '--json': { key: 'json', type: 'string', placeholder: '<schema-name>' }
+};
+
+/**
+ * One-line usage for `<command> [flags] <prompt>`.
+ * @param {string} command - e.g. `hubot ask`
+ * @param {object} [specs] - Flag specs, shaped like FLAG_SPECS
+ * @returns {string}
+ */
+function flagUsage(command, specs = FLAG_SPECS) {
+  const flags = Object.entries(specs)
+    .map(([flag, spec]) => `[${flag}${spec.placeholder ? ` ${spec.placeholder}` : ''}]`)
+    .join(' ');
+  return `Usage: ${command} ${flags} <prompt>`;
+}
+
+function parseValue(flag, spec, raw) {
+  if (raw === undefined || raw === '' || raw.startsWith('--')) {
+    return { error: `${flag} needs a value` };
+  }
+  if (spec.type === 'string') return { value: raw };
+
+  const value = Number(raw);
+  if (!Number.isFinite(value) || (spec.type === 'integer' && !Number.isInteger(value))) {
+    return { error: `${flag} must be ${spec.type === 'integer' ? 'a whole number' : 'a number'}` };
+  }
+  if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+    const range = spec.max !== undefined ? `between ${spec.min} and ${spec.max}` : `at least ${spec.min}`;
+    return { error: `${flag} must be ${range}` };
+  }
+  return { value };
+}
+
+/**
+ * Split leading flags off a prompt.
+ * @param {string} text
+ * @param {object} [specs] - Flag specs, shaped like FLAG_SPECS
+ * @returns {{ options: object, prompt: string, error?: string, help?: boolean }}
+ *   `error` describes the first bad flag; `help` is set for `--help`
+ */
+function parsePromptFlags(text, specs = FLAG_SPECS) {
+  const options = {};
+  let rest = String(text || '').trimStart();
+
+  while (rest.startsWith('--')) {
+    const tokenMatch = rest.match(/^(\S+)\s*/);
+    const token = tokenMatch[1];
+    rest = rest.slice(tokenMatch[0].length);
+
+    if (token === '--') break;
+    if (token === '--help') return { options, prompt: rest, help: true };
+
+    const [flag, inlineValue] = token.includes('=') ? [token.slice(0, token.indexOf('=')), token.slice(token.indexOf('=') + 1)] : [token, undefined];
+    const spec = specs[flag.toLowerCase()];
+    if (!spec) {
+      return { options, prompt: rest, error: `Unknown flag ${flag}` };
+    }
+
+    if (!spec.type) {
+      if (inlineValue !== undefined) {
+        return { options, prompt: rest, error: `${flag} does not take a value` };
+      }
+      options[spec.key] = true;
+      continue;
+    }
+
+    let raw = inlineValue;
+    if (raw === undefined) {
+      const valueMatch = rest.match(/^(\S+)\s*/);
+      raw = valueMatch ? valueMatch[1] : undefined;
+      if (valueMatch) rest = rest.slice(valueMatch[0].length);
+    }
+    const parsed = parseValue(flag, spec, raw);
+    if (parsed.error) {
+      return { options, prompt: rest, error: parsed.error };
+    }
+    options[spec.key] = parsed.value;
+  }
+
+  return { options, prompt: rest.trim() };
+}
+
+module.exports = {
+  flagUsage,
+  parsePromptFlags,
+};
@@ -0,0 +1,180 @@
+// Progressive delivery of a streamed model response.
+// On Slack the first tokens are posted as a message that is then edited in
+// place via chat.update as more arrive; adapters that cannot edit messages get
+// the response in paragraph-sized msg.send chunks instead.
+
+/**
+ * Find the end of the last complete paragraph in `text` that is safe to send
+ * on its own: at least `minChars` long and not inside an open ``` code fence.
+ * @param {string} text
+ * @param {number} minChars
+ * @returns {number} split index (exclusive), or -1 when no safe split exists
+ */
+function findChunkBoundary(text, minChars) {
+  let boundary = -1;
+  let searchFrom = minChars;
+  while (searchFrom < text.length) {
+    const idx = text.indexOf('\n\n', searchFrom);
+    if (idx === -1) break;
+    const fences = (text.slice(0, idx).match(/```/g) || []).length;
+    if (fences % 2 === 0) boundary = idx;
+    searchFrom = idx + 2;
+  }
+  return boundary;
+}
+
+/**
+ * Create a stream target for one response.
+ *
+ * @param {object} options
+ * @param {object} options.robot - Hubot robot
+ * @param {object} options.msg - Hubot response object for the triggering message
+ * @param {(text: string) => (string|object)} options.format - Formats text for msg.send (adapter-aware)
+ * @param {boolean} options.canEdit - Whether the adapter supports editing a posted message
+ * @param {number} [options.updateIntervalMs] - Minimum time between chat.update calls
+ * @param {number} [options.minChunkChars] - Minimum chunk size when falling back to msg.send
+ */
+function createResponseStream({ robot, msg, format, canEdit, updateIntervalMs = 1000, minChunkChars = 400 }) {
+  const web = robot?.adapter?.client?.web;
+  const channel = msg && msg.message && ((msg.message.message || msg.message).room);
+  const editable = Boolean(canEdit && channel && web && web.chat
+    && typeof web.chat.postMessage === 'function' && typeof web.chat.update === 'function');
+
+  // Per-segment state; a segment is one model call's worth of content
+  let latest = '';
+  let sentChars = 0;
+  let sentText = ''; // exactly what msg.send chunks have delivered so far
+  let ts = null;
+  let lastUpdateAt = 0;
+  let pending = Promise.resolve();
+
+  const payloadFor = (text) => {
+    const formatted = format(text);
+    return typeof formatted === 'string' ? { text: formatted } : { ...formatted };
+  };
+
+  const postOrUpdate = async (text) => {
+    const payload = payloadFor(text);
+    if (!ts) {
+      const res = await web.chat.postMessage({ channel, ...payload });
+      ts = res && res.ts;
+      return;
+    }
+    delete payload.thread_ts;
+    await web.chat.update({ channel, ts, ...payload });
+  };
+
+  // Edits are serialized so a slow chat.update can't land after a newer one
+  const flushEdit = (text) => {
+    pending = pending.then(() => postOrUpdate(text)).catch((err) => {
+      robot.logger.debug(`Stream update failed: ${err && err.message}`);
+    });
+    return pending;
+  };
+
+  const clearSegment = () => {
+    latest = '';
+    sentChars = 0;
+    sentText = '';
+    ts = null;
+    lastUpdateAt = 0;
+  };
+
+  const flushChunk = () => {
+    const unsent = latest.slice(sentChars);
+    const boundary = findChunkBoundary(unsent, minChunkChars);
+    if (boundary === -1) return;
+    const chunk = unsent.slice(0, boundary).trim();
+    sentChars += boundary;
+    sentText = latest.slice(0, sentChars);
+    if (chunk) msg.send(format(chunk));
+  };
+
+  return {
+    editable,
+
+    /**
+     * Report the content accumulated so far for the current segment.
+     * @param {string} text
+     */
+    push(text) {
+      latest = text;
+      if (!text || !text.trim()) return;
+      if (editable) {
+        const now = Date.now();
+        if (ts && now - lastUpdateAt < updateIntervalMs) return;
+        lastUpdateAt = now;
+        flushEdit(text);
+        return;
+      }
+      flushChunk();
+    },
+
+    /**
+     * Close the current segment as-is (e.g. the model followed its text with a
+     * tool call) so the next segment starts a fresh message.
+     */
+    async reset() {
+      const unsent = latest.slice(sentChars).trim();
+      if (editable && latest.trim()) await flushEdit(latest);
+      else if (!editable && unsent) msg.send(format(unsent));
+      await pending;
+      clearSegment();
+    },
+
+    /**
+     * Take the current segment back (e.g. the model followed its text with a
+     * tool call, so it was not the answer): on Slack the posted message is
+     * deleted, elsewhere unsent text is dropped. What can't be taken back is
+     * completed as reset() would.
+     * @returns {Promise<boolean>} true when part of the segment stays in the chat
+     */
+    async discard() {
+      await pending;
+      let kept = false;
+      if (editable && ts) {
+        try {
+          await web.chat.delete({ channel, ts });
+        } catch (err) {
+          robot.logger.debug(`Stream delete failed: ${err && err.message}`);
+          kept = true;
+          await flushEdit(latest);
+        }
+      } else if (!editable && sentChars > 0) {
+        const unsent = latest.slice(sentChars).trim();
+        if (unsent) msg.send(format(unsent));
+        kept = true;
+      }
+      clearSegment();
+      return kept;
+    },
+
+    /**
+     * Deliver the final text for the current segment. Without editing, only
+     * what follows the chunks already sent is added; when the final text no
+     * longer starts with them (e.g. the answer was replaced), all of it is sent.
+     * @param {string} text
+     * @returns {Promise<boolean>} true when the text was delivered through the
+     *   stream; false when nothing reached the chat yet and the caller should send it
+     */
+    async finish(text) {
+      await pending;
+      if (editable) {
+        if (!ts) return false;
+        await flushEdit(text);
+        return true;
+      }
+      if (sentChars === 0) return false;
+      const rest = text.startsWith(sentText) ? text.slice(sentText.length).trim() : text.trim();
+      if (rest) msg.send(format(rest));
+      sentChars = text.length;
+      sentText = text;
+      return true;
+    }
+  };
+}
+
+module.exports = {
+  createResponseStream,
+  findChunkBoundary,
+};
@@ -0,0 +1,139 @@
+// Reading earlier Slack messages for the model: the replies of a thread the
+// bot is first asked in (thread-scoped context backfill), and recent channel
+// history for `hubot ollama catchup`. Only messages people wrote are returned;
+// bot posts and join/leave notices are skipped.
+
+const PAGE_SIZE = 200;
+const MAX_PAGES = 5;
+
+// Message subtypes that still carry something a person wrote
+const HUMAN_SUBTYPES = new Set(['thread_broadcast', 'file_share', 'me_message']);
+
+/**
+ * Reduce raw Slack messages, in the order given, to `{ ts, userId, userName, text }`
+ * with `<@U123>` mentions replaced by names.
+ * @param {object[]} raw
+ * @param {(userId: string, message?: object) => string} resolveUserName
+ * @param {number} maxChars - Longer messages are cut to this many characters
+ */
+function toHumanMessages(raw, resolveUserName, maxChars) {
+  const mention = /<@([A-Z0-9]+)(?:\|[^>]*)?>/g;
+  return raw
+    .filter(m => m && typeof m.text === 'string' && m.text.trim())
+    .filter(m => !m.bot_id && (!m.subtype || HUMAN_SUBTYPES.has(m.subtype)))
+    .map((m) => {
+      const text = m.text.replace(mention, (match, userId) => `@${resolveUserName(userId)}`).trim();
+      return {
+        ts: m.ts,
+        userId: m.user,
+        userName: resolveUserName(m.user, m),
+        text: text.length > maxChars ? `${text.slice(0, maxChars)}...` : text
+      };
+    });
+}
+
+/**
+ * Call a paginated conversations.* method until it runs out, `enough(messages)`
+ * says to stop, or MAX_PAGES is reached.
+ * @param {(params: object) => Promise<object>} method
+ * @param {object} params
+ * @param {(messages: object[]) => boolean} [enough]
+ * @returns {Promise<object[]>}
+ */
+async function readPages(method, params, enough = () => false) {
+  const messages = [];
+  let cursor;
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const res = await method({ ...params, ...(cursor && { cursor }) });
+    messages.push(...((res && res.messages) || []));
+    cursor = res && res.response_metadata && res.response_metadata.next_cursor;
+    if (!res || !res.has_more || !cursor || enough(messages)) break;
+  }
+  return messages;
+}
+
+/**
+ * Read the human messages of a thread that came before the triggering one.
+ * The thread parent is always kept; past `maxMessages`, the oldest replies
+ * after it are dropped.
+ *
+ * @param {object} options
+ * @param {object} options.web - Slack WebClient (robot.adapter.client.web)
+ * @param {string} options.channel - Channel the thread is in
+ * @param {string} options.threadTs - thread_ts of the thread
+ * @param {string} [options.beforeTs] - ts of the triggering message; it and anything later is left out
+ * @param {number} options.maxMessages - Most messages to return
+ * @param {number} [options.maxChars] - Longer messages are cut to this many characters
+ * @param {(userId: string, message?: object) => string} options.resolveUserName
+ * @param {object} [options.logger]
+ * @returns {Promise<{ userId: string, userName: string, text: string }[]>} oldest first
+ */
+async function fetchThreadMessages({ web, channel, threadTs, beforeTs, maxMessages, maxChars = 1000, resolveUserName, logger }) {
+  if (!web?.conversations?.replies || !channel || !threadTs || !(maxMessages > 0)) return [];
+
+  let raw;
+  try {
+    raw = await readPages(web.conversations.replies, { channel, ts: threadTs, limit: PAGE_SIZE, inclusive: true });
+  } catch (err) {
+    logger?.debug(`Could not read Slack thread ${threadTs} for context: ${err && err.message}`);
+    return [];
+  }
+
+  const messages = toHumanMessages(raw, resolveUserName, maxChars)
+    .filter(m => !beforeTs || Number(m.ts) < Number(beforeTs));
+
+  if (messages.length <= maxMessages) return messages.map(({ userId, userName, text }) => ({ userId, userName, text }));
+  const [parent, ...replies] = messages;
+  const kept = parent.ts === threadTs
+    ? [parent, ...replies.slice(replies.length - (maxMessages - 1))]
+    : messages.slice(messages.length - maxMessages);
+  return kept.map(({ userId, userName, text }) => ({ userId, userName, text }));
+}
+
+/**
+ * Read the newest human messages of a channel (thread replies excluded, as
+ * conversations.history returns them).
+ *
+ * @param {object} options
+ * @param {object} options.web - Slack WebClient (robot.adapter.client.web)
+ * @param {string} options.channel
+ * @param {number} options.maxMessages - Most messages to return
+ * @param {number} [options.since] - Only messages after this time (ms since epoch)
+ * @param {string} [options.beforeTs] - ts of the triggering message; it and anything later is left out
+ * @param {number} [options.maxChars] - Longer messages are cut to this many characters
+ * @param {(userId: string, message?: object) => string} options.resolveUserName
+ * @param {object} [options.logger]
+ * @returns {Promise<{ userId: string, userName: string, text: string, at: number }[]|null>} oldest first; null when history can't be read
+ */
+async function fetchChannelMessages({ web, channel, maxMessages, since, beforeTs, maxChars = 1000, resolveUserName, logger }) {
+  if (!web?.conversations?.history || !channel || !(maxMessages > 0)) return null;
+
+  let raw;
+  try {
+    raw = await readPages(
+      web.conversations.history,
+      {
+        channel,
+        limit: Math.min(PAGE_SIZE, maxMessages + 1),
+        ...(since && { oldest: (since / 1000).toFixed(6) }),
+        ...(beforeTs && { latest: beforeTs })
+      },
+      messages => toHumanMessages(messages, resolveUserName, maxChars).length >= maxMessages
+    );
+  } catch (err) {
+    logger?.debug(`Could not read Slack history of ${channel}: ${err && err.message}`);
+    return null;
+  }
+
+  // conversations.history is newest first
+  return toHumanMessages(raw, resolveUserName, maxChars)
+    .filter(m => !beforeTs || Number(m.ts) < Number(beforeTs))
+    .slice(0, maxMessages)
+    .reverse()
+    .map(({ ts, userId, userName, text }) => ({ userId, userName, text, at: Math.round(Number(ts) * 1000) }));
+}
+
+module.exports = {
+  fetchChannelMessages,
+  fetchThreadMessages,
+};
@@ -0,0 +1,197 @@
+// Image attachments from Slack messages, for models with the vision capability.
+// Images come from the triggering message's own files or, when the message is
+// a reply without attachments, from the thread's parent message. Files are
+// downloaded from Slack's private URLs with the bot token and returned as
+// base64 strings, ready for the `images` field of an ollama.chat message.
+
+const { formatBytes } = require('./ollama-utils');
+
+const DOWNLOAD_TIMEOUT_MS = 15000;
+
+/**
+ * Pull the `files` array from the various Slack adapter message shapes.
+ * @param {object} msg - Hubot response object
+ * @returns {object[]}
+ */
+function getSlackMessageFiles(msg) {
+  if (!msg || !msg.message) return [];
+  const m = msg.message.message || msg.message;
+  const raw = m.rawMessage || {};
+  const files = raw.files
+    || (raw.event && raw.event.files)
+    || (raw.body && raw.body.event && raw.body.event.files)
+    || m.files;
+  return Array.isArray(files) ? files : [];
+}
+
+/**
+ * @param {object} file - Slack file object
+ * @returns {boolean}
+ */
+function isImageFile(file) {
+  return Boolean(file) && typeof file.mimetype === 'string' && file.mimetype.startsWith('image/');
+}
+
+/**
+ * The token used to read private file URLs: the adapter's web client token,
+ * falling back to the usual Slack adapter environment variables.
+ * @param {object} web - Slack WebClient
+ * @returns {string|null}
+ */
+function getSlackToken(web) {
+  return (web && web.token)
+    || process.env.HUBOT_SLACK_BOT_TOKEN
+    || process.env.HUBOT_SLACK_TOKEN
+    || null;
+}
+
+/**
+ * Whether a download URL is served by Slack, so the bot token may be sent to it.
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isSlackFilesUrl(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return protocol === 'https:' && (hostname === 'slack.com' || hostname.endsWith('.slack.com'));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Read a response body, giving up as soon as it grows past `maxBytes`.
+ * @param {Response} res
+ * @param {number} maxBytes
+ * @returns {Promise<Buffer|null>} null when the body is too large
+ */
+async function readBodyWithLimit(res, maxBytes) {
+  if (Number(res.headers.get('content-length')) > maxBytes) {
+    await res.body?.cancel();
+    return null;
+  }
+  if (!res.body) return Buffer.alloc(0);
+
+  const reader = res.body.getReader();
+  const chunks = [];
+  let total = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    total += value.length;
+    if (total > maxBytes) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(value);
+  }
+  return Buffer.concat(chunks, total);
+}
+
+/**
+ * Find the image files a prompt refers to: the message's own image
+ * attachments or, for a thread reply without any, the thread parent's.
+ *
+ * @param {object} options
+ * @param {object} options.web - Slack WebClient (robot.adapter.client.web)
+ * @param {object} options.msg - Hubot response object
+ * @param {string|null} options.channel - Channel the message was posted in
+ * @param {string|null} options.threadTs - thread_ts when the message is a thread reply
+ * @param {object} [options.logger]
+ * @returns {Promise<object[]>} Slack file objects
+ */
+async function findSlackImageFiles({ web, msg, channel, threadTs, logger }) {
+  const files = getSlackMessageFiles(msg).filter(isImageFile);
+  if (files.length > 0 || !threadTs || !channel || !web?.conversations?.replies) return files;
+
+  // `hubot ask` in a thread about a screenshot posted as the thread's parent
+  try {
+    const res = await web.conversations.replies({ channel, ts: threadTs, limit: 1, inclusive: true });
+    const parent = res && Array.isArray(res.messages) ? res.messages[0] : null;
+    return ((parent && parent.files) || []).filter(isImageFile);
+  } catch (err) {
+    logger?.debug(`Could not read thread parent for images: ${err && err.message}`);
+    return [];
+  }
+}
+
+/**
+ * Download image files as base64 strings, skipping what exceeds the limits.
+ *
+ * @param {object[]} files - Slack file objects (see findSlackImageFiles)
+ * @param {object} options
+ * @param {object} options.web - Slack WebClient
+ * @param {number} options.maxImages - Maximum number of images to return
+ * @param {number} options.maxBytes - Maximum size of a single image
+ * @param {object} [options.logger]
+ * @returns {Promise<{ images: string[], skipped: { name: string, reason: string }[] }>}
+ */
+async function downloadSlackImages(files, { web, maxImages, maxBytes, logger }) {
+  const images = [];
+  const skipped = [];
+  const token = getSlackToken(web);
+
+  for (const listed of files) {
+    const name = listed.name || listed.title || listed.id || 'image';
+    if (images.length >= maxImages) {
+      skipped.push({ name, reason: `only ${maxImages} image(s) per prompt` });
+      continue;
+    }
+
+    try {
+      // Some events only carry a file stub; the full object has the download URLs
+      let file = listed;
+      if (!file.url_private_download && !file.url_private && file.id && web?.files?.info) {
+        const info = await web.files.info({ file: file.id });
+        file = (info && info.file) || file;
+      }
+
+      if (Number(file.size) > maxBytes) {
+        skipped.push({ name, reason: `larger than ${formatBytes(maxBytes)}` });
+        continue;
+      }
+
+      const url = file.url_private_download || file.url_private;
+      if (!url) {
+        skipped.push({ name, reason: 'no download URL' });
+        continue;
+      }
+
+      // The bot token only goes to Slack's own file hosts
+      const res = await fetch(url, {
+        headers: token && isSlackFilesUrl(url) ? { Authorization: `Bearer ${token}` } : {},
+        signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS)
+      });
+      if (!res.ok) {
+        skipped.push({ name, reason: `download failed (HTTP ${res.status})` });
+        continue;
+      }
+      // Slack answers an unauthorized file request with its HTML login page
+      const contentType = res.headers.get('content-type') || '';
+      if (!contentType.startsWith('image/')) {
+        skipped.push({ name, reason: 'download did not return an image' });
+        continue;
+      }
+
+      // `file.size` can be missing, so the download itself is capped too
+      const body = await readBodyWithLimit(res, maxBytes);
+      if (!body) {
+        skipped.push({ name, reason: `larger than ${formatBytes(maxBytes)}` });
+        continue;
+      }
+      images.push(body.toString('base64'));
+    } catch (err) {
+      logger?.debug(`Image download failed for ${name}: ${err && err.message}`);
+      skipped.push({ name, reason: 'download failed' });
+    }
+  }
+
+  return { images, skipped };
+}
+
+module.exports = {
+  downloadSlackImages,
+  findSlackImageFiles,
+  getSlackMessageFiles,
+  isImageFile,
+};
@@ -0,0 +1,87 @@
+// Which registered tools are offered to the model in which rooms. A rule is
+// `{ allow?: string[], deny?: string[] }`; a name ending in `*` matches every
+// tool that starts with the rest, so `hubot_ollama_web_*` covers both web tools.
+
+const DEFAULT_RULE_KEY = '*';
+
+const matchesAny = (patterns, name) => patterns.some(pattern => (
+  pattern.endsWith('*') ? name.startsWith(pattern.slice(0, -1)) : pattern === name
+));
+
+/**
+ * Reduce a configured rule to `{ allow?, deny? }` with trimmed, non-empty names.
+ * @param {unknown} rule
+ * @returns {{ allow?: string[], deny?: string[] }|null} null when it has neither list
+ */
+function normalizeToolRule(rule) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return null;
+  const normalized = {};
+  for (const key of ['allow', 'deny']) {
+    if (!Array.isArray(rule[key])) continue;
+    normalized[key] = rule[key].map(name => String(name).trim()).filter(Boolean);
+  }
+  return normalized.allow || normalized.deny ? normalized : null;
+}
+
+/**
+ * Parse HUBOT_OLLAMA_ROOM_TOOLS: a JSON object of rules keyed by room ID, with
+ * `*` for the rule of rooms that have none of their own.
+ * @param {string} [raw]
+ * @param {object} [logger]
+ * @returns {Record<string, { allow?: string[], deny?: string[] }>}
+ */
+function parseToolRules(raw, logger) {
+  if (!raw || !raw.trim()) return {};
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    logger?.error(`HUBOT_OLLAMA_ROOM_TOOLS is not valid JSON, offering every tool everywhere: ${err.message}`);
+    return {};
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    logger?.error('HUBOT_OLLAMA_ROOM_TOOLS must be a JSON object keyed by room ID, offering every tool everywhere');
+    return {};
+  }
+
+  const rules = {};
+  for (const [room, rule] of Object.entries(parsed)) {
+    const normalized = normalizeToolRule(rule);
+    if (normalized) {
+      rules[room] = normalized;
+    } else {
+      logger?.warning(`Ignoring HUBOT_OLLAMA_ROOM_TOOLS entry for ${room}: expected { "allow": [...] } or { "deny": [...] }`);
+    }
+  }
+  return rules;
+}
+
+// true/false when the rule decides about the tool, undefined when it doesn't
+const decide = (rule, name) => {
+  if (!rule) return undefined;
+  if (rule.deny && matchesAny(rule.deny, name)) return false;
+  if (rule.allow) return matchesAny(rule.allow, name);
+  return undefined;
+};
+
+/**
+ * Narrow tools to the ones a room may use. The room's rule decides first (an
+ * allow list there names every tool the room gets), then the `*` rule; tools
+ * neither mentions are offered.
+ * @param {Record<string, object>} tools - Keyed by tool name
+ * @param {{ allow?: string[], deny?: string[] }|null} roomRule
+ * @param {{ allow?: string[], deny?: string[] }|null} defaultRule
+ */
+function filterToolsForRoom(tools, roomRule, defaultRule) {
+  if (!roomRule && !defaultRule) return tools;
+  return Object.fromEntries(Object.entries(tools).filter(([name]) => (
+    decide(roomRule, name) ?? decide(defaultRule, name) ?? true
+  )));
+}
+
+module.exports = {
+  DEFAULT_RULE_KEY,
+  filterToolsForRoom,
+  normalizeToolRule,
+  parseToolRules,
+};
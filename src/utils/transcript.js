@@ -0,0 +1,117 @@
+// Conversation transcripts for `hubot ollama export`: the stored history,
+// rolling summary and memory entries of one context key, rendered as
+// Markdown or JSON so a useful exchange can be pasted into a ticket or wiki.
+
+/**
+ * @typedef {object} TranscriptSource
+ * @property {string} contextKey
+ * @property {string} scope - HUBOT_OLLAMA_CONTEXT_SCOPE in effect
+ * @property {string} botName
+ * @property {string} userName - Label for turns that carry no user metadata
+ * @property {string|null} summary
+ * @property {object[]} history - Stored turns, oldest first
+ * @property {Object<string, object>} memories - Memory entries by key
+ * @property {number} [lastUpdated]
+ * @property {number} exportedAt
+ */
+
+const speakerOf = (turn, fallback) => turn.userDisplayName || turn.userName || fallback;
+
+/**
+ * Render a transcript as Markdown.
+ * @param {TranscriptSource} source
+ * @returns {string}
+ */
+function renderMarkdown(source) {
+  const lines = [
+    '# Conversation transcript',
+    '',
+    `- Context key: \`${source.contextKey}\` (scope: ${source.scope})`,
+    `- Exported: ${new Date(source.exportedAt).toISOString()}`
+  ];
+  if (source.lastUpdated) lines.push(`- Last message: ${new Date(source.lastUpdated).toISOString()}`);
+
+  if (source.summary) {
+    lines.push('', '## Summary of earlier turns', '', source.summary);
+  }
+
+  lines.push('', '## Conversation');
+  if (source.history.length === 0) {
+    lines.push('', '_No turns stored._');
+  }
+  source.history.forEach((turn) => {
+    lines.push('', `**${speakerOf(turn, source.userName)}:**`, '', turn.user, '', `**${source.botName}:**`, '', turn.assistant);
+  });
+
+  const memories = Object.entries(source.memories || {});
+  if (memories.length > 0) {
+    lines.push('', '## Memories');
+    memories.forEach(([key, entry]) => {
+      lines.push('', `### ${key}`, '', `_${entry.summary}_`);
+      if (entry.content && entry.content !== entry.summary) lines.push('', entry.content);
+    });
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Render a transcript as pretty-printed JSON.
+ * @param {TranscriptSource} source
+ * @returns {string}
+ */
+function renderJson(source) {
+  return `${JSON.stringify({
+    contextKey: source.contextKey,
+    scope: source.scope,
+    exportedAt: new Date(source.exportedAt).toISOString(),
+    lastUpdated: source.lastUpdated ? new Date(source.lastUpdated).toISOString() : null,
+    summary: source.summary || null,
+    turns: source.history.map(turn => ({
+      user: speakerOf(turn, source.userName),
+      prompt: turn.user,
+      response: turn.assistant
+    })),
+    memories: Object.entries(source.memories || {}).map(([key, entry]) => ({
+      key,
+      summary: entry.summary,
+      content: entry.content,
+      createdAt: entry.createdAt ? new Date(entry.createdAt).toISOString() : null,
+      updatedAt: entry.updatedAt ? new Date(entry.updatedAt).toISOString() : null
+    }))
+  }, null, 2)}\n`;
+}
+
+/**
+ * Split text into pieces of at most `maxChars`, at line breaks where
+ * possible, for adapters that cannot take a file.
+ * @param {string} text
+ * @param {number} maxChars
+ * @returns {string[]}
+ */
+function chunkText(text, maxChars) {
+  const chunks = [];
+  let current = '';
+  const flush = () => {
+    if (current) chunks.push(current);
+    current = '';
+  };
+  text.replace(/\n+$/, '').split('\n').forEach((line) => {
+    let rest = line;
+    while (rest.length > maxChars) {
+      flush();
+      chunks.push(rest.slice(0, maxChars));
+      rest = rest.slice(maxChars);
+    }
+    if (current && current.length + 1 + rest.length > maxChars) flush();
+    current = current ? `${current}\n${rest}` : rest;
+  });
+  flush();
+  return chunks;
+}
+
+module.exports = {
+  chunkText,
+  renderJson,
+  renderMarkdown,
+};
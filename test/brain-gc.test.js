@@ -0,0 +1,127 @@
+const nock = require('nock');
+
+const Helper = require('./helpers/hubot-helper');
+
+const helper = new Helper('./../src/hubot-ollama.js');
+
+describe('Brain cleanup', () => {
+  let room;
+  const OLLAMA_HOST = 'http://127.0.0.1:11434';
+
+  const startRoom = async () => {
+    room = await helper.createRoom();
+    ['debug', 'info', 'warn', 'warning', 'error'].forEach((method) => {
+      room.robot.logger[method] = vi.fn();
+    });
+  };
+
+  const seedBrain = () => {
+    room.robot.brain.set('ollamaContexts', {
+      'room1:alice': { history: [{ user: 'hi', assistant: 'hello' }], summary: null, summarizedUntil: null, lastUpdated: Date.now() },
+      'room2:alice': { history: [{ user: 'old', assistant: 'stale' }], summary: null, summarizedUntil: null, lastUpdated: Date.now() - 3600000 },
+      'room3:bob': { history: [], summary: null, summarizedUntil: null, lastUpdated: Date.now() - 3600000 }
+    });
+    room.robot.brain.set('ollamaFetchedUrls', {
+      'room1:alice#inv_1_abc': ['https://example.com/']
+    });
+    room.robot.brain.set('ollamaMemory', {
+      'room1:alice': { resolver: { summary: 'Uses 10.0.0.2', content: 'Uses 10.0.0.2', createdAt: 1, updatedAt: 1, lastAccessedAt: 1 } },
+      'room9:carol': {}
+    });
+  };
+
+  beforeEach(() => {
+    process.env.HUBOT_OLLAMA_MODEL = 'llama3.2';
+    process.env.HUBOT_OLLAMA_TOOLS_ENABLED = 'false';
+    nock.cleanAll();
+  });
+
+  afterEach(() => {
+    room.destroy();
+    nock.cleanAll();
+    delete process.env.HUBOT_OLLAMA_MODEL;
+    delete process.env.HUBOT_OLLAMA_TOOLS_ENABLED;
+    delete process.env.HUBOT_OLLAMA_GC_INTERVAL_MS;
+  });
+
+  it('removes expired contexts, orphaned fetched URLs and empty memory scopes on demand', async () => {
+    await startRoom();
+    seedBrain();
+
+    await room.user.say('alice', 'hubot ollama gc');
+
+    expect(room.messages[1]).toEqual(['hubot', 'Removed 2 expired conversation contexts, 1 leftover fetched-URL list, 1 empty memory scope.']);
+    expect(Object.keys(room.robot.brain.get('ollamaContexts'))).toEqual(['room1:alice']);
+    expect(room.robot.brain.get('ollamaFetchedUrls')).toEqual({});
+    expect(Object.keys(room.robot.brain.get('ollamaMemory'))).toEqual(['room1:alice']);
+    expect(room.robot.logger.info).toHaveBeenCalledWith('Brain cleanup removed 2 expired context(s), 1 orphaned fetched-URL list(s), 1 empty memory scope(s)');
+
+    await room.user.say('alice', 'hubot ollama gc');
+    expect(room.messages[3]).toEqual(['hubot', 'Nothing to clean up.']);
+  });
+
+  it('sweeps periodically', async () => {
+    process.env.HUBOT_OLLAMA_GC_INTERVAL_MS = '20';
+    await startRoom();
+    seedBrain();
+
+    await new Promise((resolve) => setTimeout(resolve, 80));
+
+    expect(Object.keys(room.robot.brain.get('ollamaContexts'))).toEqual(['room1:alice']);
+    expect(room.robot.brain.get('ollamaFetchedUrls')).toEqual({});
+  });
+
+  it('keeps the fetched URLs of an interaction that is still running', async () => {
+    await startRoom();
+    nock(OLLAMA_HOST).post('/api/show').times(5).reply(200, { capabilities: ['completion'] });
+    let releaseAnswer;
+    nock(OLLAMA_HOST)
+      .post('/api/chat')
+      .reply(200, () => new Promise((resolve) => {
+        releaseAnswer = () => resolve({ message: { role: 'assistant', content: 'Done.' }, done: true });
+      }));
+
+    const asking = room.user.say('alice', 'hubot ask take your time');
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    expect(releaseAnswer).toBeTypeOf('function');
+
+    await room.user.say('alice', 'hubot ollama gc');
+    expect(Object.keys(room.robot.brain.get('ollamaFetchedUrls'))).toEqual([expect.stringMatching(/^room1:alice#inv_/)]);
+
+    releaseAnswer();
+    await asking;
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(room.robot.brain.get('ollamaFetchedUrls')).toEqual({});
+  });
+
+  it('ends the invocation tracking of answers that used tools', async () => {
+    process.env.HUBOT_OLLAMA_TOOLS_ENABLED = 'true';
+    await startRoom();
+    nock(OLLAMA_HOST).post('/api/show').times(5).reply(200, { capabilities: ['completion', 'tools'] });
+    nock(OLLAMA_HOST)
+      .post('/api/chat')
+      .reply(200, { message: { role: 'assistant', content: '', tool_calls: [{ function: { name: 'hubot_ollama_get_current_time', arguments: {} } }] }, done: true });
+    nock(OLLAMA_HOST)
+      .post('/api/chat')
+      .reply(200, { message: { role: 'assistant', content: 'It is noon.' }, done: true });
+
+    await room.user.say('alice', 'hubot ask what time is it?');
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    expect(room.messages).toContainEqual(['hubot', 'It is noon.']);
+    expect(room.robot.brain.get('ollamaFetchedUrls')).toEqual({});
+  });
+
+  it('is limited to admins when hubot-auth is loaded', async () => {
+    await startRoom();
+    seedBrain();
+    room.robot.auth = { isAdmin: (user) => user.name === 'admin' };
+
+    await room.user.say('alice', 'hubot ollama gc');
+    expect(room.messages[1]).toEqual(['hubot', 'Only admins can run `ollama gc`.']);
+    expect(Object.keys(room.robot.brain.get('ollamaContexts'))).toHaveLength(3);
+
+    await room.user.say('admin', 'hubot ollama gc');
+    expect(room.messages[3][1]).toMatch(/^Removed 2 expired conversation contexts/);
+  });
+});
@@ -0,0 +1,269 @@
+const nock = require('nock');
+
+const { createTokenCalibration, estimateMessageTokens, fitContext, splitForSummary } = require('../src/utils/context-budget');
+
+const Helper = require('./helpers/hubot-helper');
+
+describe('context-budget', () => {
+  const cost = (tokens) => () => tokens;
+
+  it('estimates message tokens with per-message overhead', () => {
+    expect(estimateMessageTokens([])).toBe(0);
+    expect(estimateMessageTokens([{ content: 'abcdefgh' }, { content: '' }])).toBe(2 + 4 + 4);
+    expect(estimateMessageTokens([{ content: 'abcdefgh' }], 2)).toBe(4 + 4);
+  });
+
+  it('keeps everything when it fits', () => {
+    const result = fitContext({
+      budget: 100,
+      summary: 'older stuff',
+      history: ['t1', 't2'],
+      ambient: ['a1'],
+      turnTokens: cost(10),
+      ambientTokens: cost(5),
+      summaryTokens: cost(20)
+    });
+    expect(result).toEqual({ summary: 'older stuff', history: ['t1', 't2'], ambient: ['a1'], droppedTurns: 0, droppedAmbient: 0, droppedSummary: false });
+  });
+
+  it('drops the oldest turns and ambient messages first', () => {
+    const result = fitContext({
+      budget: 45,
+      summary: 'older stuff',
+      history: ['t1', 't2', 't3'],
+      ambient: ['a1', 'a2'],
+      turnTokens: cost(10),
+      ambientTokens: cost(5),
+      summaryTokens: cost(20)
+    });
+    expect(result.history).toEqual(['t2', 't3']);
+    expect(result.ambient).toEqual(['a2']);
+    expect(result.droppedTurns).toBe(1);
+    expect(result.droppedAmbient).toBe(1);
+  });
+
+  it('drops the summary when it alone does not fit', () => {
+    const result = fitContext({ budget: 15, summary: 'long', history: ['t1'], ambient: [], turnTokens: cost(10), ambientTokens: cost(5), summaryTokens: cost(20) });
+    expect(result).toMatchObject({ summary: null, history: ['t1'], droppedSummary: true });
+  });
+
+  it('splits history into turns to summarize and turns to keep', () => {
+    expect(splitForSummary(['t1', 't2', 't3', 't4'], 25, cost(10))).toEqual({ toSummarize: ['t1', 't2'], toKeep: ['t3', 't4'] });
+    // The newest turn is kept even when it is over the budget on its own
+    expect(splitForSummary(['t1', 't2'], 5, cost(10))).toEqual({ toSummarize: ['t1'], toKeep: ['t2'] });
+    expect(splitForSummary(['t1'], 0, cost(10))).toEqual({ toSummarize: [], toKeep: ['t1'] });
+  });
+
+  it('only raises the token ratio, part of the way and capped', () => {
+    const calibration = createTokenCalibration({ maxRatio: 2 });
+    expect(calibration.ratio('m')).toBe(1);
+    calibration.observe('m', 100, 50);
+    expect(calibration.ratio('m')).toBe(1);
+    calibration.observe('m', 100, 160);
+    expect(calibration.ratio('m')).toBe(1.3);
+    calibration.observe('m', 100, 1000);
+    expect(calibration.ratio('m')).toBe(2);
+    expect(calibration.ratio('other')).toBe(1);
+  });
+});
+
+describe('Token-budgeted prompts', () => {
+  const helper = new Helper('./../src/hubot-ollama.js');
+  const OLLAMA_HOST = 'http://127.0.0.1:11434';
+  let room;
+
+  const showModel = (contextLength, capabilities = ['completion']) => nock(OLLAMA_HOST)
+    .post('/api/show')
+    .times(5)
+    .reply(200, { capabilities, model_info: { 'general.architecture': 'llama', 'llama.context_length': contextLength } });
+
+  const mockChat = (bodies, reply = { message: { role: 'assistant', content: 'ok' }, done: true }) =>
+    nock(OLLAMA_HOST)
+      .post('/api/chat', (body) => { bodies.push(body); return true; })
+      .reply(200, reply);
+
+  const longTurn = (n) => ({ user: `question ${n} ${'q'.repeat(800)}`, assistant: `answer ${n} ${'a'.repeat(800)}` });
+
+  beforeEach(async () => {
+    process.env.HUBOT_OLLAMA_MODEL = 'llama3.2';
+    process.env.HUBOT_OLLAMA_TOOLS_ENABLED = 'false';
+    nock.cleanAll();
+    room = await helper.createRoom();
+    ['debug', 'info', 'warn', 'warning', 'error'].forEach((method) => {
+      room.robot.logger[method] = vi.fn();
+    });
+  });
+
+  afterEach(() => {
+    room.destroy();
+    nock.cleanAll();
+    delete process.env.HUBOT_OLLAMA_MODEL;
+    delete process.env.HUBOT_OLLAMA_TOOLS_ENABLED;
+    delete process.env.HUBOT_OLLAMA_NUM_CTX;
+  });
+
+  it('leaves out the oldest turns that do not fit the context window', async () => {
+    room.robot.brain.set('ollamaContexts', {
+      'room1:alice': { history: [longTurn(1), longTurn(2), longTurn(3), longTurn(4)], summary: 'Alice is debugging DNS.', summarizedUntil: 1, lastUpdated: Date.now() }
+    });
+    showModel(2048);
+    const bodies = [];
+    mockChat(bodies);
+
+    await room.user.say('alice', 'hubot ask and now?');
+    await new Promise((resolve) => setTimeout(resolve, 150));
+
+    const contents = bodies[0].messages.map(m => m.content);
+    expect(bodies[0].messages[0].role).toBe('system');
+    expect(contents).toContain('Conversation summary:\nAlice is debugging DNS.');
+    expect(contents.some(c => c.startsWith('question 4'))).toBe(true);
+    expect(contents.some(c => c.startsWith('question 1'))).toBe(false);
+    expect(contents[contents.length - 1]).toBe('<user_input>and now?</user_input>');
+    expect(room.robot.logger.info).toHaveBeenCalledWith(expect.stringMatching(/^Context window of 2048 tokens for llama3\.2: left out \d oldest turn\(s\)/));
+  });
+
+  it('keeps the whole history when the window is large enough', async () => {
+    room.robot.brain.set('ollamaContexts', {
+      'room1:alice': { history: [longTurn(1), longTurn(2)], summary: null, summarizedUntil: null, lastUpdated: Date.now() }
+    });
+    showModel(131072);
+    const bodies = [];
+    mockChat(bodies);
+
+    await room.user.say('alice', 'hubot ask and now?');
+    await new Promise((resolve) => setTimeout(resolve, 150));
+
+    expect(bodies[0].messages).toHaveLength(6);
+  });
+
+  it('budgets against HUBOT_OLLAMA_NUM_CTX and sends it as num_ctx', async () => {
+    room.destroy();
+    process.env.HUBOT_OLLAMA_NUM_CTX = '2048';
+    room = await helper.createRoom();
+    ['debug', 'info', 'warn', 'warning', 'error'].forEach((method) => {
+      room.robot.logger[method] = vi.fn();
+    });
+    room.robot.brain.set('ollamaContexts', {
+      'room1:alice': { history: [longTurn(1), longTurn(2), longTurn(3), longTurn(4)], summary: null, summarizedUntil: null, lastUpdated: Date.now() }
+    });
+    showModel(131072);
+    const bodies = [];
+    mockChat(bodies);
+
+    await room.user.say('alice', 'hubot ask and now?');
+    await new Promise((resolve) => setTimeout(resolve, 150));
+
+    expect(bodies[0].options).toEqual({ num_ctx: 2048 });
+    expect(bodies[0].messages.some(m => m.content.startsWith('question 1'))).toBe(false);
+  });
+
+  it('sizes against the default window and sends it as num_ctx when none is configured', async () => {
+    room.robot.brain.set('ollamaContexts', {
+      'room1:alice': { history: Array.from({ length: 10 }, (_, i) => longTurn(i + 1)), summary: null, summarizedUntil: null, lastUpdated: Date.now() }
+    });
+    showModel(131072);
+    const bodies = [];
+    mockChat(bodies);
+
+    await room.user.say('alice', 'hubot ask and now?');
+    await new Promise((resolve) => setTimeout(resolve, 150));
+
+    expect(bodies[0].options).toEqual({ num_ctx: 4096 });
+    expect(room.robot.logger.info).toHaveBeenCalledWith(expect.stringMatching(/^Context window of 4096 tokens for llama3\.2: left out \d+ oldest turn\(s\)/));
+    expect(bodies[0].messages.some(m => m.content.startsWith('question 10'))).toBe(true);
+    expect(bodies[0].messages.some(m => m.content.startsWith('question 1 '))).toBe(false);
+  });
+
+  it('sends the --ctx window it sized the prompt against', async () => {
+    room.robot.brain.set('ollamaContexts', {
+      'room1:alice': { history: [longTurn(1), longTurn(2), longTurn(3), longTurn(4)], summary: null, summarizedUntil: null, lastUpdated: Date.now() }
+    });
+    showModel(131072);
+    const bodies = [];
+    mockChat(bodies);
+
+    await room.user.say('alice', 'hubot ask --ctx 2048 and now?');
+    await new Promise((resolve) => setTimeout(resolve, 150));
+
+    expect(bodies[0].options).toEqual({ num_ctx: 2048 });
+    expect(room.robot.logger.info).toHaveBeenCalledWith(expect.stringMatching(/^Context window of 2048 tokens for llama3\.2: left out \d+ oldest turn\(s\)/));
+  });
+
+  it('warns when Ollama reports a prompt that filled the window', async () => {
+    showModel(1024);
+    const bodies = [];
+    mockChat(bodies, { message: { role: 'assistant', content: 'ok' }, done: true, prompt_eval_count: 1024 });
+
+    await room.user.say('alice', 'hubot ask hi');
+    await new Promise((resolve) => setTimeout(resolve, 150));
+
+    expect(room.robot.logger.warn).toHaveBeenCalledWith(expect.stringContaining('used 1024 tokens, the whole 1024-token context window'));
+  });
+
+  it('summarizes stored history once it outgrows half of the window', async () => {
+    room.robot.brain.set('ollamaContexts', {
+      'room1:alice': { history: [longTurn(1), longTurn(2)], summary: null, summarizedUntil: null, lastUpdated: Date.now() }
+    });
+    showModel(1024);
+    const bodies = [];
+    mockChat(bodies);
+    mockChat(bodies, { message: { role: 'assistant', content: 'Alice asked two long questions.' }, done: true });
+
+    await room.user.say('alice', 'hubot ask and now?');
+    await new Promise((resolve) => setTimeout(resolve, 250));
+
+    const context = room.robot.brain.get('ollamaContexts')['room1:alice'];
+    expect(context.summary).toBe('Alice asked two long questions.');
+    expect(context.history.map(turn => turn.user)).toEqual(['and now?']);
+  });
+});
+
+describe('Token-budgeted tool results', () => {
+  const helper = new Helper('./../src/hubot-ollama.js');
+  const OLLAMA_HOST = 'http://127.0.0.1:11434';
+  let room;
+
+  beforeEach(async () => {
+    process.env.HUBOT_OLLAMA_MODEL = 'llama3.2';
+    nock.cleanAll();
+    room = await helper.createRoom();
+    ['debug', 'info', 'warn', 'warning', 'error'].forEach((method) => {
+      room.robot.logger[method] = vi.fn();
+    });
+  });
+
+  afterEach(() => {
+    room.destroy();
+    nock.cleanAll();
+    delete process.env.HUBOT_OLLAMA_MODEL;
+  });
+
+  it('cuts tool results down to what is left of the window', async () => {
+    nock(OLLAMA_HOST)
+      .post('/api/show')
+      .times(5)
+      .reply(200, { capabilities: ['completion', 'tools'], model_info: { 'general.architecture': 'llama', 'llama.context_length': 1024 } });
+    const bodies = [];
+    nock(OLLAMA_HOST)
+      .post('/api/chat', (body) => { bodies.push(body); return true; })
+      .reply(200, {
+        message: {
+          role: 'assistant',
+          content: '',
+          tool_calls: [{ function: { name: 'hubot_ollama_run_javascript', arguments: { code: "'x'.repeat(40000)" } } }]
+        },
+        done: true
+      })
+      .post('/api/chat', (body) => { bodies.push(body); return true; })
+      .reply(200, { message: { role: 'assistant', content: 'That is a lot of x.' }, done: true });
+
+    await room.user.say('alice', 'hubot ask make a long string');
+    await new Promise((resolve) => setTimeout(resolve, 500));
+
+    const toolResult = bodies[1].messages[bodies[1].messages.length - 1].content;
+    expect(toolResult).toMatch(/^<tool_result name="hubot_ollama_run_javascript">/);
+    expect(toolResult).toContain('... [truncated to fit the context window]');
+    expect(toolResult.length).toBeLessThan(1000);
+    expect(room.messages).toContainEqual(['hubot', 'That is a lot of x.']);
+  });
+});
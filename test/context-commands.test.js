@@ -0,0 +1,209 @@
+const nock = require('nock');
+
+const Helper = require('./helpers/hubot-helper');
+
+const helper = new Helper('./../src/hubot-ollama.js');
+
+describe('Conversation context commands', () => {
+  let room;
+  const OLLAMA_HOST = 'http://127.0.0.1:11434';
+
+  beforeEach(async () => {
+    process.env.HUBOT_OLLAMA_MODEL = 'llama3.2';
+    process.env.HUBOT_OLLAMA_TOOLS_ENABLED = 'false';
+    room = await helper.createRoom();
+    ['debug', 'info', 'warn', 'warning', 'error'].forEach((method) => {
+      room.robot.logger[method] = vi.fn();
+    });
+    nock.cleanAll();
+  });
+
+  afterEach(() => {
+    room.destroy();
+    nock.cleanAll();
+    delete process.env.HUBOT_OLLAMA_MODEL;
+    delete process.env.HUBOT_OLLAMA_TOOLS_ENABLED;
+  });
+
+  const turn = (n) => ({ user: `question ${n}`, assistant: `answer ${n}` });
+  const showModel = (contextLength) => nock(OLLAMA_HOST)
+    .post('/api/show')
+    .times(5)
+    .reply(200, { capabilities: ['completion'], model_info: { 'general.architecture': 'llama', 'llama.context_length': contextLength } });
+
+  describe('forget', () => {
+    beforeEach(() => {
+      room.robot.brain.set('ollamaContexts', {
+        'room1:alice': { history: [turn(1), turn(2)], summary: 'Alice likes Go.', summarizedUntil: 1, lastUpdated: Date.now() },
+        'room2:alice': { history: [turn(3)], summary: null, summarizedUntil: null, lastUpdated: Date.now() },
+        'room1:bob': { history: [turn(4)], summary: null, summarizedUntil: null, lastUpdated: Date.now() }
+      });
+    });
+
+    it('clears the current context and reports what it held', async () => {
+      await room.user.say('alice', 'hubot ollama forget');
+
+      expect(room.messages[1]).toEqual(['hubot', 'Forgot this conversation (2 turns and a summary of earlier turns).']);
+      expect(Object.keys(room.robot.brain.get('ollamaContexts'))).toEqual(['room2:alice', 'room1:bob']);
+    });
+
+    it('clears every context that belongs to the user with `all`', async () => {
+      await room.user.say('alice', 'hubot ollama forget all');
+
+      expect(room.messages[1]).toEqual(['hubot', 'Forgot 2 conversations (3 turns and a summary of earlier turns).']);
+      expect(Object.keys(room.robot.brain.get('ollamaContexts'))).toEqual(['room1:bob']);
+    });
+
+    it('says so when there is nothing to forget', async () => {
+      await room.user.say('carol', 'hubot ollama forget');
+
+      expect(room.messages[1]).toEqual(['hubot', 'There was no conversation to forget.']);
+      expect(Object.keys(room.robot.brain.get('ollamaContexts'))).toHaveLength(3);
+    });
+
+    it('drops the summary of a summarization that was in flight', async () => {
+      // Three long turns outgrow half of a 1024-token window, so answering starts a summarization
+      const longTurn = (n) => ({ user: `question ${n} ${'q'.repeat(1200)}`, assistant: `answer ${n} ${'a'.repeat(1200)}` });
+      room.robot.brain.set('ollamaContexts', {
+        'room1:alice': { history: [longTurn(1), longTurn(2), longTurn(3)], summary: null, summarizedUntil: null, lastUpdated: Date.now() }
+      });
+      showModel(1024);
+
+      let releaseSummary;
+      nock(OLLAMA_HOST)
+        .post('/api/chat')
+        .reply(200, { message: { role: 'assistant', content: 'Answer 4' }, done: true });
+      nock(OLLAMA_HOST)
+        .post('/api/chat')
+        .reply(200, () => new Promise((resolve) => {
+          releaseSummary = () => resolve({ message: { role: 'assistant', content: 'Summary of 1 and 2' }, done: true });
+        }));
+
+      await room.user.say('alice', 'hubot ask question 4');
+      await new Promise((resolve) => setTimeout(resolve, 150));
+      expect(releaseSummary).toBeTypeOf('function');
+
+      await room.user.say('alice', 'hubot ollama forget');
+      expect(room.messages).toContainEqual(['hubot', 'Forgot this conversation (4 turns).']);
+
+      releaseSummary();
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      expect(room.robot.brain.get('ollamaContexts')).toEqual({});
+    });
+
+    it('does not start a second summarization while a forgotten one is still running', async () => {
+      const longTurn = (n) => ({ user: `question ${n} ${'q'.repeat(1200)}`, assistant: `answer ${n} ${'a'.repeat(1200)}` });
+      const longContext = () => ({ history: [longTurn(1), longTurn(2), longTurn(3)], summary: null, summarizedUntil: null, lastUpdated: Date.now() });
+      room.robot.brain.set('ollamaContexts', { 'room1:alice': longContext() });
+      showModel(1024);
+
+      let releaseSummary;
+      nock(OLLAMA_HOST)
+        .post('/api/chat')
+        .reply(200, { message: { role: 'assistant', content: 'Answer 4' }, done: true });
+      nock(OLLAMA_HOST)
+        .post('/api/chat')
+        .reply(200, () => new Promise((resolve) => {
+          releaseSummary = () => resolve({ message: { role: 'assistant', content: 'Summary of 1 and 2' }, done: true });
+        }));
+
+      await room.user.say('alice', 'hubot ask question 4');
+      await new Promise((resolve) => setTimeout(resolve, 150));
+      await room.user.say('alice', 'hubot ollama forget');
+
+      // The conversation grows back before the first summarization ends
+      room.robot.brain.set('ollamaContexts', { 'room1:alice': longContext() });
+      nock(OLLAMA_HOST)
+        .post('/api/chat')
+        .reply(200, { message: { role: 'assistant', content: 'Answer 5' }, done: true });
+      const secondSummary = nock(OLLAMA_HOST)
+        .post('/api/chat')
+        .reply(200, { message: { role: 'assistant', content: 'Summary of 1 to 3' }, done: true });
+      await room.user.say('alice', 'hubot ask question 5');
+      await new Promise((resolve) => setTimeout(resolve, 150));
+
+      expect(room.messages).toContainEqual(['hubot', 'Answer 5']);
+      expect(secondSummary.isDone()).toBe(false);
+      releaseSummary();
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      expect(room.robot.brain.get('ollamaContexts')['room1:alice'].summary).toBeNull();
+    });
+  });
+
+  describe('context', () => {
+    it('shows the stored turns, summary, expiry and token estimate', async () => {
+      room.robot.brain.set('ollamaContexts', {
+        'room1:alice': { history: [turn(1), turn(2)], summary: 'Alice likes Go.', summarizedUntil: 1, lastUpdated: Date.now() - 60000 }
+      });
+      showModel(8192);
+
+      await room.user.say('alice', 'hubot ollama context');
+
+      expect(room.messages[1][1]).toBe([
+        'Context key: `room1:alice` (scope: room-user)',
+        'Stored turns: 2',
+        'Summary of earlier turns: Alice likes Go.',
+        'Expires in: 9m 0s without new messages',
+        'Estimated tokens: ~34 (older turns are summarized past ~2048 for `llama3.2`)'
+      ].join('\n'));
+    });
+
+    it('says when nothing is stored', async () => {
+      await room.user.say('alice', 'hubot ollama context');
+
+      expect(room.messages[1][1]).toBe('Context key: `room1:alice` (scope: room-user)\nNothing is stored for this conversation yet.');
+    });
+
+    it('treats an expired context as gone', async () => {
+      room.robot.brain.set('ollamaContexts', {
+        'room1:alice': { history: [turn(1)], summary: null, summarizedUntil: null, lastUpdated: Date.now() - 3600000 }
+      });
+
+      await room.user.say('alice', 'hubot ollama context');
+
+      expect(room.messages[1][1]).toMatch(/Nothing is stored for this conversation yet\.$/);
+      expect(room.robot.brain.get('ollamaContexts')).toEqual({});
+    });
+  });
+});
+
+describe('Conversation context commands on Slack', () => {
+  const slackHelper = new Helper([
+    './adapters/slack.js',
+    './../src/hubot-ollama.js'
+  ]);
+  let room;
+
+  beforeEach(async () => {
+    room = await slackHelper.createRoom();
+    ['debug', 'info', 'warn', 'warning', 'error'].forEach((method) => {
+      room.robot.logger[method] = vi.fn();
+    });
+  });
+
+  afterEach(() => {
+    room.destroy();
+  });
+
+  it('sends the context to the caller as an ephemeral message', async () => {
+    const postEphemeral = vi.fn().mockResolvedValue({ ok: true });
+    room.robot.adapter.client = { web: { chat: { postEphemeral } } };
+
+    await room.user.say('alice', 'hubot ollama context');
+
+    expect(postEphemeral).toHaveBeenCalledWith(expect.objectContaining({
+      channel: 'room1',
+      user: 'alice',
+      text: expect.stringContaining('Context key: `room1:alice`')
+    }));
+    expect(room.messages).toHaveLength(1);
+  });
+
+  it('replies in the channel when ephemeral messages fail', async () => {
+    room.robot.adapter.client = { web: { chat: { postEphemeral: vi.fn().mockRejectedValue(new Error('not_in_channel')) } } };
+
+    await room.user.say('alice', 'hubot ollama context');
+
+    expect(room.messages[1][1].text).toContain('Context key: `room1:alice`');
+  });
+});
@@ -1,3 +1,7 @@
+const nock = require('nock');
+
+const Helper = require('./helpers/hubot-helper');
+
 describe('Context Summarization', () => {
   let robot;
   let brain;
@@ -27,13 +31,11 @@ describe('Context Summarization', () => {
 
     // Set environment defaults
     process.env.HUBOT_OLLAMA_CONTEXT_TTL_MS = '600000';
-    process.env.HUBOT_OLLAMA_CONTEXT_TURNS = '5';
   });
 
   afterEach(() => {
     vi.restoreAllMocks();
     delete process.env.HUBOT_OLLAMA_CONTEXT_TTL_MS;
-    delete process.env.HUBOT_OLLAMA_CONTEXT_TURNS;
   });
 
   it('should not create summary for short conversations', () => {
@@ -341,3 +343,95 @@ describe('Context Summarization', () => {
     }
   });
 });
+
+describe('Summarization settings', () => {
+  const helper = new Helper('./../src/hubot-ollama.js');
+  const OLLAMA_HOST = 'http://127.0.0.1:11434';
+  let room;
+
+  const longTurn = (n) => ({ user: `question ${n} ${'q'.repeat(800)}`, assistant: `answer ${n} ${'a'.repeat(800)}` });
+
+  const startRoom = async () => {
+    room = await helper.createRoom();
+    ['debug', 'info', 'warn', 'warning', 'error'].forEach((method) => {
+      room.robot.logger[method] = vi.fn();
+    });
+    // Two long turns outgrow half of a 1024-token window, so the next answer triggers a summary
+    room.robot.brain.set('ollamaContexts', {
+      'room1:alice': { history: [longTurn(1), longTurn(2)], summary: null, summarizedUntil: null, lastUpdated: Date.now() }
+    });
+    nock(OLLAMA_HOST)
+      .post('/api/show')
+      .times(5)
+      .reply(200, { capabilities: ['completion'], model_info: { 'general.architecture': 'llama', 'llama.context_length': 1024 } });
+  };
+
+  const askAndSummarize = async (summary) => {
+    const bodies = [];
+    nock(OLLAMA_HOST)
+      .post('/api/chat', (body) => { bodies.push(body); return true; })
+      .reply(200, { message: { role: 'assistant', content: 'ok' }, done: true })
+      .post('/api/chat', (body) => { bodies.push(body); return true; })
+      .reply(200, { message: { role: 'assistant', content: summary }, done: true });
+
+    await room.user.say('alice', 'hubot ask and now?');
+    await new Promise((resolve) => setTimeout(resolve, 250));
+    return bodies;
+  };
+
+  beforeEach(() => {
+    process.env.HUBOT_OLLAMA_MODEL = 'llama3.2';
+    process.env.HUBOT_OLLAMA_TOOLS_ENABLED = 'false';
+    nock.cleanAll();
+  });
+
+  afterEach(() => {
+    room.destroy();
+    nock.cleanAll();
+    delete process.env.HUBOT_OLLAMA_MODEL;
+    delete process.env.HUBOT_OLLAMA_TOOLS_ENABLED;
+    delete process.env.HUBOT_OLLAMA_SUMMARY_MODEL;
+    delete process.env.HUBOT_OLLAMA_SUMMARY_PROMPT;
+    delete process.env.HUBOT_OLLAMA_SUMMARY_MAX_CHARS;
+  });
+
+  it('uses the conversation model and the built-in prompt by default', async () => {
+    await startRoom();
+    const bodies = await askAndSummarize('Alice asked two long questions.');
+
+    expect(bodies[1].model).toBe('llama3.2');
+    expect(bodies[1].messages[0].content).toContain('Keep the summary under 600 characters.');
+    expect(room.robot.brain.get('ollamaContexts')['room1:alice'].summary).toBe('Alice asked two long questions.');
+  });
+
+  it('summarizes with HUBOT_OLLAMA_SUMMARY_MODEL and a custom prompt', async () => {
+    process.env.HUBOT_OLLAMA_SUMMARY_MODEL = 'qwen3:0.6b';
+    process.env.HUBOT_OLLAMA_SUMMARY_PROMPT = 'Summarize for the on-call engineer. Always keep ticket numbers like OPS-123. Max {maxChars} chars.';
+    process.env.HUBOT_OLLAMA_SUMMARY_MAX_CHARS = '300';
+    await startRoom();
+    const bodies = await askAndSummarize('OPS-42 is open.');
+
+    expect(bodies[0].model).toBe('llama3.2');
+    expect(bodies[1].model).toBe('qwen3:0.6b');
+    expect(bodies[1].messages[0].content).toBe('Summarize for the on-call engineer. Always keep ticket numbers like OPS-123. Max 300 chars.');
+    expect(room.robot.brain.get('ollamaContexts')['room1:alice'].summary).toBe('OPS-42 is open.');
+  });
+
+  it('adds the length limit to templates without {maxChars} and caps long summaries', async () => {
+    process.env.HUBOT_OLLAMA_SUMMARY_PROMPT = 'Summarize tersely.';
+    process.env.HUBOT_OLLAMA_SUMMARY_MAX_CHARS = '200';
+    await startRoom();
+    const bodies = await askAndSummarize('b'.repeat(400));
+
+    expect(bodies[1].messages[0].content).toBe('Summarize tersely.\nKeep the summary under 200 characters.');
+    expect(room.robot.brain.get('ollamaContexts')['room1:alice'].summary).toBe(`${'b'.repeat(200)}...`);
+  });
+
+  it('ignores an invalid summary model', async () => {
+    process.env.HUBOT_OLLAMA_SUMMARY_MODEL = 'bad/model';
+    await startRoom();
+    const bodies = await askAndSummarize('Summary.');
+
+    expect(bodies[1].model).toBe('llama3.2');
+  });
+});
@@ -33,7 +33,6 @@ describe('hubot-ollama', () => {
     delete process.env.HUBOT_OLLAMA_MODEL;
     delete process.env.HUBOT_OLLAMA_SYSTEM_PROMPT;
     delete process.env.HUBOT_OLLAMA_CONTEXT_SCOPE;
-    delete process.env.HUBOT_OLLAMA_CONTEXT_TURNS;
     delete process.env.HUBOT_OLLAMA_HOST;
     delete process.env.HUBOT_OLLAMA_API_KEY;
     delete process.env.HUBOT_OLLAMA_RESPOND_TO_ADDRESSED_FALLBACK;
@@ -686,7 +685,6 @@ describe('hubot-ollama', () => {
       beforeEach(async () => {
         room.destroy();
         process.env.HUBOT_OLLAMA_CONTEXT_SCOPE = 'room';
-        process.env.HUBOT_OLLAMA_CONTEXT_TURNS = '5';
         room = await helper.createRoom();
         ['debug', 'info', 'warning', 'error'].forEach((method) => {
           room.robot.logger[method] = vi.fn();
@@ -721,7 +719,6 @@ describe('hubot-ollama', () => {
 
       afterEach(() => {
         delete process.env.HUBOT_OLLAMA_CONTEXT_SCOPE;
-        delete process.env.HUBOT_OLLAMA_CONTEXT_TURNS;
       });
 
       it('shares context across users in same room', () => {
@@ -872,25 +869,35 @@ describe('hubot-ollama', () => {
       });
     });
 
-    describe('context turn limit', () => {
-      it('respects CONTEXT_TURNS configuration', async () => {
+    describe('context token budget', () => {
+      afterEach(() => {
+        delete process.env.HUBOT_OLLAMA_NUM_CTX;
+      });
+
+      it('drops the oldest turns once they exceed num_ctx', async () => {
         room.destroy();
-        process.env.HUBOT_OLLAMA_CONTEXT_TURNS = '3';
+        process.env.HUBOT_OLLAMA_NUM_CTX = '2048';
         room = await helper.createRoom();
         ['debug', 'info', 'warning', 'error'].forEach((method) => {
           room.robot.logger[method] = vi.fn();
         });
+        const longTurn = (n) => ({ user: `question ${n} ${'q'.repeat(800)}`, assistant: `answer ${n} ${'a'.repeat(800)}` });
+        room.robot.brain.set('ollamaContexts', {
+          'room1:alice': { history: [longTurn(1), longTurn(2), longTurn(3), longTurn(4)], summary: null, summarizedUntil: null, lastUpdated: Date.now() }
+        });
 
-        mockOllamaChat('ok');
+        let requestBody;
+        nock(OLLAMA_HOST)
+          .post('/api/chat', (body) => { requestBody = requestBody || body; return true; })
+          .times(2)
+          .reply(200, { message: { role: 'assistant', content: 'ok' }, done: true });
 
-        room.user.say('alice', 'hubot ask test');
+        room.user.say('alice', 'hubot ask and now?');
         await new Promise((resolve) => setTimeout(resolve, 150));
 
-        // Manually verify the context storage logic by checking brain
-        const contexts = room.robot.brain.get('ollamaContexts');
-        expect(contexts).toBeDefined();
-
-        delete process.env.HUBOT_OLLAMA_CONTEXT_TURNS;
+        const sentTurns = requestBody.messages.map(m => m.content).filter(content => /^(question|answer) \d/.test(content));
+        expect(requestBody.options.num_ctx).toBe(2048);
+        expect(sentTurns.map(content => content.split(' ').slice(0, 2).join(' '))).toEqual(['question 3', 'answer 3', 'question 4', 'answer 4']);
       });
     });
   });
@@ -962,7 +969,6 @@ describe('hubot-ollama', () => {
       beforeEach(async () => {
         room.destroy();
         process.env.HUBOT_OLLAMA_CONTEXT_SCOPE = 'room';
-        process.env.HUBOT_OLLAMA_CONTEXT_TURNS = '5';
         room = await helper.createRoom();
         ['debug', 'info', 'warning', 'error'].forEach((method) => {
           room.robot.logger[method] = vi.fn();
@@ -1001,7 +1007,6 @@ describe('hubot-ollama', () => {
 
       afterEach(() => {
         delete process.env.HUBOT_OLLAMA_CONTEXT_SCOPE;
-        delete process.env.HUBOT_OLLAMA_CONTEXT_TURNS;
       });
 
       it('stores user metadata in conversation history', () => {
@@ -1424,6 +1429,56 @@ describe('hubot-ollama', () => {
       expect(room.messages).toContainEqual(['hubot', 'Response without tools']);
       delete process.env.HUBOT_OLLAMA_TOOLS_ENABLED;
     });
+
+    it('re-probes after a failed capability probe instead of caching the failure', async () => {
+      nock(OLLAMA_HOST)
+        .post('/api/show', (body) => body.model === 'llama3.2')
+        .replyWithError('Connection failed');
+      nock(OLLAMA_HOST)
+        .post('/api/chat', (body) => body.tools === undefined)
+        .reply(200, { message: { role: 'assistant', content: 'Response without tools' } });
+
+      room.user.say('alice', 'hubot ask first');
+      await new Promise((resolve) => setTimeout(resolve, 150));
+
+      // Host is back: the second request probes again and gets tools
+      nock(OLLAMA_HOST)
+        .post('/api/show', (body) => body.model === 'llama3.2')
+        .reply(200, { capabilities: ['tools'] });
+      nock(OLLAMA_HOST)
+        .post('/api/chat', (body) => Array.isArray(body.tools) && body.tools.length > 0)
+        .reply(200, { message: { role: 'assistant', content: 'Response with tools' } });
+
+      room.user.say('alice', 'hubot ask second');
+      await new Promise((resolve) => setTimeout(resolve, 150));
+
+      expect(room.messages).toContainEqual(['hubot', 'Response with tools']);
+      expect(nock.isDone()).toBe(true);
+    });
+
+    it('re-probes once the capability TTL has elapsed', async () => {
+      room.destroy();
+      process.env.HUBOT_OLLAMA_CAPABILITY_TTL_MS = '0';
+      room = await helper.createRoom();
+      ['debug', 'info', 'warn', 'warning', 'error'].forEach((method) => {
+        room.robot.logger[method] = vi.fn();
+      });
+
+      nock(OLLAMA_HOST)
+        .post('/api/show', (body) => body.model === 'llama3.2')
+        .times(2)
+        .reply(200, { capabilities: [] });
+      mockOllamaChat('Response 1');
+      mockOllamaChat('Response 2');
+
+      room.user.say('alice', 'hubot ask first');
+      await new Promise((resolve) => setTimeout(resolve, 150));
+      room.user.say('alice', 'hubot ask second');
+      await new Promise((resolve) => setTimeout(resolve, 150));
+
+      expect(nock.isDone()).toBe(true);
+      delete process.env.HUBOT_OLLAMA_CAPABILITY_TTL_MS;
+    });
   });
 
   describe('Thread Message Formatting', () => {
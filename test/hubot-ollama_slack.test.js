@@ -31,7 +31,6 @@ describe('hubot-ollama slack', () => {
     delete process.env.HUBOT_OLLAMA_MODEL;
     delete process.env.HUBOT_OLLAMA_SYSTEM_PROMPT;
     delete process.env.HUBOT_OLLAMA_CONTEXT_SCOPE;
-    delete process.env.HUBOT_OLLAMA_CONTEXT_TURNS;
     delete process.env.HUBOT_OLLAMA_HOST;
     delete process.env.HUBOT_OLLAMA_API_KEY;
     delete process.env.HUBOT_OLLAMA_TOOLS_ENABLED;
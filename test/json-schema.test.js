@@ -0,0 +1,80 @@
+const { coerceToSchema, validateJsonSchema } = require('../src/utils/json-schema');
+
+describe('validateJsonSchema', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      id: { type: 'string', pattern: '^[A-Z]+-\\d+$' },
+      priority: { enum: ['low', 'high'] },
+      estimate: { type: 'integer', minimum: 1 },
+      tags: { type: 'array', items: { type: 'string' }, maxItems: 2 }
+    },
+    required: ['id'],
+    additionalProperties: false
+  };
+
+  it('accepts a valid value', () => {
+    expect(validateJsonSchema({ id: 'OPS-12', priority: 'high', estimate: 3, tags: ['db'] }, schema)).toEqual([]);
+  });
+
+  it('reports each problem with its path', () => {
+    expect(validateJsonSchema({ priority: 'urgent', estimate: 0, tags: ['a', 2, 'c'], extra: true }, schema)).toEqual([
+      '$.id is required',
+      '$.priority should be one of "low", "high"',
+      '$.estimate should be >= 1',
+      '$.tags should have at most 2 item(s)',
+      '$.tags[1] should be string (got integer)',
+      '$.extra is not allowed'
+    ]);
+  });
+
+  it('checks types, including union types and number vs integer', () => {
+    expect(validateJsonSchema('x', { type: 'object' })).toEqual(['$ should be object (got string)']);
+    expect(validateJsonSchema(null, { type: ['string', 'null'] })).toEqual([]);
+    expect(validateJsonSchema(2, { type: 'number' })).toEqual([]);
+    expect(validateJsonSchema(2.5, { type: 'integer' })).toEqual(['$ should be integer (got number)']);
+  });
+
+  it('ignores unknown keywords', () => {
+    expect(validateJsonSchema('2025-01-01', { type: 'string', format: 'date' })).toEqual([]);
+  });
+});
+
+describe('coerceToSchema', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      count: { type: 'integer' },
+      ratio: { type: 'number' },
+      dryRun: { type: 'boolean' },
+      ticket: { type: 'string' },
+      urls: { type: 'array', items: { type: 'string' } },
+      action: { type: 'string', enum: ['save', 'recall'] }
+    }
+  };
+
+  it('converts near misses to the schema types', () => {
+    expect(coerceToSchema(
+      { count: '3', ratio: ' 0.5 ', dryRun: 'False', ticket: 1234, urls: 'https://example.com/', action: 'Save', extra: '1' },
+      schema
+    )).toEqual({ count: 3, ratio: 0.5, dryRun: false, ticket: '1234', urls: ['https://example.com/'], action: 'save', extra: '1' });
+  });
+
+  it('leaves values it cannot convert for validation to report', () => {
+    const coerced = coerceToSchema({ count: '2.5', dryRun: 'maybe', action: 'forget' }, schema);
+
+    expect(coerced).toEqual({ count: '2.5', dryRun: 'maybe', action: 'forget' });
+    expect(validateJsonSchema(coerced, schema)).toEqual([
+      '$.count should be integer (got string)',
+      '$.dryRun should be boolean (got string)',
+      '$.action should be one of "save", "recall"'
+    ]);
+  });
+
+  it('coerces array items and does not touch the input', () => {
+    const input = { urls: [1, 'b'] };
+
+    expect(coerceToSchema(input, schema)).toEqual({ urls: ['1', 'b'] });
+    expect(input).toEqual({ urls: [1, 'b'] });
+  });
+});
@@ -0,0 +1,440 @@
+const nock = require('nock');
+
+const Helper = require('./helpers/hubot-helper');
+
+const helper = new Helper('./../src/hubot-ollama.js');
+
+describe('Model Selection', () => {
+  let room;
+  const OLLAMA_HOST = 'http://127.0.0.1:11434';
+
+  beforeEach(async () => {
+    process.env.HUBOT_OLLAMA_MODEL = 'llama3.2';
+    process.env.HUBOT_OLLAMA_TOOLS_ENABLED = 'false';
+    room = await helper.createRoom();
+    ['debug', 'info', 'warn', 'warning', 'error'].forEach((method) => {
+      room.robot.logger[method] = vi.fn();
+    });
+    nock.cleanAll();
+  });
+
+  afterEach(() => {
+    room.destroy();
+    nock.cleanAll();
+    delete process.env.HUBOT_OLLAMA_MODEL;
+    delete process.env.HUBOT_OLLAMA_TOOLS_ENABLED;
+  });
+
+  const mockOllamaChat = (response, captureBody = null) =>
+    nock(OLLAMA_HOST)
+      .post('/api/chat', (body) => { if (captureBody) captureBody.value = body; return true; })
+      .reply(200, { message: { role: 'assistant', content: response }, done: true });
+
+  it('reports the default model when nothing is pinned', async () => {
+    await room.user.say('alice', 'hubot ollama model');
+
+    expect(room.messages).toEqual([
+      ['alice', 'hubot ollama model'],
+      ['hubot', 'Current model: `llama3.2` (default)'],
+    ]);
+  });
+
+  it('pins a model for the room and uses it for later prompts', async () => {
+    await room.user.say('alice', 'hubot ollama model qwen3:8b');
+    expect(room.messages[1]).toEqual(['hubot', 'Model for this room set to `qwen3:8b`.']);
+    expect(room.robot.brain.get('ollamaModelOverrides').rooms.room1).toBe('qwen3:8b');
+
+    const body = {};
+    mockOllamaChat('Hello from qwen', body);
+    await room.user.say('bob', 'hubot ask hello');
+    await new Promise((resolve) => setTimeout(resolve, 150));
+
+    expect(body.value.model).toBe('qwen3:8b');
+    expect(room.messages).toContainEqual(['hubot', 'Hello from qwen']);
+  });
+
+  it('does not send subcommands to the model', async () => {
+    const body = {};
+    mockOllamaChat('should not be called', body);
+
+    await room.user.say('alice', 'hubot ollama model mistral');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    expect(body.value).toBeUndefined();
+  });
+
+  it('still treats longer prompts mentioning "model" as questions', async () => {
+    const body = {};
+    mockOllamaChat('A model is a trained network.', body);
+
+    await room.user.say('alice', 'hubot ollama model what is a language model?');
+    await new Promise((resolve) => setTimeout(resolve, 150));
+
+    expect(body.value.model).toBe('llama3.2');
+    expect(room.messages).toContainEqual(['hubot', 'A model is a trained network.']);
+  });
+
+  it('lets a user pin a model that overrides the room model', async () => {
+    await room.user.say('alice', 'hubot ollama model mistral');
+    await room.user.say('bob', 'hubot ollama model me qwen3:8b');
+    expect(room.messages[3]).toEqual(['hubot', 'Model for you set to `qwen3:8b`.']);
+
+    const bobBody = {};
+    mockOllamaChat('bob answer', bobBody);
+    await room.user.say('bob', 'hubot ask hi');
+    await new Promise((resolve) => setTimeout(resolve, 150));
+    expect(bobBody.value.model).toBe('qwen3:8b');
+
+    const aliceBody = {};
+    mockOllamaChat('alice answer', aliceBody);
+    await room.user.say('alice', 'hubot ask hi');
+    await new Promise((resolve) => setTimeout(resolve, 150));
+    expect(aliceBody.value.model).toBe('mistral');
+  });
+
+  it('resets a pinned model back to the default', async () => {
+    await room.user.say('alice', 'hubot ollama model mistral');
+    await room.user.say('alice', 'hubot ollama model reset');
+
+    expect(room.messages[3]).toEqual(['hubot', 'Model reset for this room; now using `llama3.2`.']);
+    expect(room.robot.brain.get('ollamaModelOverrides').rooms.room1).toBeUndefined();
+  });
+
+  it('lets only admins pin or reset the room model when hubot-auth is loaded', async () => {
+    room.robot.auth = { isAdmin: (user) => user.name === 'admin' };
+
+    await room.user.say('alice', 'hubot ollama model mistral');
+    await room.user.say('alice', 'hubot ollama model reset');
+    expect(room.messages[1]).toEqual(['hubot', 'Only admins can change the model of a room; use `ollama model me <name>` to change yours.']);
+    expect(room.messages[3]).toEqual(['hubot', 'Only admins can change the model of a room; use `ollama model me <name>` to change yours.']);
+
+    await room.user.say('alice', 'hubot ollama model me qwen3:8b');
+    await room.user.say('admin', 'hubot ollama model mistral');
+    expect(room.messages[5]).toEqual(['hubot', 'Model for you set to `qwen3:8b`.']);
+    expect(room.messages[7]).toEqual(['hubot', 'Model for this room set to `mistral`.']);
+  });
+
+  it('rejects model names that fail validation', async () => {
+    await room.user.say('alice', 'hubot ollama model bad/name');
+
+    expect(room.messages[1][1]).toContain('Invalid model name');
+    expect(room.robot.brain.get('ollamaModelOverrides').rooms.room1).toBeUndefined();
+  });
+
+  it('probes tool support separately for each model', async () => {
+    room.destroy();
+    process.env.HUBOT_OLLAMA_TOOLS_ENABLED = 'true';
+    room = await helper.createRoom();
+    ['debug', 'info', 'warn', 'warning', 'error'].forEach((method) => {
+      room.robot.logger[method] = vi.fn();
+    });
+
+    const probed = [];
+    nock(OLLAMA_HOST)
+      .post('/api/show', (body) => { probed.push(body.model); return true; })
+      .times(2)
+      .reply(200, { capabilities: [] });
+    mockOllamaChat('first');
+    mockOllamaChat('second');
+
+    await room.user.say('alice', 'hubot ask one');
+    await new Promise((resolve) => setTimeout(resolve, 150));
+    await room.user.say('alice', 'hubot ollama model mistral');
+    await room.user.say('alice', 'hubot ask two');
+    await new Promise((resolve) => setTimeout(resolve, 150));
+
+    expect(probed).toEqual(['llama3.2', 'mistral']);
+  });
+});
+
+describe('Model Catalog', () => {
+  let room;
+  const OLLAMA_HOST = 'http://127.0.0.1:11434';
+  const slackHelper = new Helper(['./adapters/slack.js', './../src/hubot-ollama.js']);
+
+  const tags = {
+    models: [
+      {
+        name: 'qwen3:8b',
+        model: 'qwen3:8b',
+        size: 5225388164,
+        details: { parameter_size: '8.2B', quantization_level: 'Q4_K_M' }
+      },
+      {
+        name: 'llama3.2:latest',
+        model: 'llama3.2:latest',
+        size: 2019393189,
+        details: { parameter_size: '3.2B', quantization_level: 'Q4_K_M' }
+      }
+    ]
+  };
+
+  const mockCatalog = () => {
+    nock(OLLAMA_HOST).get('/api/tags').reply(200, tags);
+    nock(OLLAMA_HOST)
+      .post('/api/show', (body) => body.model === 'qwen3:8b')
+      .reply(200, { capabilities: ['completion', 'tools', 'thinking'] });
+    nock(OLLAMA_HOST)
+      .post('/api/show', (body) => body.model === 'llama3.2:latest')
+      .reply(200, { capabilities: ['completion', 'tools'] });
+  };
+
+  const createRoom = async (roomHelper) => {
+    room = await roomHelper.createRoom();
+    ['debug', 'info', 'warn', 'warning', 'error'].forEach((method) => {
+      room.robot.logger[method] = vi.fn();
+    });
+  };
+
+  beforeEach(() => {
+    process.env.HUBOT_OLLAMA_MODEL = 'llama3.2';
+    nock.cleanAll();
+  });
+
+  afterEach(() => {
+    room.destroy();
+    nock.cleanAll();
+    delete process.env.HUBOT_OLLAMA_MODEL;
+  });
+
+  it('lists installed models as plain text and marks the active one', async () => {
+    await createRoom(helper);
+    mockCatalog();
+
+    await room.user.say('alice', 'hubot ollama models');
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    expect(room.messages[1][1]).toBe([
+      '* llama3.2:latest - 1.9 GB, 3.2B, Q4_K_M, capabilities: tools',
+      '  qwen3:8b - 4.9 GB, 8.2B, Q4_K_M, capabilities: tools, thinking',
+      '(* = active in this room)'
+    ].join('\n'));
+  });
+
+  it('follows the room model pin when marking the active model', async () => {
+    await createRoom(helper);
+    mockCatalog();
+
+    await room.user.say('alice', 'hubot ollama model qwen3:8b');
+    await room.user.say('alice', 'hubot ollama models');
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    expect(room.messages[3][1]).toContain('* qwen3:8b');
+    expect(room.messages[3][1]).toContain('  llama3.2:latest');
+  });
+
+  it('renders a table for Slack', async () => {
+    await createRoom(slackHelper);
+    mockCatalog();
+
+    await room.user.say('alice', 'hubot ollama models');
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    const { text } = room.messages[1][1];
+    expect(text).toContain('```');
+    expect(text).toMatch(/\|\s+Model\s+\|\s+Size\s+\|/);
+    expect(text).toMatch(/\* llama3\.2:latest\s+\|\s+1\.9 GB/);
+  });
+
+  it('shows unknown capabilities when show fails', async () => {
+    await createRoom(helper);
+    nock(OLLAMA_HOST).get('/api/tags').reply(200, { models: [tags.models[0]] });
+    nock(OLLAMA_HOST).post('/api/show').reply(500, { error: 'boom' });
+
+    await room.user.say('alice', 'hubot ollama models');
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    expect(room.messages[1][1]).toContain('qwen3:8b - 4.9 GB, 8.2B, Q4_K_M, capabilities: ?');
+  });
+
+  it('reports an error when the host cannot be reached', async () => {
+    await createRoom(helper);
+    nock(OLLAMA_HOST).get('/api/tags').replyWithError('connect ECONNREFUSED');
+
+    await room.user.say('alice', 'hubot ollama models');
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    expect(room.messages[1][1]).toContain('Error: Could not list models');
+  });
+});
+
+describe('Model Fallback Chain', () => {
+  let room;
+  const OLLAMA_HOST = 'http://127.0.0.1:11434';
+
+  beforeEach(async () => {
+    process.env.HUBOT_OLLAMA_MODEL = 'qwen3:32b,llama3.2';
+    process.env.HUBOT_OLLAMA_TOOLS_ENABLED = 'false';
+    room = await helper.createRoom();
+    ['debug', 'info', 'warn', 'warning', 'error'].forEach((method) => {
+      room.robot.logger[method] = vi.fn();
+    });
+    nock.cleanAll();
+  });
+
+  afterEach(() => {
+    room.destroy();
+    nock.cleanAll();
+    delete process.env.HUBOT_OLLAMA_MODEL;
+    delete process.env.HUBOT_OLLAMA_TOOLS_ENABLED;
+    delete process.env.HUBOT_OLLAMA_TIMEOUT_MS;
+  });
+
+  const mockModelReply = (model, reply) => {
+    const scope = nock(OLLAMA_HOST).post('/api/chat', (body) => body.model === model);
+    if (reply.statusCode) {
+      return scope.reply(reply.statusCode, { error: reply.error });
+    }
+    return scope.reply(200, { message: { role: 'assistant', content: reply.content }, done: true });
+  };
+
+  it('uses the first model in the chain when it answers', async () => {
+    mockModelReply('qwen3:32b', { content: 'Primary answer.' });
+
+    await room.user.say('alice', 'hubot ask hello');
+    await new Promise((resolve) => setTimeout(resolve, 150));
+
+    expect(room.messages).toEqual([
+      ['alice', 'hubot ask hello'],
+      ['hubot', 'Primary answer.'],
+    ]);
+  });
+
+  it('falls back to the next model when the first is not found', async () => {
+    mockModelReply('qwen3:32b', { statusCode: 404, error: 'model "qwen3:32b" not found, try pulling it first' });
+    mockModelReply('llama3.2', { content: 'Fallback answer.' });
+
+    await room.user.say('alice', 'hubot ask hello');
+    await new Promise((resolve) => setTimeout(resolve, 150));
+
+    expect(room.messages[1]).toEqual([
+      'hubot',
+      'Fallback answer.\n\n_Answered by fallback model `llama3.2` (`qwen3:32b` unavailable)._'
+    ]);
+    expect(room.robot.logger.warn).toHaveBeenCalledWith(expect.stringContaining('falling back to llama3.2'));
+  });
+
+  it('falls back on a 5xx from the host', async () => {
+    mockModelReply('qwen3:32b', { statusCode: 503, error: 'server overloaded' });
+    mockModelReply('llama3.2', { content: 'Fallback answer.' });
+
+    await room.user.say('alice', 'hubot ask hello');
+    await new Promise((resolve) => setTimeout(resolve, 150));
+
+    expect(room.messages[1][1]).toContain('Fallback answer.');
+  });
+
+  it('does not store the fallback note in conversation history', async () => {
+    mockModelReply('qwen3:32b', { statusCode: 500, error: 'boom' });
+    mockModelReply('llama3.2', { content: 'Fallback answer.' });
+
+    await room.user.say('alice', 'hubot ask hello');
+    await new Promise((resolve) => setTimeout(resolve, 150));
+
+    const contexts = room.robot.brain.get('ollamaContexts');
+    expect(contexts['room1:alice'].history[0].assistant).toBe('Fallback answer.');
+  });
+
+  it('does not fall back on errors unrelated to the model', async () => {
+    mockModelReply('qwen3:32b', { statusCode: 400, error: 'invalid request' });
+
+    await room.user.say('alice', 'hubot ask hello');
+    await new Promise((resolve) => setTimeout(resolve, 150));
+
+    expect(room.messages[1][1]).toBe('Error: invalid request');
+  });
+
+  it('does not fall back once a tool has run', async () => {
+    room.destroy();
+    process.env.HUBOT_OLLAMA_TOOLS_ENABLED = 'true';
+    room = await helper.createRoom();
+    ['debug', 'info', 'warn', 'warning', 'error'].forEach((method) => {
+      room.robot.logger[method] = vi.fn();
+    });
+    const handler = vi.fn().mockResolvedValue({ opened: 'INC-42' });
+    room.robot.ollama.tools.registerTool('open_incident', { description: 'Open an incident', handler });
+    nock(OLLAMA_HOST).post('/api/show').times(5).reply(200, { capabilities: ['completion', 'tools'] });
+    nock(OLLAMA_HOST)
+      .post('/api/chat', (body) => body.model === 'qwen3:32b')
+      .reply(200, { message: { role: 'assistant', content: '', tool_calls: [{ function: { name: 'open_incident', arguments: {} } }] }, done: true });
+    mockModelReply('qwen3:32b', { statusCode: 500, error: 'boom' });
+    const fallback = mockModelReply('llama3.2', { content: 'Fallback answer.' });
+
+    await room.user.say('alice', 'hubot ask open an incident');
+    await new Promise((resolve) => setTimeout(resolve, 150));
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(fallback.isDone()).toBe(false);
+    expect(room.messages[1][1]).toBe('Error: boom');
+    expect(room.robot.logger.warn).toHaveBeenCalledWith(expect.stringContaining('not falling back to llama3.2'));
+  });
+
+  it('falls back when a model takes longer than HUBOT_OLLAMA_TIMEOUT_MS', async () => {
+    room.destroy();
+    process.env.HUBOT_OLLAMA_TIMEOUT_MS = '50';
+    room = await helper.createRoom();
+    ['debug', 'info', 'warn', 'warning', 'error'].forEach((method) => {
+      room.robot.logger[method] = vi.fn();
+    });
+    nock(OLLAMA_HOST)
+      .post('/api/chat', (body) => body.model === 'qwen3:32b')
+      .delay(300)
+      .reply(200, { message: { role: 'assistant', content: 'Too late.' }, done: true });
+    mockModelReply('llama3.2', { content: 'Fallback answer.' });
+
+    await room.user.say('alice', 'hubot ask hello');
+    await new Promise((resolve) => setTimeout(resolve, 200));
+
+    expect(room.messages[1]).toEqual([
+      'hubot',
+      'Fallback answer.\n\n_Answered by fallback model `llama3.2` (`qwen3:32b` unavailable)._'
+    ]);
+    expect(room.robot.logger.warn).toHaveBeenCalledWith('Model qwen3:32b failed (Model qwen3:32b timed out after 50 ms); falling back to llama3.2');
+  });
+
+  it('reports a timeout when the last model takes too long', async () => {
+    room.destroy();
+    process.env.HUBOT_OLLAMA_MODEL = 'qwen3:32b';
+    process.env.HUBOT_OLLAMA_TIMEOUT_MS = '50';
+    room = await helper.createRoom();
+    ['debug', 'info', 'warn', 'warning', 'error'].forEach((method) => {
+      room.robot.logger[method] = vi.fn();
+    });
+    nock(OLLAMA_HOST)
+      .post('/api/chat')
+      .delay(300)
+      .reply(200, { message: { role: 'assistant', content: 'Too late.' }, done: true });
+
+    await room.user.say('alice', 'hubot ask hello');
+    await new Promise((resolve) => setTimeout(resolve, 150));
+
+    expect(room.messages[1]).toEqual(['hubot', 'Error: Ollama timed out after 50 ms']);
+  });
+
+  it('reports the last error when every model fails', async () => {
+    mockModelReply('qwen3:32b', { statusCode: 500, error: 'boom' });
+    mockModelReply('llama3.2', { statusCode: 404, error: 'model "llama3.2" not found' });
+
+    await room.user.say('alice', 'hubot ask hello');
+    await new Promise((resolve) => setTimeout(resolve, 150));
+
+    expect(room.messages[1][1]).toBe("Error: The model 'llama3.2' was not found. You may need to run `ollama pull llama3.2` first.");
+  });
+
+  it('shows the fallback chain in the model command', async () => {
+    await room.user.say('alice', 'hubot ollama model');
+
+    expect(room.messages[1][1]).toBe('Current model: `qwen3:32b` (default); falls back to `llama3.2`');
+  });
+
+  it('tries the configured chain after a pinned model', async () => {
+    await room.user.say('alice', 'hubot ollama model mistral');
+    mockModelReply('mistral', { statusCode: 404, error: 'model "mistral" not found' });
+    mockModelReply('qwen3:32b', { content: 'Configured default answer.' });
+
+    await room.user.say('alice', 'hubot ask hello');
+    await new Promise((resolve) => setTimeout(resolve, 150));
+
+    expect(room.messages[3][1]).toContain('Answered by fallback model `qwen3:32b` (`mistral` unavailable)');
+  });
+});
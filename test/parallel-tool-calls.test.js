@@ -0,0 +1,121 @@
+const nock = require('nock');
+
+const Helper = require('./helpers/hubot-helper');
+
+const helper = new Helper('./../src/hubot-ollama.js');
+
+describe('Parallel tool calls', () => {
+  let room;
+  let events;
+  const OLLAMA_HOST = 'http://127.0.0.1:11434';
+
+  const startRoom = async () => {
+    room = await helper.createRoom();
+    ['debug', 'info', 'warn', 'warning', 'error'].forEach((method) => {
+      room.robot.logger[method] = vi.fn();
+    });
+  };
+
+  // A tool that takes `delay` ms and records when it starts and ends
+  const registerSlowTool = (name, delay, extra = {}) => {
+    room.robot.ollama.tools.registerTool(name, {
+      description: `Slow tool ${name}`,
+      parameters: {},
+      handler: async () => {
+        events.push(`start ${name}`);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        events.push(`end ${name}`);
+        return { from: name };
+      },
+      ...extra
+    });
+  };
+
+  // The model calls `calls` (tool names or raw tool calls) in one turn, then
+  // answers; returns the tool result messages sent back
+  const callTools = async (calls) => {
+    const bodies = [];
+    nock(OLLAMA_HOST)
+      .post('/api/chat')
+      .reply(200, { message: { role: 'assistant', content: '', tool_calls: calls.map(call => (typeof call === 'string' ? { function: { name: call, arguments: {} } } : call)) }, done: true });
+    nock(OLLAMA_HOST)
+      .post('/api/chat', (body) => { bodies.push(body); return true; })
+      .reply(200, { message: { role: 'assistant', content: 'Done.' }, done: true });
+
+    await room.user.say('alice', 'hubot ask do several things');
+    await new Promise((resolve) => setTimeout(resolve, 300));
+
+    expect(room.messages).toContainEqual(['hubot', 'Done.']);
+    return bodies[0].messages.map(m => m.content).filter(content => content.startsWith('<tool_result'));
+  };
+
+  beforeEach(() => {
+    process.env.HUBOT_OLLAMA_MODEL = 'llama3.2';
+    events = [];
+    nock.cleanAll();
+    nock(OLLAMA_HOST).post('/api/show').times(5).reply(200, { capabilities: ['completion', 'tools'] });
+  });
+
+  afterEach(() => {
+    room.destroy();
+    nock.cleanAll();
+    delete process.env.HUBOT_OLLAMA_MODEL;
+    delete process.env.HUBOT_OLLAMA_TOOL_CONCURRENCY;
+  });
+
+  it('runs the calls of one turn at the same time and keeps their order', async () => {
+    await startRoom();
+    registerSlowTool('slow', 60);
+    registerSlowTool('fast', 10);
+
+    const results = await callTools(['slow', 'fast']);
+
+    expect(events).toEqual(['start slow', 'start fast', 'end fast', 'end slow']);
+    expect(results).toEqual([
+      '<tool_result name="slow">{"from":"slow"}</tool_result>',
+      '<tool_result name="fast">{"from":"fast"}</tool_result>'
+    ]);
+  });
+
+  it('runs tools that are not parallel-safe on their own', async () => {
+    await startRoom();
+    registerSlowTool('first', 20);
+    registerSlowTool('exclusive', 20, { parallelSafe: false });
+    registerSlowTool('second', 20);
+    registerSlowTool('third', 20);
+
+    await callTools(['first', 'exclusive', 'second', 'third']);
+
+    expect(events).toEqual([
+      'start first', 'end first',
+      'start exclusive', 'end exclusive',
+      'start second', 'start third', 'end second', 'end third'
+    ]);
+  });
+
+  it('groups a nameless call as the tool its arguments hint at', async () => {
+    await startRoom();
+    registerSlowTool('first', 20);
+    registerSlowTool('exclusive', 20, { parallelSafe: false });
+    registerSlowTool('second', 20);
+
+    await callTools(['first', { function: { name: '', arguments: { type: 'exclusive' } } }, 'second']);
+
+    expect(events).toEqual([
+      'start first', 'end first',
+      'start exclusive', 'end exclusive',
+      'start second', 'end second'
+    ]);
+  });
+
+  it('runs calls one by one with HUBOT_OLLAMA_TOOL_CONCURRENCY=1', async () => {
+    process.env.HUBOT_OLLAMA_TOOL_CONCURRENCY = '1';
+    await startRoom();
+    registerSlowTool('slow', 40);
+    registerSlowTool('fast', 10);
+
+    await callTools(['slow', 'fast']);
+
+    expect(events).toEqual(['start slow', 'end slow', 'start fast', 'end fast']);
+  });
+});
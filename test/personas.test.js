@@ -0,0 +1,203 @@
+const nock = require('nock');
+
+const Helper = require('./helpers/hubot-helper');
+
+const helper = new Helper('./../src/hubot-ollama.js');
+
+describe('Personas', () => {
+  let room;
+  const OLLAMA_HOST = 'http://127.0.0.1:11434';
+
+  beforeEach(async () => {
+    process.env.HUBOT_OLLAMA_MODEL = 'llama3.2';
+    room = await helper.createRoom();
+    ['debug', 'info', 'warn', 'warning', 'error'].forEach((method) => {
+      room.robot.logger[method] = vi.fn();
+    });
+    nock.cleanAll();
+    nock(OLLAMA_HOST).post('/api/show').times(5).reply(200, { capabilities: ['completion', 'tools'] });
+  });
+
+  afterEach(() => {
+    room.destroy();
+    nock.cleanAll();
+    delete process.env.HUBOT_OLLAMA_MODEL;
+  });
+
+  const mockOllamaChat = (response, bodies) =>
+    nock(OLLAMA_HOST)
+      .post('/api/chat', (body) => { bodies.push(body); return true; })
+      .reply(200, { message: { role: 'assistant', content: response }, done: true });
+
+  const addCoder = () => room.user.say(
+    'alice',
+    'hubot ollama persona add coder --model qwen2.5-coder:7b --tools hubot_ollama_run_javascript --trigger coder You are a terse senior engineer.'
+  );
+
+  it('saves a persona to the brain', async () => {
+    await addCoder();
+
+    expect(room.messages[1][1]).toMatch(/^Persona `coder` \(model `qwen2\.5-coder:7b`; tools: hubot_ollama_run_javascript; trigger `hubot coder`\): You are a terse senior engineer\. saved\./);
+    expect(room.robot.brain.get('ollamaPersonas').personas.coder).toMatchObject({
+      name: 'coder',
+      systemPrompt: 'You are a terse senior engineer.',
+      model: 'qwen2.5-coder:7b',
+      tools: ['hubot_ollama_run_javascript'],
+      trigger: 'coder',
+      createdBy: 'alice'
+    });
+  });
+
+  it('rejects bad persona definitions', async () => {
+    await room.user.say('alice', 'hubot ollama persona add coder --tools no_such_tool Be terse.');
+    expect(room.messages[1][1]).toMatch(/^Unknown tool\(s\): no_such_tool\. Available tools: /);
+
+    await room.user.say('alice', 'hubot ollama persona add coder --trigger ask Be terse.');
+    expect(room.messages[3][1]).toMatch(/^`ask` is already a command and cannot be a trigger word\./);
+
+    await room.user.say('alice', 'hubot ollama persona add coder --model bad/name Be terse.');
+    expect(room.messages[5][1]).toMatch(/^Invalid model name `bad\/name`\./);
+
+    await room.user.say('alice', 'hubot ollama persona add coder');
+    expect(room.messages[7][1]).toMatch(/^A persona needs a system prompt\.\nUsage: hubot ollama persona add <name> \[--model <name>\] \[--tools <a,b>\] \[--trigger <word>\] <system prompt>$/);
+
+    expect(room.robot.brain.get('ollamaPersonas')).toBeNull();
+  });
+
+  it('rejects trigger words the robot already answers to', async () => {
+    room.robot.respond(/deploy\s+(\S+)$/i, () => {});
+
+    await room.user.say('alice', 'hubot ollama persona add helper --trigger help Be helpful.');
+    expect(room.messages[1][1]).toMatch(/^`help` is already a command and cannot be a trigger word\./);
+
+    await room.user.say('alice', 'hubot ollama persona add deployer --trigger deploy Ship it.');
+    expect(room.messages[3][1]).toMatch(/^`deploy` is already a command and cannot be a trigger word\./);
+
+    expect(room.robot.brain.get('ollamaPersonas')).toBeNull();
+  });
+
+  it('is limited to admins when hubot-auth is loaded', async () => {
+    await addCoder();
+    room.robot.auth = { isAdmin: (user) => user.name === 'admin' };
+
+    await room.user.say('alice', 'hubot ollama persona add reviewer Review code.');
+    expect(room.messages[3]).toEqual(['hubot', 'Only admins can change personas.']);
+    await room.user.say('alice', 'hubot ollama persona remove coder');
+    expect(room.messages[5]).toEqual(['hubot', 'Only admins can change personas.']);
+    expect(Object.keys(room.robot.brain.get('ollamaPersonas').personas)).toEqual(['coder']);
+
+    await room.user.say('admin', 'hubot ollama persona remove coder');
+    expect(room.messages[7]).toEqual(['hubot', 'Persona `coder` removed.']);
+  });
+
+  it('does not let two personas share a trigger word', async () => {
+    await addCoder();
+    await room.user.say('alice', 'hubot ollama persona add reviewer --trigger coder Review code.');
+
+    expect(room.messages[3][1]).toMatch(/^Trigger `coder` is already used by persona `coder`\./);
+  });
+
+  it('answers with the room persona prompt, model and tools', async () => {
+    await addCoder();
+    await room.user.say('alice', 'hubot ollama persona use coder');
+    expect(room.messages[3]).toEqual(['hubot', 'This room now answers as persona `coder`.']);
+
+    const bodies = [];
+    mockOllamaChat('Use a Map.', bodies);
+    await room.user.say('bob', 'hubot ask how do I dedupe keys?');
+    await new Promise((resolve) => setTimeout(resolve, 150));
+
+    expect(bodies[0].model).toBe('qwen2.5-coder:7b');
+    expect(bodies[0].messages[0].content).toMatch(/ \| You are a terse senior engineer\.$/);
+    expect(bodies[0].tools.map(t => t.function.name)).toEqual(['hubot_ollama_run_javascript']);
+    expect(room.messages).toContainEqual(['hubot', 'Use a Map.']);
+  });
+
+  it('lets --model override the persona model', async () => {
+    await addCoder();
+    await room.user.say('alice', 'hubot ollama persona use coder');
+
+    const bodies = [];
+    mockOllamaChat('ok', bodies);
+    await room.user.say('bob', 'hubot ask --model mistral hi');
+    await new Promise((resolve) => setTimeout(resolve, 150));
+
+    expect(bodies[0].model).toBe('mistral');
+  });
+
+  it('answers trigger words as the persona without changing the room', async () => {
+    await addCoder();
+
+    const bodies = [];
+    mockOllamaChat('Use a Set.', bodies);
+    await room.user.say('bob', 'hubot coder how do I dedupe values?');
+    await new Promise((resolve) => setTimeout(resolve, 150));
+
+    expect(bodies[0].model).toBe('qwen2.5-coder:7b');
+    expect(bodies[0].messages[bodies[0].messages.length - 1].content).toBe('<user_input>how do I dedupe values?</user_input>');
+    expect(room.messages).toContainEqual(['hubot', 'Use a Set.']);
+
+    mockOllamaChat('Plain answer.', bodies);
+    await room.user.say('bob', 'hubot ask hi');
+    await new Promise((resolve) => setTimeout(resolve, 150));
+
+    expect(bodies[1].model).toBe('llama3.2');
+    expect(bodies[1].messages[0].content).not.toContain('terse senior engineer');
+  });
+
+  it('ignores addressed messages that are not trigger words', async () => {
+    await addCoder();
+    const bodies = [];
+    mockOllamaChat('should not be called', bodies);
+
+    await room.user.say('bob', 'hubot reviewer look at this');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    expect(bodies).toEqual([]);
+  });
+
+  it('lists personas and marks the one active in the room', async () => {
+    await addCoder();
+    await room.user.say('alice', 'hubot ollama persona add Pirate Talk like a pirate.');
+    await room.user.say('alice', 'hubot ollama persona use pirate');
+    await room.user.say('alice', 'hubot ollama persona list');
+
+    expect(room.messages[7][1]).toBe([
+      '- `coder` (model `qwen2.5-coder:7b`; tools: hubot_ollama_run_javascript; trigger `hubot coder`): You are a terse senior engineer.',
+      '* `Pirate`: Talk like a pirate.',
+      '(* = active in this room)'
+    ].join('\n'));
+
+    await room.user.say('alice', 'hubot ollama persona');
+    expect(room.messages[9][1]).toBe('Persona in this room: `Pirate`: Talk like a pirate.');
+  });
+
+  it('goes back to the default prompt with `use none`', async () => {
+    await addCoder();
+    await room.user.say('alice', 'hubot ollama persona use coder');
+    await room.user.say('alice', 'hubot ollama persona use none');
+
+    expect(room.messages[5]).toEqual(['hubot', 'This room is back to the default prompt.']);
+    expect(room.robot.brain.get('ollamaPersonas').rooms).toEqual({});
+  });
+
+  it('removes a persona and its room selections', async () => {
+    await addCoder();
+    await room.user.say('alice', 'hubot ollama persona use coder');
+    await room.user.say('alice', 'hubot ollama persona remove coder');
+
+    expect(room.messages[5]).toEqual(['hubot', 'Persona `coder` removed.']);
+    expect(room.robot.brain.get('ollamaPersonas')).toEqual({ personas: {}, rooms: {} });
+
+    await room.user.say('alice', 'hubot ollama persona remove coder');
+    expect(room.messages[7]).toEqual(['hubot', 'There is no persona named `coder`.']);
+  });
+
+  it('shows the persona model in `ollama model`', async () => {
+    await addCoder();
+    await room.user.say('alice', 'hubot ollama persona use coder');
+    await room.user.say('alice', 'hubot ollama model');
+
+    expect(room.messages[5][1]).toBe('Current model: `qwen2.5-coder:7b` (from persona `coder`); falls back to `llama3.2`');
+  });
+});
@@ -0,0 +1,161 @@
+const nock = require('nock');
+
+const { flagUsage, parsePromptFlags } = require('../src/utils/prompt-flags');
+
+const Helper = require('./helpers/hubot-helper');
+
+describe('prompt-flags', () => {
+  it('returns the prompt untouched when there are no flags', () => {
+    expect(parsePromptFlags('what is --temp for?')).toEqual({ options: {}, prompt: 'what is --temp for?' });
+  });
+
+  it('parses valued and boolean flags in any order', () => {
+    expect(parsePromptFlags('--temp 0.2 --no-context --model=qwen3:8b --seed 7 --ctx 8192 --no-tools --web why?')).toEqual({
+      options: { temperature: 0.2, noContext: true, model: 'qwen3:8b', seed: 7, numCtx: 8192, noTools: true, web: true },
+      prompt: 'why?'
+    });
+  });
+
+  it('stops at a bare -- so prompts can start with dashes', () => {
+    expect(parsePromptFlags('--no-tools -- --verbose means what?')).toEqual({
+      options: { noTools: true },
+      prompt: '--verbose means what?'
+    });
+  });
+
+  it('reports unknown flags and bad values', () => {
+    expect(parsePromptFlags('--tempature 1 hi').error).toBe('Unknown flag --tempature');
+    expect(parsePromptFlags('--temp hot hi').error).toBe('--temp must be a number');
+    expect(parsePromptFlags('--temp 3 hi').error).toBe('--temp must be between 0 and 2');
+    expect(parsePromptFlags('--seed 1.5 hi').error).toBe('--seed must be a whole number');
+    expect(parsePromptFlags('--ctx 10 hi').error).toBe('--ctx must be at least 256');
+    expect(parsePromptFlags('--model --web hi').error).toBe('--model needs a value');
+    expect(parsePromptFlags('--web=yes hi').error).toBe('--web does not take a value');
+  });
+
+  it('accepts a custom set of flag specs', () => {
+    const specs = { '--tools': { key: 'tools', type: 'string', placeholder: '<a,b>' } };
+    expect(parsePromptFlags('--tools a,b be terse', specs)).toEqual({ options: { tools: 'a,b' }, prompt: 'be terse' });
+    expect(parsePromptFlags('--temp 1 hi', specs).error).toBe('Unknown flag --temp');
+    expect(flagUsage('hubot x', specs)).toBe('Usage: hubot x [--tools <a,b>] <prompt>');
+  });
+
+  it('flags --help', () => {
+    expect(parsePromptFlags('--help').help).toBe(true);
+  });
+
+  it('builds a usage line', () => {
+    expect(flagUsage('hubot ask')).toBe(
+      'Usage: hubot ask [--model <name>] [--temp <0-2>] [--seed <n>] [--ctx <tokens>] [--no-tools] [--no-context] [--web] [--json <schema-name>] <prompt>'
+    );
+  });
+});
+
+describe('Inline prompt flags', () => {
+  const helper = new Helper('./../src/hubot-ollama.js');
+  const OLLAMA_HOST = 'http://127.0.0.1:11434';
+  let room;
+
+  beforeEach(async () => {
+    process.env.HUBOT_OLLAMA_MODEL = 'llama3.2';
+    nock.cleanAll();
+    room = await helper.createRoom();
+    ['debug', 'info', 'warn', 'warning', 'error'].forEach((method) => {
+      room.robot.logger[method] = vi.fn();
+    });
+    nock(OLLAMA_HOST).post('/api/show').times(5).reply(200, { capabilities: ['completion', 'tools'] });
+  });
+
+  afterEach(() => {
+    room.destroy();
+    nock.cleanAll();
+    delete process.env.HUBOT_OLLAMA_MODEL;
+  });
+
+  const mockChat = (content, bodies) =>
+    nock(OLLAMA_HOST)
+      .post('/api/chat', (body) => { bodies.push(body); return true; })
+      .reply(200, { message: { role: 'assistant', content }, done: true });
+
+  it('passes model, generation options and --no-tools to the request', async () => {
+    const bodies = [];
+    mockChat('Short and cool.', bodies);
+
+    await room.user.say('alice', 'hubot ask --model qwen3:8b --temp 0.1 --seed 42 --ctx 4096 --no-tools describe the sea');
+    await new Promise((resolve) => setTimeout(resolve, 150));
+
+    expect(bodies[0].model).toBe('qwen3:8b');
+    expect(bodies[0].options).toEqual({ temperature: 0.1, seed: 42, num_ctx: 4096 });
+    expect(bodies[0].tools).toBeUndefined();
+    expect(bodies[0].messages[bodies[0].messages.length - 1].content).toBe('<user_input>describe the sea</user_input>');
+    expect(room.messages).toContainEqual(['hubot', 'Short and cool.']);
+  });
+
+  it('--no-context neither uses nor stores conversation history', async () => {
+    const bodies = [];
+    mockChat('First answer.', bodies);
+    await room.user.say('alice', 'hubot ask --no-tools remember the word banana');
+    await new Promise((resolve) => setTimeout(resolve, 150));
+
+    mockChat('No idea.', bodies);
+    await room.user.say('alice', 'hubot ask --no-context --no-tools what was the word?');
+    await new Promise((resolve) => setTimeout(resolve, 150));
+
+    expect(bodies[1].messages.some(m => m.content === 'remember the word banana')).toBe(false);
+
+    mockChat('Banana.', bodies);
+    await room.user.say('alice', 'hubot ask --no-tools what was the word?');
+    await new Promise((resolve) => setTimeout(resolve, 150));
+
+    const contents = bodies[2].messages.map(m => m.content);
+    expect(contents).toContain('remember the word banana');
+    expect(contents).not.toContain('what was the word?');
+  });
+
+  it('answers unknown flags with usage instead of asking the model', async () => {
+    const bodies = [];
+    mockChat('should not be called', bodies);
+
+    await room.user.say('alice', 'hubot ask --verbose why?');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    expect(bodies).toEqual([]);
+    expect(room.messages[1][1]).toBe(`Unknown flag --verbose.\n${flagUsage('hubot ask')}`);
+  });
+
+  it('rejects --web when web search is not enabled', async () => {
+    await room.user.say('alice', 'hubot ask --web latest node release');
+
+    expect(room.messages[1][1]).toMatch(/^--web needs web search, which is not enabled on this bot\./);
+  });
+
+  it('refuses a --ctx larger than HUBOT_OLLAMA_MAX_NUM_CTX', async () => {
+    const bodies = [];
+    mockChat('should not be called', bodies);
+
+    await room.user.say('alice', 'hubot ask --ctx 100000000 hi');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    expect(bodies).toEqual([]);
+    expect(room.messages[1][1]).toBe(`--ctx must be at most 32768 for \`llama3.2\`.\n${flagUsage('hubot ask')}`);
+  });
+
+  it("refuses a --ctx larger than the model's context length", async () => {
+    nock.cleanAll();
+    nock(OLLAMA_HOST)
+      .post('/api/show')
+      .times(5)
+      .reply(200, { capabilities: ['completion'], model_info: { 'general.architecture': 'llama', 'llama.context_length': 8192 } });
+
+    await room.user.say('alice', 'hubot ask --ctx 16384 hi');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    expect(room.messages[1][1]).toMatch(/^--ctx must be at most 8192 for `llama3\.2`\./);
+  });
+
+  it('rejects invalid model names', async () => {
+    await room.user.say('alice', 'hubot ask --model bad/name hi');
+
+    expect(room.messages[1][1]).toMatch(/^Invalid model name `bad\/name`\./);
+  });
+});
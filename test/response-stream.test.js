@@ -0,0 +1,228 @@
+const { createResponseStream, findChunkBoundary } = require('../src/utils/response-stream');
+
+describe('response-stream', () => {
+  const makeRobot = (web) => ({
+    adapter: { client: web ? { web } : undefined },
+    logger: { debug: vi.fn() }
+  });
+  const makeMsg = () => ({ message: { room: 'C123' }, send: vi.fn() });
+
+  describe('findChunkBoundary', () => {
+    it('returns -1 when there is no paragraph break past the minimum', () => {
+      expect(findChunkBoundary('short\n\nparagraph', 20)).toBe(-1);
+    });
+
+    it('returns the last paragraph break past the minimum', () => {
+      const text = 'aaaa\n\nbbbb\n\ncc';
+      expect(findChunkBoundary(text, 2)).toBe(10);
+    });
+
+    it('does not split inside an open code fence', () => {
+      const text = 'intro\n\n```\ncode\n\nmore code';
+      expect(findChunkBoundary(text, 0)).toBe(5);
+    });
+  });
+
+  describe('editable (Slack) streams', () => {
+    it('posts once, then updates the same message', async () => {
+      const web = {
+        chat: {
+          postMessage: vi.fn().mockResolvedValue({ ts: '111.222' }),
+          update: vi.fn().mockResolvedValue({ ok: true })
+        }
+      };
+      const msg = makeMsg();
+      const stream = createResponseStream({
+        robot: makeRobot(web),
+        msg,
+        format: (text) => ({ text, mrkdwn: true, thread_ts: '999.000' }),
+        canEdit: true,
+        updateIntervalMs: 0
+      });
+
+      expect(stream.editable).toBe(true);
+      stream.push('Hello');
+      stream.push('Hello world');
+      const delivered = await stream.finish('Hello world!');
+
+      expect(delivered).toBe(true);
+      expect(web.chat.postMessage).toHaveBeenCalledTimes(1);
+      expect(web.chat.postMessage).toHaveBeenCalledWith({ channel: 'C123', text: 'Hello', mrkdwn: true, thread_ts: '999.000' });
+      expect(web.chat.update).toHaveBeenLastCalledWith({ channel: 'C123', ts: '111.222', text: 'Hello world!', mrkdwn: true });
+      expect(msg.send).not.toHaveBeenCalled();
+    });
+
+    it('throttles intermediate updates', async () => {
+      const web = {
+        chat: {
+          postMessage: vi.fn().mockResolvedValue({ ts: '1' }),
+          update: vi.fn().mockResolvedValue({ ok: true })
+        }
+      };
+      const stream = createResponseStream({
+        robot: makeRobot(web),
+        msg: makeMsg(),
+        format: (text) => text,
+        canEdit: true,
+        updateIntervalMs: 60000
+      });
+
+      stream.push('a');
+      await new Promise((resolve) => setTimeout(resolve, 0));
+      stream.push('ab');
+      stream.push('abc');
+      await stream.finish('abc');
+
+      expect(web.chat.postMessage).toHaveBeenCalledTimes(1);
+      // Only the final edit goes through while throttled
+      expect(web.chat.update).toHaveBeenCalledTimes(1);
+    });
+
+    it('reports nothing delivered when the initial post fails', async () => {
+      const web = {
+        chat: {
+          postMessage: vi.fn().mockRejectedValue(new Error('not_in_channel')),
+          update: vi.fn()
+        }
+      };
+      const stream = createResponseStream({
+        robot: makeRobot(web),
+        msg: makeMsg(),
+        format: (text) => text,
+        canEdit: true
+      });
+
+      stream.push('partial');
+      expect(await stream.finish('partial answer')).toBe(false);
+      expect(web.chat.update).not.toHaveBeenCalled();
+    });
+
+    it('starts a new message after reset', async () => {
+      const web = {
+        chat: {
+          postMessage: vi.fn()
+            .mockResolvedValueOnce({ ts: '1' })
+            .mockResolvedValueOnce({ ts: '2' }),
+          update: vi.fn().mockResolvedValue({ ok: true })
+        }
+      };
+      const stream = createResponseStream({
+        robot: makeRobot(web),
+        msg: makeMsg(),
+        format: (text) => text,
+        canEdit: true,
+        updateIntervalMs: 0
+      });
+
+      stream.push('Let me check.');
+      await stream.reset();
+      stream.push('Answer');
+      await stream.finish('Answer');
+
+      expect(web.chat.postMessage).toHaveBeenCalledTimes(2);
+      expect(web.chat.update).toHaveBeenLastCalledWith({ channel: 'C123', ts: '2', text: 'Answer' });
+    });
+  });
+
+  describe('discard', () => {
+    it('deletes the posted Slack message', async () => {
+      const web = {
+        chat: {
+          postMessage: vi.fn().mockResolvedValue({ ts: '1' }),
+          update: vi.fn().mockResolvedValue({ ok: true }),
+          delete: vi.fn().mockResolvedValue({ ok: true })
+        }
+      };
+      const stream = createResponseStream({ robot: makeRobot(web), msg: makeMsg(), format: (text) => text, canEdit: true });
+
+      stream.push('Let me check.');
+      expect(await stream.discard()).toBe(false);
+      expect(web.chat.delete).toHaveBeenCalledWith({ channel: 'C123', ts: '1' });
+    });
+
+    it('keeps the message when it cannot be deleted', async () => {
+      const web = {
+        chat: {
+          postMessage: vi.fn().mockResolvedValue({ ts: '1' }),
+          update: vi.fn().mockResolvedValue({ ok: true }),
+          delete: vi.fn().mockRejectedValue(new Error('cant_delete_message'))
+        }
+      };
+      const stream = createResponseStream({ robot: makeRobot(web), msg: makeMsg(), format: (text) => text, canEdit: true });
+
+      stream.push('Let me check.');
+      expect(await stream.discard()).toBe(true);
+    });
+
+    it('drops text that was not sent yet', async () => {
+      const msg = makeMsg();
+      const stream = createResponseStream({ robot: makeRobot(null), msg, format: (text) => text, canEdit: false });
+
+      stream.push('Let me check.');
+      expect(await stream.discard()).toBe(false);
+      expect(msg.send).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('chunked (non-editable) streams', () => {
+    it('falls back to msg.send when the adapter cannot edit', () => {
+      const stream = createResponseStream({
+        robot: makeRobot(null),
+        msg: makeMsg(),
+        format: (text) => text,
+        canEdit: true
+      });
+      expect(stream.editable).toBe(false);
+    });
+
+    it('sends completed paragraphs and the remainder on finish', async () => {
+      const msg = makeMsg();
+      const stream = createResponseStream({
+        robot: makeRobot(null),
+        msg,
+        format: (text) => text,
+        canEdit: false,
+        minChunkChars: 5
+      });
+
+      const full = 'First paragraph.\n\nSecond paragraph.';
+      stream.push('First para');
+      stream.push('First paragraph.\n\nSec');
+      const delivered = await stream.finish(full);
+
+      expect(delivered).toBe(true);
+      expect(msg.send.mock.calls).toEqual([['First paragraph.'], ['Second paragraph.']]);
+    });
+
+    it('sends the whole answer when it no longer starts with what was sent', async () => {
+      const msg = makeMsg();
+      const stream = createResponseStream({
+        robot: makeRobot(null),
+        msg,
+        format: (text) => text,
+        canEdit: false,
+        minChunkChars: 5
+      });
+
+      stream.push('First paragraph.\n\nSec');
+      const delivered = await stream.finish('Replaced answer.\n\nSecond paragraph, and more.');
+
+      expect(delivered).toBe(true);
+      expect(msg.send.mock.calls).toEqual([['First paragraph.'], ['Replaced answer.\n\nSecond paragraph, and more.']]);
+    });
+
+    it('leaves short answers to the caller', async () => {
+      const msg = makeMsg();
+      const stream = createResponseStream({
+        robot: makeRobot(null),
+        msg,
+        format: (text) => text,
+        canEdit: false
+      });
+
+      stream.push('Short answer.');
+      expect(await stream.finish('Short answer.')).toBe(false);
+      expect(msg.send).not.toHaveBeenCalled();
+    });
+  });
+});
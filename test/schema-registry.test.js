@@ -0,0 +1,49 @@
+const path = require('path');
+
+const schemaRegistry = require('../src/schema-registry');
+
+describe('Schema Registry', () => {
+  beforeEach(() => {
+    schemaRegistry.clearSchemas();
+  });
+
+  it('registers and looks up schemas by case-insensitive name', () => {
+    schemaRegistry.registerSchema('Owner', { type: 'object', properties: { owner: { type: 'string' } } }, { description: 'Who owns it' });
+
+    expect(schemaRegistry.getSchema('owner')).toEqual({
+      name: 'Owner',
+      description: 'Who owns it',
+      schema: { type: 'object', properties: { owner: { type: 'string' } } }
+    });
+    expect(schemaRegistry.getSchema('missing')).toBeNull();
+  });
+
+  it('rejects invalid names and schemas', () => {
+    expect(() => schemaRegistry.registerSchema('has space', { type: 'object' })).toThrow(/must only contain/);
+    expect(() => schemaRegistry.registerSchema('ok', { properties: {} })).toThrow(/must be a JSON Schema object/);
+  });
+
+  it('offers inherited schemas until it registers its own of the same name', () => {
+    const local = schemaRegistry.createSchemaRegistry({ inherit: schemaRegistry });
+    schemaRegistry.registerSchema('owner', { type: 'object' }, { description: 'Shared' });
+    local.registerSchema('tags', { type: 'array' });
+
+    expect(local.getSchema('owner').description).toBe('Shared');
+    expect(Object.keys(local.getSchemas())).toEqual(['owner', 'tags']);
+    expect(schemaRegistry.getSchema('tags')).toBeNull();
+
+    local.registerSchema('owner', { type: 'object' }, { description: 'Local' });
+    expect(local.getSchema('owner').description).toBe('Local');
+    local.clearSchemas();
+    expect(local.getSchema('owner').description).toBe('Shared');
+  });
+
+  it('loads bare and wrapped schemas from a JSON file', () => {
+    const names = schemaRegistry.loadSchemasFromFile(path.join(__dirname, 'fixtures', 'schemas.json'));
+
+    expect(names).toEqual(['ticket', 'tags']);
+    expect(schemaRegistry.getSchema('ticket').description).toBe('Ticket ID, owner and due date mentioned in the text');
+    expect(schemaRegistry.getSchema('ticket').schema.required).toEqual(['ticketId', 'owner']);
+    expect(schemaRegistry.getSchema('tags').schema.type).toBe('array');
+  });
+});
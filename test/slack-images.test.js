@@ -0,0 +1,214 @@
+const { Readable } = require('stream');
+
+const nock = require('nock');
+
+const { downloadSlackImages, findSlackImageFiles, getSlackMessageFiles } = require('../src/utils/slack-images');
+
+const Helper = require('./helpers/hubot-helper');
+const { createMockTextMessage } = require('./helpers/mock-message');
+
+const FILES_HOST = 'https://files.slack.com';
+const PNG_BYTES = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const imageFile = (name, extra = {}) => ({
+  id: `F_${name}`,
+  name,
+  mimetype: 'image/png',
+  size: PNG_BYTES.length,
+  url_private_download: `${FILES_HOST}/files-pri/T1-F1/download/${name}`,
+  ...extra
+});
+
+describe('slack-images', () => {
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  it('reads files from the supported message shapes', () => {
+    const files = [imageFile('a.png')];
+    expect(getSlackMessageFiles({ message: { rawMessage: { files } } })).toBe(files);
+    expect(getSlackMessageFiles({ message: { rawMessage: { event: { files } } } })).toBe(files);
+    expect(getSlackMessageFiles({ message: { message: { rawMessage: { body: { event: { files } } } } } })).toBe(files);
+    expect(getSlackMessageFiles({ message: { rawMessage: {} } })).toEqual([]);
+  });
+
+  describe('findSlackImageFiles', () => {
+    it('keeps only image attachments of the message', async () => {
+      const msg = { message: { rawMessage: { files: [imageFile('a.png'), { name: 'notes.txt', mimetype: 'text/plain' }] } } };
+      const files = await findSlackImageFiles({ web: {}, msg, channel: 'C1', threadTs: null });
+      expect(files.map(f => f.name)).toEqual(['a.png']);
+    });
+
+    it('falls back to the thread parent when the reply has no images', async () => {
+      const replies = vi.fn().mockResolvedValue({ messages: [{ ts: '1.0', files: [imageFile('graph.png')] }] });
+      const files = await findSlackImageFiles({
+        web: { conversations: { replies } },
+        msg: { message: { rawMessage: {} } },
+        channel: 'C1',
+        threadTs: '1.0'
+      });
+      expect(replies).toHaveBeenCalledWith({ channel: 'C1', ts: '1.0', limit: 1, inclusive: true });
+      expect(files.map(f => f.name)).toEqual(['graph.png']);
+    });
+
+    it('returns nothing when the thread parent cannot be read', async () => {
+      const replies = vi.fn().mockRejectedValue(new Error('missing_scope'));
+      const files = await findSlackImageFiles({
+        web: { conversations: { replies } },
+        msg: { message: { rawMessage: {} } },
+        channel: 'C1',
+        threadTs: '1.0',
+        logger: { debug: vi.fn() }
+      });
+      expect(files).toEqual([]);
+    });
+  });
+
+  describe('downloadSlackImages', () => {
+    it('downloads images with the bot token as base64', async () => {
+      nock(FILES_HOST, { reqheaders: { authorization: 'Bearer xoxb-test' } })
+        .get('/files-pri/T1-F1/download/a.png')
+        .reply(200, PNG_BYTES, { 'Content-Type': 'image/png' });
+
+      const result = await downloadSlackImages([imageFile('a.png')], { web: { token: 'xoxb-test' }, maxImages: 4, maxBytes: 1024 });
+      expect(result).toEqual({ images: [PNG_BYTES.toString('base64')], skipped: [] });
+    });
+
+    it('skips images over the size and count limits', async () => {
+      nock(FILES_HOST)
+        .get('/files-pri/T1-F1/download/a.png')
+        .reply(200, PNG_BYTES, { 'Content-Type': 'image/png' });
+
+      const result = await downloadSlackImages(
+        [imageFile('huge.png', { size: 10 * 1024 * 1024 }), imageFile('a.png'), imageFile('b.png')],
+        { web: { token: 'xoxb-test' }, maxImages: 1, maxBytes: 1024 * 1024 }
+      );
+      expect(result.images).toHaveLength(1);
+      expect(result.skipped).toEqual([
+        { name: 'huge.png', reason: 'larger than 1.0 MB' },
+        { name: 'b.png', reason: 'only 1 image(s) per prompt' },
+      ]);
+    });
+
+    it('stops downloading images without a size once they pass the limit', async () => {
+      const big = Buffer.alloc(4096);
+      nock(FILES_HOST)
+        .get('/files-pri/T1-F1/download/declared.png')
+        .reply(200, big, { 'Content-Type': 'image/png', 'Content-Length': String(big.length) })
+        .get('/files-pri/T1-F1/download/streamed.png')
+        .reply(200, () => Readable.from([big.subarray(0, 1000), big.subarray(1000)]), { 'Content-Type': 'image/png' });
+
+      const result = await downloadSlackImages(
+        [imageFile('declared.png', { size: undefined }), imageFile('streamed.png', { size: undefined })],
+        { web: {}, maxImages: 4, maxBytes: 1024 }
+      );
+      expect(result).toEqual({
+        images: [],
+        skipped: [
+          { name: 'declared.png', reason: 'larger than 1.0 KB' },
+          { name: 'streamed.png', reason: 'larger than 1.0 KB' }
+        ]
+      });
+    });
+
+    it('sends the bot token only to Slack file hosts', async () => {
+      nock('https://cdn.example.com', { badheaders: ['authorization'] })
+        .get('/a.png')
+        .reply(200, PNG_BYTES, { 'Content-Type': 'image/png' });
+
+      const result = await downloadSlackImages(
+        [imageFile('a.png', { url_private_download: 'https://cdn.example.com/a.png' })],
+        { web: { token: 'xoxb-test' }, maxImages: 4, maxBytes: 1024 }
+      );
+      expect(result.images).toHaveLength(1);
+    });
+
+    it('rejects non-image responses such as the Slack login page', async () => {
+      nock(FILES_HOST)
+        .get('/files-pri/T1-F1/download/a.png')
+        .reply(200, '<html>Sign in</html>', { 'Content-Type': 'text/html' });
+
+      const result = await downloadSlackImages([imageFile('a.png')], { web: {}, maxImages: 4, maxBytes: 1024 });
+      expect(result).toEqual({ images: [], skipped: [{ name: 'a.png', reason: 'download did not return an image' }] });
+    });
+
+    it('looks up download URLs for file stubs', async () => {
+      const info = vi.fn().mockResolvedValue({ file: imageFile('a.png') });
+      nock(FILES_HOST)
+        .get('/files-pri/T1-F1/download/a.png')
+        .reply(200, PNG_BYTES, { 'Content-Type': 'image/png' });
+
+      const result = await downloadSlackImages([{ id: 'F_a.png', mimetype: 'image/png' }], { web: { files: { info } }, maxImages: 4, maxBytes: 1024 });
+      expect(info).toHaveBeenCalledWith({ file: 'F_a.png' });
+      expect(result.images).toHaveLength(1);
+    });
+  });
+});
+
+describe('Slack image attachments', () => {
+  const helper = new Helper([
+    './adapters/slack.js',
+    './../src/hubot-ollama.js'
+  ]);
+  const OLLAMA_HOST = 'http://127.0.0.1:11434';
+  let room;
+
+  beforeEach(async () => {
+    process.env.HUBOT_OLLAMA_MODEL = 'llava';
+    process.env.HUBOT_OLLAMA_TOOLS_ENABLED = 'false';
+    nock.cleanAll();
+    room = await helper.createRoom();
+    ['debug', 'info', 'warn', 'warning', 'error'].forEach((method) => {
+      room.robot.logger[method] = vi.fn();
+    });
+    room.robot.adapter.client = { web: { token: 'xoxb-test' } };
+  });
+
+  afterEach(() => {
+    room.destroy();
+    nock.cleanAll();
+    delete process.env.HUBOT_OLLAMA_MODEL;
+    delete process.env.HUBOT_OLLAMA_TOOLS_ENABLED;
+  });
+
+  const askAboutScreenshot = async () => {
+    await room.user.say('alice', createMockTextMessage('hubot ask what does this error mean?', {
+      rawMessage: { ts: '1716400000.000100', files: [imageFile('error.png')] }
+    }));
+    await new Promise((resolve) => setTimeout(resolve, 150));
+  };
+
+  it('passes attached images to models with vision', async () => {
+    nock(OLLAMA_HOST).post('/api/show').reply(200, { capabilities: ['completion', 'vision'] });
+    nock(FILES_HOST)
+      .get('/files-pri/T1-F1/download/error.png')
+      .reply(200, PNG_BYTES, { 'Content-Type': 'image/png' });
+    const body = {};
+    nock(OLLAMA_HOST)
+      .post('/api/chat', (b) => { body.value = b; return true; })
+      .reply(200, { message: { role: 'assistant', content: 'The dialog says the disk is full.' }, done: true });
+
+    await askAboutScreenshot();
+
+    const userMessage = body.value.messages[body.value.messages.length - 1];
+    expect(userMessage.role).toBe('user');
+    expect(userMessage.images).toEqual([PNG_BYTES.toString('base64')]);
+    expect(room.messages).toContainEqual(['hubot', expect.objectContaining({ text: 'The dialog says the disk is full.' })]);
+  });
+
+  it('explains when the model cannot see images and answers from the text', async () => {
+    nock(OLLAMA_HOST).post('/api/show').reply(200, { capabilities: ['completion'] });
+    const download = nock(FILES_HOST).get('/files-pri/T1-F1/download/error.png').reply(200, PNG_BYTES);
+    const body = {};
+    nock(OLLAMA_HOST)
+      .post('/api/chat', (b) => { body.value = b; return true; })
+      .reply(200, { message: { role: 'assistant', content: 'Without the image I cannot say.' }, done: true });
+
+    await askAboutScreenshot();
+
+    expect(download.isDone()).toBe(false);
+    expect(body.value.messages[body.value.messages.length - 1].images).toBeUndefined();
+    expect(room.messages[1][1].text).toContain("The model `llava` can't see images");
+    expect(room.messages).toContainEqual(['hubot', expect.objectContaining({ text: 'Without the image I cannot say.' })]);
+  });
+});
@@ -0,0 +1,197 @@
+const path = require('path');
+
+const mockRequire = require('mock-require');
+
+const Helper = require('./helpers/hubot-helper');
+
+// Mock Ollama that replays scripted responses, split into token parts when streaming
+let scriptedResponses = [];
+let chatCalls = [];
+
+class MockOllama {
+  constructor() {}
+  async show() {
+    return { capabilities: ['tools', 'completion'] };
+  }
+  async chat(params) {
+    chatCalls.push(params);
+    const response = scriptedResponses.shift() || { message: { role: 'assistant', content: '' } };
+    if (!params.stream) return response;
+
+    const content = response.message.content || '';
+    const tokens = content.match(/\S+\s*/g) || [];
+    async function* parts() {
+      for (const token of tokens) {
+        yield { message: { role: 'assistant', content: token }, done: false };
+      }
+      yield {
+        message: { role: 'assistant', content: '', tool_calls: response.message.tool_calls },
+        done: true,
+        prompt_eval_count: 10,
+        eval_count: tokens.length
+      };
+    }
+    const iterator = parts();
+    iterator.abort = () => {};
+    return iterator;
+  }
+}
+
+mockRequire('ollama', { Ollama: MockOllama });
+
+const slackHelper = new Helper([
+  path.join(__dirname, 'adapters', 'slack.js'),
+  path.join(__dirname, '..', 'src', 'hubot-ollama.js')
+]);
+const helper = new Helper(path.join(__dirname, '..', 'src', 'hubot-ollama.js'));
+
+describe('hubot-ollama streaming responses', () => {
+  let room;
+
+  const createRoom = async (roomHelper) => {
+    room = await roomHelper.createRoom();
+    ['debug', 'info', 'warn', 'warning', 'error'].forEach((method) => {
+      room.robot.logger[method] = vi.fn();
+    });
+  };
+
+  const mockSlackWeb = () => {
+    const web = {
+      chat: {
+        postMessage: vi.fn().mockResolvedValue({ ts: '1700000000.000100' }),
+        update: vi.fn().mockResolvedValue({ ok: true }),
+        delete: vi.fn().mockResolvedValue({ ok: true })
+      },
+      reactions: {
+        add: vi.fn().mockResolvedValue({ ok: true }),
+        remove: vi.fn().mockResolvedValue({ ok: true })
+      }
+    };
+    room.robot.adapter.client = { web };
+    return web;
+  };
+
+  afterAll(() => {
+    mockRequire.stop('ollama');
+  });
+
+  beforeEach(() => {
+    process.env.HUBOT_OLLAMA_STREAM_ENABLED = 'true';
+    process.env.HUBOT_OLLAMA_STREAM_UPDATE_INTERVAL_MS = '250';
+    scriptedResponses = [];
+    chatCalls = [];
+  });
+
+  afterEach(() => {
+    room.destroy();
+    delete process.env.HUBOT_OLLAMA_STREAM_ENABLED;
+    delete process.env.HUBOT_OLLAMA_STREAM_UPDATE_INTERVAL_MS;
+    delete process.env.HUBOT_OLLAMA_TOOLS_ENABLED;
+  });
+
+  it('does not stream unless enabled', async () => {
+    delete process.env.HUBOT_OLLAMA_STREAM_ENABLED;
+    process.env.HUBOT_OLLAMA_TOOLS_ENABLED = 'false';
+    await createRoom(helper);
+    scriptedResponses = [{ message: { role: 'assistant', content: 'Plain answer.' } }];
+
+    await room.user.say('alice', 'hubot ask hello');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    expect(chatCalls[0].stream).toBe(false);
+    expect(room.messages).toContainEqual(['hubot', 'Plain answer.']);
+  });
+
+  it('streams into a single Slack message edited in place', async () => {
+    process.env.HUBOT_OLLAMA_TOOLS_ENABLED = 'false';
+    await createRoom(slackHelper);
+    const web = mockSlackWeb();
+    scriptedResponses = [{ message: { role: 'assistant', content: 'The capital of France is **Paris**.' } }];
+
+    await room.user.say('alice', 'hubot ask capital of France?');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    expect(chatCalls[0].stream).toBe(true);
+    expect(web.chat.postMessage).toHaveBeenCalledTimes(1);
+    expect(web.chat.postMessage.mock.calls[0][0].channel).toBe('room1');
+    expect(web.chat.update).toHaveBeenLastCalledWith({
+      channel: 'room1',
+      ts: '1700000000.000100',
+      text: 'The capital of France is *Paris*.',
+      mrkdwn: true
+    });
+    // Final answer is not sent a second time through msg.send
+    expect(room.messages.filter(([who]) => who === 'hubot')).toEqual([]);
+  });
+
+  it('never streams <think> blocks into the Slack message', async () => {
+    process.env.HUBOT_OLLAMA_TOOLS_ENABLED = 'false';
+    await createRoom(slackHelper);
+    const web = mockSlackWeb();
+    scriptedResponses = [{ message: { role: 'assistant', content: '<think> The user wants a fact. </think> Paris is the capital.' } }];
+
+    await room.user.say('alice', 'hubot ask capital of France?');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    const sentTexts = [...web.chat.postMessage.mock.calls, ...web.chat.update.mock.calls].map(([payload]) => payload.text);
+    expect(sentTexts.some(text => /think|fact/.test(text))).toBe(false);
+    expect(web.chat.update).toHaveBeenLastCalledWith(expect.objectContaining({ text: 'Paris is the capital.' }));
+  });
+
+  it('takes back streamed text that turns out to precede a tool call', async () => {
+    await createRoom(slackHelper);
+    const web = mockSlackWeb();
+    web.chat.postMessage
+      .mockResolvedValueOnce({ ts: '1700000000.000100' })
+      .mockResolvedValueOnce({ ts: '1700000000.000200' });
+    scriptedResponses = [
+      {
+        message: {
+          role: 'assistant',
+          content: 'Let me check the time.',
+          tool_calls: [{ function: { name: 'hubot_ollama_get_current_time', arguments: {} } }]
+        }
+      },
+      { message: { role: 'assistant', content: 'It is noon.' } }
+    ];
+
+    await room.user.say('alice', 'hubot ask what time is it?');
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    expect(chatCalls.map(call => call.stream)).toEqual([true, true]);
+    expect(web.chat.delete).toHaveBeenCalledWith({ channel: 'room1', ts: '1700000000.000100' });
+    // The text ahead of the tool call is sent once, as a message of its own
+    const sent = room.messages.filter(([who]) => who === 'hubot').map(([, message]) => message.text || message);
+    expect(sent).toEqual(['Let me check the time.']);
+    expect(web.chat.update).toHaveBeenLastCalledWith(expect.objectContaining({ ts: '1700000000.000200', text: 'It is noon.' }));
+  });
+
+  it('streams a direct answer from the first call when tools are offered', async () => {
+    await createRoom(slackHelper);
+    const web = mockSlackWeb();
+    scriptedResponses = [{ message: { role: 'assistant', content: 'Hello there, how can I help?' } }];
+
+    await room.user.say('alice', 'hubot ask hello');
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    expect(chatCalls.map(call => call.stream)).toEqual([true]);
+    expect(web.chat.postMessage).toHaveBeenCalledTimes(1);
+    expect(web.chat.update).toHaveBeenLastCalledWith(expect.objectContaining({ text: 'Hello there, how can I help?' }));
+    expect(web.chat.delete).not.toHaveBeenCalled();
+  });
+
+  it('falls back to msg.send for adapters that cannot edit', async () => {
+    process.env.HUBOT_OLLAMA_TOOLS_ENABLED = 'false';
+    await createRoom(helper);
+    scriptedResponses = [{ message: { role: 'assistant', content: 'Short answer.' } }];
+
+    await room.user.say('alice', 'hubot ask hello');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    expect(chatCalls[0].stream).toBe(true);
+    expect(room.messages).toEqual([
+      ['alice', 'hubot ask hello'],
+      ['hubot', 'Short answer.'],
+    ]);
+  });
+});
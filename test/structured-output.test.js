@@ -0,0 +1,103 @@
+const path = require('path');
+
+const nock = require('nock');
+
+const schemaRegistry = require('../src/schema-registry');
+
+const Helper = require('./helpers/hubot-helper');
+
+const helper = new Helper('./../src/hubot-ollama.js');
+
+describe('Structured JSON output', () => {
+  const OLLAMA_HOST = 'http://127.0.0.1:11434';
+  let room;
+
+  beforeEach(async () => {
+    process.env.HUBOT_OLLAMA_SCHEMAS_FILE = path.join(__dirname, 'fixtures', 'schemas.json');
+    schemaRegistry.clearSchemas();
+    nock.cleanAll();
+    room = await helper.createRoom();
+    ['debug', 'info', 'warn', 'warning', 'error'].forEach((method) => {
+      room.robot.logger[method] = vi.fn();
+    });
+    nock(OLLAMA_HOST).post('/api/show').reply(200, { capabilities: ['completion', 'tools'] });
+  });
+
+  afterEach(() => {
+    room.destroy();
+    nock.cleanAll();
+    schemaRegistry.clearSchemas();
+    delete process.env.HUBOT_OLLAMA_SCHEMAS_FILE;
+  });
+
+  const mockChat = (content, captureBody) =>
+    nock(OLLAMA_HOST)
+      .post('/api/chat', (body) => { captureBody.value = body; return true; })
+      .reply(200, { message: { role: 'assistant', content }, done: true });
+
+  it('sends the schema as format, skips tools and posts the JSON as a code block', async () => {
+    const body = {};
+    mockChat('{"ticketId":"OPS-42","owner":"dana","dueDate":null}', body);
+
+    await room.user.say('alice', 'hubot ask --json ticket Dana owns OPS-42, no due date yet');
+    await new Promise((resolve) => setTimeout(resolve, 150));
+
+    expect(body.value.format).toEqual(room.robot.ollama.schemas.getSchema('ticket').schema);
+    expect(body.value.tools).toBeUndefined();
+    expect(body.value.messages[body.value.messages.length - 1].content).toBe('<user_input>Dana owns OPS-42, no due date yet</user_input>');
+    expect(room.messages[1]).toEqual([
+      'hubot',
+      '```json\n{\n  "ticketId": "OPS-42",\n  "owner": "dana",\n  "dueDate": null\n}\n```'
+    ]);
+  });
+
+  it('reports JSON that does not match the schema', async () => {
+    mockChat('{"ticketId":"forty-two"}', {});
+
+    await room.user.say('alice', 'hubot ask --json ticket something about a ticket');
+    await new Promise((resolve) => setTimeout(resolve, 150));
+
+    expect(room.messages[1][1]).toBe(
+      "Error: The model's JSON does not match schema `ticket`: $.owner is required; $.ticketId should match /^[A-Z]+-\\d+$/"
+    );
+  });
+
+  it('lists available schemas for an unknown schema name', async () => {
+    await room.user.say('alice', 'hubot ask --json invoice pay me');
+
+    expect(room.messages[1][1]).toBe('Unknown schema `invoice`. Available schemas: `ticket`, `tags`');
+  });
+
+  it('shows usage when the prompt is missing', async () => {
+    await room.user.say('alice', 'hubot ask --json ticket');
+
+    expect(room.messages[1][1]).toBe('Usage: hubot ask --json <schema-name> <prompt>');
+  });
+
+  it('lets other scripts use robot.ollama.askJson', async () => {
+    room.robot.ollama.schemas.registerSchema('owners', { type: 'object', properties: { owners: { type: 'array', items: { type: 'string' } } } });
+    mockChat('{"owners":["sam","lee"]}', {});
+
+    await expect(room.robot.ollama.askJson('owners', 'Sam and Lee own the billing service')).resolves.toEqual({ owners: ['sam', 'lee'] });
+  });
+
+  it('keeps the schemas of each robot apart', async () => {
+    const other = await helper.createRoom();
+    room.robot.ollama.schemas.registerSchema('owners', { type: 'object' });
+    schemaRegistry.registerSchema('shared', { type: 'object' });
+
+    expect(other.robot.ollama.schemas.getSchema('owners')).toBeNull();
+    expect(other.robot.ollama.schemas.getSchema('shared')).not.toBeNull();
+    expect(schemaRegistry.getSchema('ticket')).toBeNull();
+    other.destroy();
+  });
+
+  it('lists registered schemas', async () => {
+    await room.user.say('alice', 'hubot ollama schemas');
+
+    expect(room.messages[1][1]).toBe([
+      '- `tags`',
+      '- `ticket` - Ticket ID, owner and due date mentioned in the text (fields: ticketId, owner, dueDate)'
+    ].join('\n'));
+  });
+});
@@ -3,17 +3,21 @@ const path = require('path');
 const mockRequire = require('mock-require');
 
 const Helper = require('./helpers/hubot-helper');
+const { createMockTextMessage } = require('./helpers/mock-message');
 
 // Mock Ollama with scripted responses to test intermediate thinking content
 let scriptedResponses = [];
 let callIndex = 0;
+let modelCapabilities = ['tools', 'completion'];
+let chatCalls = [];
 
 class MockOllama {
   constructor() {}
   async show() {
-    return { capabilities: ['tools', 'completion'] };
+    return { capabilities: modelCapabilities };
   }
-  async chat() {
+  async chat(params) {
+    chatCalls.push(params);
     const response = scriptedResponses[callIndex] || { message: { role: 'assistant', content: '' } };
     callIndex++;
     return response;
@@ -28,14 +32,18 @@ MockOllama.__setResponses = (responses) => {
 mockRequire('ollama', { Ollama: MockOllama });
 
 const helper = new Helper(path.join(__dirname, '..', 'src', 'hubot-ollama.js'));
+const slackHelper = new Helper([
+  path.join(__dirname, 'adapters', 'slack.js'),
+  path.join(__dirname, '..', 'src', 'hubot-ollama.js')
+]);
+
+afterAll(() => {
+  mockRequire.stop('ollama');
+});
 
 describe('hubot-ollama intermediate thinking responses', () => {
   let room;
 
-  afterAll(() => {
-    mockRequire.stop('ollama');
-  });
-
   beforeEach(async () => {
     process.env.HUBOT_OLLAMA_TOOLS_ENABLED = 'true';
     room = await helper.createRoom();
@@ -172,3 +180,124 @@ describe('hubot-ollama intermediate thinking responses', () => {
     ]);
   });
 });
+
+describe('hubot-ollama reasoning (thinking) models', () => {
+  let room;
+
+  const createRoom = async (roomHelper = helper) => {
+    room = await roomHelper.createRoom();
+    ['debug', 'info', 'warn', 'warning', 'error'].forEach((method) => {
+      room.robot.logger[method] = vi.fn();
+    });
+  };
+
+  const botMessages = () => room.messages.filter(m => m[0] === 'hubot').map(m => m[1]);
+
+  beforeEach(() => {
+    process.env.HUBOT_OLLAMA_TOOLS_ENABLED = 'false';
+    modelCapabilities = ['completion', 'thinking'];
+    chatCalls = [];
+  });
+
+  afterEach(() => {
+    room.destroy();
+    delete process.env.HUBOT_OLLAMA_TOOLS_ENABLED;
+    delete process.env.HUBOT_OLLAMA_THINKING_DISPLAY;
+    modelCapabilities = ['tools', 'completion'];
+    MockOllama.__setResponses([]);
+  });
+
+  it('passes the think option only to models with the thinking capability', async () => {
+    await createRoom();
+    MockOllama.__setResponses([{ message: { role: 'assistant', content: 'Four.', thinking: '2 + 2 = 4' } }]);
+    await room.user.say('alice', 'hubot ask what is 2 + 2?');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(chatCalls[0].think).toBe(true);
+    room.destroy();
+
+    modelCapabilities = ['completion'];
+    await createRoom();
+    MockOllama.__setResponses([{ message: { role: 'assistant', content: 'Four.' } }]);
+    await room.user.say('alice', 'hubot ask what is 2 + 2?');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(chatCalls[1].think).toBeUndefined();
+  });
+
+  it('strips <think> blocks from the answer and hides reasoning by default', async () => {
+    modelCapabilities = ['completion'];
+    await createRoom();
+    MockOllama.__setResponses([{ message: { role: 'assistant', content: '<think>\nThe user greets me.\n</think>\n\nHello!' } }]);
+
+    await room.user.say('alice', 'hubot ask hi');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    expect(botMessages()).toEqual(['Hello!']);
+  });
+
+  it('does not leak <think> blocks emitted alongside a tool call', async () => {
+    process.env.HUBOT_OLLAMA_TOOLS_ENABLED = 'true';
+    modelCapabilities = ['tools', 'completion'];
+    await createRoom();
+    MockOllama.__setResponses([
+      {
+        message: {
+          role: 'assistant',
+          content: '<think>I should call the clock tool.</think>',
+          tool_calls: [{ function: { name: 'hubot_ollama_get_current_time', arguments: {} } }]
+        }
+      },
+      { message: { role: 'assistant', content: 'It is noon.' } }
+    ]);
+
+    await room.user.say('alice', 'hubot ask what time is it?');
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    expect(botMessages()).toEqual(['It is noon.']);
+  });
+
+  it('shows reasoning inline before the answer when the room asks for it', async () => {
+    await createRoom();
+    await room.user.say('alice', 'hubot ollama thinking inline');
+    expect(botMessages()).toEqual(['Model reasoning in this room will be inline with the answer.']);
+
+    MockOllama.__setResponses([{ message: { role: 'assistant', content: 'Four.', thinking: 'Add two and two.\nThat is four.' } }]);
+    await room.user.say('alice', 'hubot ask what is 2 + 2?');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    expect(botMessages().slice(1)).toEqual([
+      '_Reasoning:_\n> Add two and two.\n> That is four.',
+      'Four.'
+    ]);
+  });
+
+  it('posts reasoning as a Slack thread reply in thread mode', async () => {
+    process.env.HUBOT_OLLAMA_THINKING_DISPLAY = 'thread';
+    await createRoom(slackHelper);
+    MockOllama.__setResponses([{ message: { role: 'assistant', content: 'Four.', thinking: 'Add two and two.' } }]);
+
+    await room.user.say('alice', createMockTextMessage('hubot ask what is 2 + 2?', {
+      rawMessage: { ts: '1716400000.000100' }
+    }));
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    const [answer, reasoning] = botMessages();
+    expect(answer.text).toBe('Four.');
+    expect(answer.thread_ts).toBeUndefined();
+    expect(reasoning.text).toContain('Add two and two.');
+    expect(reasoning.thread_ts).toBe('1716400000.000100');
+  });
+
+  it('reports and resets the room setting', async () => {
+    await createRoom();
+    await room.user.say('alice', 'hubot ollama thinking');
+    await room.user.say('alice', 'hubot ollama thinking hide');
+    await room.user.say('alice', 'hubot ollama thinking reset');
+
+    expect(botMessages()).toEqual([
+      'Model reasoning in this room: `hide` (hidden, default)',
+      'Model reasoning in this room will be hidden.',
+      'Model reasoning in this room reset to the default (`hide`).'
+    ]);
+    expect(room.robot.brain.get('ollamaThinkingDisplay').rooms).toEqual({});
+  });
+});
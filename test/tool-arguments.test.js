@@ -0,0 +1,85 @@
+const nock = require('nock');
+
+const Helper = require('./helpers/hubot-helper');
+
+const helper = new Helper('./../src/hubot-ollama.js');
+
+describe('Tool argument validation', () => {
+  let room;
+  let handler;
+  const OLLAMA_HOST = 'http://127.0.0.1:11434';
+
+  beforeEach(async () => {
+    process.env.HUBOT_OLLAMA_MODEL = 'llama3.2';
+    room = await helper.createRoom();
+    ['debug', 'info', 'warn', 'warning', 'error'].forEach((method) => {
+      room.robot.logger[method] = vi.fn();
+    });
+    handler = vi.fn().mockResolvedValue({ ok: true });
+    room.robot.ollama.tools.registerTool('deploy', {
+      description: 'Deploy a service',
+      parameters: {
+        type: 'object',
+        properties: {
+          service: { type: 'string' },
+          replicas: { type: 'integer', minimum: 1 },
+          environment: { type: 'string', enum: ['staging', 'production'] }
+        },
+        required: ['service', 'environment']
+      },
+      handler
+    });
+    nock.cleanAll();
+    nock(OLLAMA_HOST).post('/api/show').times(5).reply(200, { capabilities: ['completion', 'tools'] });
+  });
+
+  afterEach(() => {
+    room.destroy();
+    nock.cleanAll();
+    delete process.env.HUBOT_OLLAMA_MODEL;
+  });
+
+  // The model calls `deploy` with `args`, then answers; returns the tool message sent back
+  const callDeploy = async (args) => {
+    const bodies = [];
+    nock(OLLAMA_HOST)
+      .post('/api/chat')
+      .reply(200, { message: { role: 'assistant', content: '', tool_calls: [{ function: { name: 'deploy', arguments: args } }] }, done: true });
+    nock(OLLAMA_HOST)
+      .post('/api/chat', (body) => { bodies.push(body); return true; })
+      .reply(200, { message: { role: 'assistant', content: 'Done.' }, done: true });
+
+    await room.user.say('alice', 'hubot ask deploy api');
+    await new Promise((resolve) => setTimeout(resolve, 150));
+
+    const toolResult = bodies[0].messages.map(m => m.content).find(content => content.startsWith('<tool_result name="deploy">'));
+    return JSON.parse(toolResult.replace(/^<tool_result name="deploy">/, '').replace(/<\/tool_result>$/, ''));
+  };
+
+  it('passes coerced arguments to the handler', async () => {
+    const result = await callDeploy({ service: 'api', replicas: '3', environment: 'Staging' });
+
+    expect(result).toEqual({ ok: true });
+    expect(handler).toHaveBeenCalledWith(
+      expect.objectContaining({ service: 'api', replicas: 3, environment: 'staging' }),
+      room.robot,
+      expect.anything()
+    );
+  });
+
+  it('returns the problems to the model instead of running the handler', async () => {
+    const result = await callDeploy({ replicas: 0, environment: 'prod' });
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(result).toEqual({
+      error: 'Invalid arguments for deploy',
+      details: [
+        'arguments.service is required',
+        'arguments.replicas should be >= 1',
+        'arguments.environment should be one of "staging", "production"'
+      ]
+    });
+    expect(room.robot.logger.warn).toHaveBeenCalledWith(expect.stringMatching(/^Invalid arguments for tool 'deploy': arguments\.service is required/));
+    expect(room.messages).toContainEqual(['hubot', 'Done.']);
+  });
+});
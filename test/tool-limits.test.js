@@ -0,0 +1,128 @@
+const nock = require('nock');
+
+const Helper = require('./helpers/hubot-helper');
+
+const helper = new Helper('./../src/hubot-ollama.js');
+
+describe('Declared tool limits', () => {
+  let room;
+  const OLLAMA_HOST = 'http://127.0.0.1:11434';
+
+  beforeEach(async () => {
+    process.env.HUBOT_OLLAMA_MODEL = 'llama3.2';
+    room = await helper.createRoom();
+    ['debug', 'info', 'warn', 'warning', 'error'].forEach((method) => {
+      room.robot.logger[method] = vi.fn();
+    });
+    nock.cleanAll();
+    nock(OLLAMA_HOST).post('/api/show').times(5).reply(200, { capabilities: ['completion', 'tools'] });
+  });
+
+  afterEach(() => {
+    room.destroy();
+    nock.cleanAll();
+    delete process.env.HUBOT_OLLAMA_MODEL;
+  });
+
+  const toolTurn = names => ({
+    message: { role: 'assistant', content: '', tool_calls: names.map(name => ({ function: { name, arguments: {} } })) },
+    done: true
+  });
+
+  // The model answers with `turns` in order; returns the request bodies
+  const converse = async (turns) => {
+    const bodies = [];
+    turns.forEach((turn) => {
+      nock(OLLAMA_HOST)
+        .post('/api/chat', (body) => { bodies.push(body); return true; })
+        .reply(200, turn);
+    });
+    await room.user.say('alice', 'hubot ask check the queue');
+    await new Promise((resolve) => setTimeout(resolve, 250));
+    return bodies;
+  };
+
+  const toolResultsIn = body => body.messages.map(m => m.content).filter(content => content.startsWith('<tool_result'));
+
+  it('enforces maxCallsPerInteraction', async () => {
+    const handler = vi.fn().mockResolvedValue({ depth: 3 });
+    room.robot.ollama.tools.registerTool('queue_depth', { description: 'Queue depth', handler, maxCallsPerInteraction: 1 });
+
+    const bodies = await converse([
+      toolTurn(['queue_depth', 'queue_depth']),
+      { message: { role: 'assistant', content: 'Depth is 3.' }, done: true }
+    ]);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(toolResultsIn(bodies[1])).toEqual([
+      '<tool_result name="queue_depth">{"depth":3}</tool_result>',
+      '<tool_result name="queue_depth">{"error":"Tool call limit reached for queue_depth"}</tool_result>'
+    ]);
+    expect(room.messages).toContainEqual(['hubot', 'Depth is 3.']);
+  });
+
+  it('lets web search run again within its declared limit', async () => {
+    const handler = vi.fn().mockResolvedValue({ results: [{ title: 'Queue docs' }] });
+    room.robot.ollama.tools.registerTool('hubot_ollama_web_search', { description: 'Search the web', handler, maxCallsPerInteraction: 2 });
+
+    const bodies = await converse([
+      toolTurn(['hubot_ollama_web_search']),
+      toolTurn(['hubot_ollama_web_search']),
+      toolTurn(['hubot_ollama_web_search']),
+      { message: { role: 'assistant', content: 'Found the docs.' }, done: true }
+    ]);
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(toolResultsIn(bodies[3]).at(-1)).toBe('<tool_result name="hubot_ollama_web_search">{"error":"Tool call limit reached for hubot_ollama_web_search"}</tool_result>');
+    expect(room.messages).toContainEqual(['hubot', 'Found the docs.']);
+  });
+
+  it('gives up on a tool after its timeoutMs', async () => {
+    room.robot.ollama.tools.registerTool('queue_depth', {
+      description: 'Queue depth',
+      timeoutMs: 20,
+      handler: () => new Promise((resolve) => setTimeout(() => resolve({ depth: 3 }), 150))
+    });
+
+    const bodies = await converse([
+      toolTurn(['queue_depth']),
+      { message: { role: 'assistant', content: 'The queue did not answer.' }, done: true }
+    ]);
+
+    expect(toolResultsIn(bodies[1])).toEqual(['<tool_result name="queue_depth">{"error":"Tool queue_depth timed out after 20 ms"}</tool_result>']);
+    expect(room.messages).toContainEqual(['hubot', 'The queue did not answer.']);
+  });
+
+  it('does not start a call of a tool that is not parallel-safe while a timed-out call still runs', async () => {
+    let running = 0;
+    let mostRunning = 0;
+    const handler = vi.fn(async () => {
+      running++;
+      mostRunning = Math.max(mostRunning, running);
+      await new Promise((resolve) => setTimeout(resolve, 80));
+      running--;
+      return { flushed: true };
+    });
+    room.robot.ollama.tools.registerTool('flush_queue', { description: 'Flush the queue', timeoutMs: 20, parallelSafe: false, handler });
+
+    const bodies = await converse([toolTurn(['flush_queue']), toolTurn(['flush_queue'])]);
+
+    expect(toolResultsIn(bodies[1])).toEqual(['<tool_result name="flush_queue">{"error":"Tool flush_queue timed out after 20 ms"}</tool_result>']);
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(mostRunning).toBe(1);
+  });
+
+  it('uses isEmptyResult to stop a loop of useless calls', async () => {
+    const handler = vi.fn().mockResolvedValue({ items: [] });
+    room.robot.ollama.tools.registerTool('queue_items', {
+      description: 'Queue items',
+      handler,
+      isEmptyResult: result => result.items.length === 0
+    });
+
+    await converse([toolTurn(['queue_items']), toolTurn(['queue_items']), toolTurn(['queue_items'])]);
+
+    expect(handler).toHaveBeenCalledTimes(2);
+    expect(room.messages[room.messages.length - 1][1]).toMatch(/^I tried using tools but did not get useful results/);
+  });
+});
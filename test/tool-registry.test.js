@@ -1,5 +1,9 @@
 const registry = require('../src/tool-registry');
 
+const Helper = require('./helpers/hubot-helper');
+
+const { createToolRegistry } = registry;
+
 describe('Tool Registry', () => {
   beforeEach(() => {
     // Clear tools between tests, preserving built-in time tool
@@ -358,6 +362,23 @@ describe('Tool Registry', () => {
       }).toThrow();
     });
 
+    it('should validate declared limits', () => {
+      const handler = async () => ({});
+
+      expect(() => registry.registerTool('bad_limit', { description: 'x', handler, maxCallsPerInteraction: 0 }))
+        .toThrow('Tool "bad_limit" maxCallsPerInteraction must be a positive integer');
+      expect(() => registry.registerTool('bad_timeout', { description: 'x', handler, timeoutMs: '5s' }))
+        .toThrow('Tool "bad_timeout" timeoutMs must be a positive number');
+      expect(() => registry.registerTool('bad_hook', { description: 'x', handler, isEmptyResult: true }))
+        .toThrow('Tool "bad_hook" isEmptyResult must be a function');
+
+      registry.registerTool('limited', { description: 'x', handler, maxCallsPerInteraction: 2, timeoutMs: 500, isEmptyResult: () => false });
+      expect(registry.getTools().limited).toMatchObject({ maxCallsPerInteraction: 2, timeoutMs: 500 });
+
+      registry.registerTool('serial', { description: 'x', handler, timeoutMs: 500, parallelSafe: false });
+      expect(registry.getTools().serial).toMatchObject({ timeoutMs: 500, parallelSafe: false });
+    });
+
     it('should allow tools to override built-in tools', () => {
       // Override the time tool with a custom one
       const customTool = {
@@ -437,3 +458,114 @@ describe('Tool Registry', () => {
     });
   });
 });
+
+describe('createToolRegistry', () => {
+  const tool = (description) => ({ description, parameters: {}, handler: async () => ({ ok: true }) });
+
+  afterEach(() => {
+    registry.clearTools();
+  });
+
+  it('keeps the tools of separate registries apart', () => {
+    const first = createToolRegistry();
+    const second = createToolRegistry();
+
+    first.registerTool('deploy', tool('Deploy'));
+
+    expect(first.hasTool('deploy')).toBe(true);
+    expect(second.hasTool('deploy')).toBe(false);
+    expect(second.getTools()).toEqual({});
+  });
+
+  it('unregisters tools', () => {
+    const tools = createToolRegistry();
+    tools.registerTool('deploy', tool('Deploy'));
+
+    expect(tools.unregisterTool('deploy')).toBe(true);
+    expect(tools.hasTool('deploy')).toBe(false);
+    expect(tools.unregisterTool('deploy')).toBe(false);
+  });
+
+  it('restores its builtins on clearTools', () => {
+    const tools = createToolRegistry({ builtins: { clock: tool('Clock') } });
+    tools.registerTool('deploy', tool('Deploy'));
+    tools.unregisterTool('clock');
+
+    tools.clearTools();
+
+    expect(Object.keys(tools.getTools())).toEqual(['clock']);
+  });
+
+  it('emits change events', () => {
+    const tools = createToolRegistry();
+    const listener = vi.fn();
+    tools.on('change', listener);
+
+    tools.registerTool('deploy', tool('Deploy'));
+    tools.unregisterTool('deploy');
+    tools.unregisterTool('deploy');
+    tools.clearTools();
+    tools.off('change', listener);
+    tools.registerTool('deploy', tool('Deploy'));
+
+    expect(listener.mock.calls.map(([event]) => event)).toEqual([
+      { type: 'register', name: 'deploy' },
+      { type: 'unregister', name: 'deploy' },
+      { type: 'clear' }
+    ]);
+  });
+
+  it('offers inherited tools unless it replaces or unregisters them', () => {
+    const tools = createToolRegistry({ inherit: registry });
+    registry.registerTool('legacy', tool('Legacy'));
+
+    expect(tools.hasTool('legacy')).toBe(true);
+    expect(tools.hasTool('hubot_ollama_get_current_time')).toBe(true);
+
+    tools.registerTool('legacy', tool('Replaced'));
+    expect(tools.getTools().legacy.description).toBe('Replaced');
+    expect(registry.getTools().legacy.description).toBe('Legacy');
+
+    expect(tools.unregisterTool('legacy')).toBe(true);
+    expect(tools.hasTool('legacy')).toBe(false);
+    expect(registry.hasTool('legacy')).toBe(true);
+
+    tools.clearTools();
+    expect(tools.hasTool('legacy')).toBe(true);
+  });
+});
+
+describe('robot.ollama.tools', () => {
+  const helper = new Helper('./../src/hubot-ollama.js');
+  const rooms = [];
+
+  const createRoom = async () => {
+    const room = await helper.createRoom();
+    ['debug', 'info', 'warn', 'warning', 'error'].forEach((method) => {
+      room.robot.logger[method] = vi.fn();
+    });
+    rooms.push(room);
+    return room;
+  };
+
+  afterEach(() => {
+    rooms.splice(0).forEach(room => room.destroy());
+  });
+
+  it('gives each robot its own registry', async () => {
+    const first = await createRoom();
+    const second = await createRoom();
+
+    first.robot.ollama.tools.registerTool('deploy', {
+      description: 'Deploy',
+      parameters: {},
+      handler: async () => ({ ok: true })
+    });
+
+    expect(first.robot.ollama.tools.hasTool('deploy')).toBe(true);
+    expect(second.robot.ollama.tools.hasTool('deploy')).toBe(false);
+    expect(registry.hasTool('deploy')).toBe(false);
+    expect(first.robot.ollama.tools.hasTool('hubot_ollama_help')).toBe(true);
+    expect(first.robot.ollama.tools.hasTool('hubot_ollama_get_current_time')).toBe(true);
+  });
+});
@@ -0,0 +1,152 @@
+const nock = require('nock');
+
+const { filterToolsForRoom, parseToolRules } = require('../src/utils/tool-policy');
+
+const Helper = require('./helpers/hubot-helper');
+
+const helper = new Helper('./../src/hubot-ollama.js');
+
+describe('tool-policy', () => {
+  const tools = {
+    hubot_ollama_help: {},
+    hubot_ollama_run_command: {},
+    hubot_ollama_web_search: {},
+    hubot_ollama_web_fetch: {}
+  };
+
+  it('lets the room rule decide before the default rule', () => {
+    const defaultRule = { deny: ['hubot_ollama_run_command'] };
+
+    expect(Object.keys(filterToolsForRoom(tools, null, defaultRule))).toEqual(['hubot_ollama_help', 'hubot_ollama_web_search', 'hubot_ollama_web_fetch']);
+    expect(Object.keys(filterToolsForRoom(tools, { allow: ['*'] }, defaultRule))).toEqual(Object.keys(tools));
+    expect(Object.keys(filterToolsForRoom(tools, { allow: ['hubot_ollama_help'] }, defaultRule))).toEqual(['hubot_ollama_help']);
+  });
+
+  it('matches names ending in * as prefixes', () => {
+    expect(Object.keys(filterToolsForRoom(tools, { deny: ['hubot_ollama_web_*'] }, null))).toEqual(['hubot_ollama_help', 'hubot_ollama_run_command']);
+  });
+
+  it('offers everything without rules', () => {
+    expect(filterToolsForRoom(tools, null, null)).toBe(tools);
+  });
+
+  it('parses and validates HUBOT_OLLAMA_ROOM_TOOLS', () => {
+    const logger = { error: vi.fn(), warning: vi.fn() };
+
+    expect(parseToolRules('{"*":{"deny":["a"]},"ops":{"allow":[" b ",""]},"bad":["c"]}', logger)).toEqual({
+      '*': { deny: ['a'] },
+      ops: { allow: ['b'] }
+    });
+    expect(logger.warning).toHaveBeenCalledWith(expect.stringMatching(/^Ignoring HUBOT_OLLAMA_ROOM_TOOLS entry for bad/));
+
+    expect(parseToolRules('{not json', logger)).toEqual({});
+    expect(logger.error).toHaveBeenCalledWith(expect.stringMatching(/^HUBOT_OLLAMA_ROOM_TOOLS is not valid JSON/));
+    expect(parseToolRules(undefined, logger)).toEqual({});
+  });
+});
+
+describe('Per-room tools', () => {
+  let room;
+  const OLLAMA_HOST = 'http://127.0.0.1:11434';
+
+  const startRoom = async () => {
+    room = await helper.createRoom();
+    ['debug', 'info', 'warn', 'warning', 'error'].forEach((method) => {
+      room.robot.logger[method] = vi.fn();
+    });
+  };
+
+  beforeEach(() => {
+    process.env.HUBOT_OLLAMA_MODEL = 'llama3.2';
+    process.env.HUBOT_OLLAMA_COMMAND_TOOL_ENABLED = 'true';
+    nock.cleanAll();
+    nock(OLLAMA_HOST).post('/api/show').times(5).reply(200, { capabilities: ['completion', 'tools'] });
+  });
+
+  afterEach(() => {
+    room.destroy();
+    nock.cleanAll();
+    delete process.env.HUBOT_OLLAMA_MODEL;
+    delete process.env.HUBOT_OLLAMA_COMMAND_TOOL_ENABLED;
+    delete process.env.HUBOT_OLLAMA_ROOM_TOOLS;
+  });
+
+  const askForToolNames = async (prompt = 'hubot ask what now?') => {
+    const bodies = [];
+    nock(OLLAMA_HOST)
+      .post('/api/chat', (body) => { bodies.push(body); return true; })
+      .reply(200, { message: { role: 'assistant', content: 'ok' }, done: true });
+    await room.user.say('alice', prompt);
+    await new Promise((resolve) => setTimeout(resolve, 150));
+    return bodies[0].tools.map(t => t.function.name);
+  };
+
+  it('offers only the tools HUBOT_OLLAMA_ROOM_TOOLS allows in the room', async () => {
+    process.env.HUBOT_OLLAMA_ROOM_TOOLS = JSON.stringify({ '*': { deny: ['hubot_ollama_run_command'] } });
+    await startRoom();
+
+    const names = await askForToolNames();
+
+    expect(names).toContain('hubot_ollama_help');
+    expect(names).not.toContain('hubot_ollama_run_command');
+  });
+
+  it('lets a room rule override the default rule', async () => {
+    process.env.HUBOT_OLLAMA_ROOM_TOOLS = JSON.stringify({
+      '*': { deny: ['hubot_ollama_run_command'] },
+      room1: { allow: ['*'] }
+    });
+    await startRoom();
+
+    expect(await askForToolNames()).toContain('hubot_ollama_run_command');
+  });
+
+  it('sets, shows and resets a room rule with ollama tools', async () => {
+    await startRoom();
+
+    await room.user.say('alice', 'hubot ollama tools allow hubot_ollama_help, hubot_ollama_get_current_time');
+    expect(room.messages[1]).toEqual(['hubot', 'Tools offered in this room: hubot_ollama_get_current_time, hubot_ollama_help']);
+    expect(room.robot.brain.get('ollamaToolRules').rooms.room1).toEqual({ allow: ['hubot_ollama_help', 'hubot_ollama_get_current_time'] });
+
+    await room.user.say('alice', 'hubot ollama tools');
+    expect(room.messages[3][1]).toMatch(/^Tools offered in this room: hubot_ollama_get_current_time, hubot_ollama_help\nNot offered here: .*hubot_ollama_run_command.*\nRule: set with `hubot ollama tools allow\|deny`\.$/);
+
+    expect(await askForToolNames()).toEqual(['hubot_ollama_get_current_time', 'hubot_ollama_help']);
+
+    await room.user.say('alice', 'hubot ollama tools reset');
+    expect(room.messages[room.messages.length - 1][1]).toMatch(/^This room is back to the configured tools: .*hubot_ollama_run_command/);
+  });
+
+  it('rejects unknown tool names', async () => {
+    await startRoom();
+
+    await room.user.say('alice', 'hubot ollama tools deny no_such_tool');
+
+    expect(room.messages[1][1]).toMatch(/^Unknown tool\(s\): no_such_tool\. Available tools: /);
+    expect(room.robot.brain.get('ollamaToolRules')).toBeNull();
+  });
+
+  it('is limited to admins when hubot-auth is loaded', async () => {
+    await startRoom();
+    room.robot.auth = { isAdmin: (user) => user.name === 'admin' };
+
+    await room.user.say('alice', 'hubot ollama tools deny hubot_ollama_web_*');
+    expect(room.messages[1]).toEqual(['hubot', 'Only admins can change the tools of a room.']);
+
+    await room.user.say('admin', 'hubot ollama tools deny hubot_ollama_web_*');
+    expect(room.robot.brain.get('ollamaToolRules').rooms.room1).toEqual({ deny: ['hubot_ollama_web_*'] });
+  });
+
+  it('refuses --web when the room does not offer web search', async () => {
+    process.env.HUBOT_OLLAMA_ROOM_TOOLS = JSON.stringify({ room1: { deny: ['hubot_ollama_web_*'] } });
+    await startRoom();
+    room.robot.ollama.tools.registerTool('hubot_ollama_web_search', {
+      description: 'Search the web',
+      handler: async () => ({})
+    });
+
+    await room.user.say('alice', 'hubot ask --web latest node release');
+
+    expect(room.messages[1][1]).toMatch(/^--web needs web search, which is turned off in this room\./);
+  });
+});
@@ -0,0 +1,173 @@
+const { chunkText, renderJson, renderMarkdown } = require('../src/utils/transcript');
+
+const Helper = require('./helpers/hubot-helper');
+
+const EXPORTED_AT = Date.UTC(2026, 0, 2, 3, 4, 5);
+
+const source = (overrides = {}) => ({
+  contextKey: 'room1:alice',
+  scope: 'room-user',
+  botName: 'hubot',
+  userName: 'alice',
+  summary: 'Alice is debugging DNS.',
+  history: [
+    { user: 'which resolver?', assistant: 'Check /etc/resolv.conf.' },
+    { user: 'and then?', assistant: 'Run dig.', userDisplayName: 'Bob (@bob)' }
+  ],
+  memories: { resolver: { summary: 'Uses 10.0.0.2', content: 'The office resolver is 10.0.0.2', createdAt: EXPORTED_AT, updatedAt: EXPORTED_AT } },
+  lastUpdated: EXPORTED_AT - 1000,
+  exportedAt: EXPORTED_AT,
+  ...overrides
+});
+
+describe('transcript', () => {
+  it('renders Markdown with summary, turns and memories', () => {
+    const markdown = renderMarkdown(source());
+
+    expect(markdown).toContain('- Context key: `room1:alice` (scope: room-user)\n- Exported: 2026-01-02T03:04:05.000Z');
+    expect(markdown).toContain('## Summary of earlier turns\n\nAlice is debugging DNS.');
+    expect(markdown).toContain('**alice:**\n\nwhich resolver?\n\n**hubot:**\n\nCheck /etc/resolv.conf.');
+    expect(markdown).toContain('**Bob (@bob):**\n\nand then?');
+    expect(markdown).toContain('## Memories\n\n### resolver\n\n_Uses 10.0.0.2_\n\nThe office resolver is 10.0.0.2\n');
+  });
+
+  it('leaves out empty sections', () => {
+    const markdown = renderMarkdown(source({ summary: null, history: [], memories: {} }));
+
+    expect(markdown).not.toContain('## Summary');
+    expect(markdown).not.toContain('## Memories');
+    expect(markdown).toContain('_No turns stored._');
+  });
+
+  it('renders JSON', () => {
+    expect(JSON.parse(renderJson(source()))).toEqual({
+      contextKey: 'room1:alice',
+      scope: 'room-user',
+      exportedAt: '2026-01-02T03:04:05.000Z',
+      lastUpdated: '2026-01-02T03:04:04.000Z',
+      summary: 'Alice is debugging DNS.',
+      turns: [
+        { user: 'alice', prompt: 'which resolver?', response: 'Check /etc/resolv.conf.' },
+        { user: 'Bob (@bob)', prompt: 'and then?', response: 'Run dig.' }
+      ],
+      memories: [
+        { key: 'resolver', summary: 'Uses 10.0.0.2', content: 'The office resolver is 10.0.0.2', createdAt: '2026-01-02T03:04:05.000Z', updatedAt: '2026-01-02T03:04:05.000Z' }
+      ]
+    });
+  });
+
+  it('chunks at line breaks and splits overlong lines', () => {
+    expect(chunkText('aaa\nbbb\nccc\n', 8)).toEqual(['aaa\nbbb', 'ccc']);
+    expect(chunkText('abcdefghij\nk', 4)).toEqual(['abcd', 'efgh', 'ij\nk']);
+    expect(chunkText('short', 100)).toEqual(['short']);
+  });
+});
+
+describe('ollama export', () => {
+  const helper = new Helper('./../src/hubot-ollama.js');
+  let room;
+
+  beforeEach(async () => {
+    process.env.HUBOT_OLLAMA_MODEL = 'llama3.2';
+    room = await helper.createRoom();
+    ['debug', 'info', 'warn', 'warning', 'error'].forEach((method) => {
+      room.robot.logger[method] = vi.fn();
+    });
+  });
+
+  afterEach(() => {
+    room.destroy();
+    delete process.env.HUBOT_OLLAMA_MODEL;
+  });
+
+  const storeConversation = () => {
+    room.robot.brain.set('ollamaContexts', {
+      'room1:alice': {
+        history: [{ user: 'which resolver?', assistant: 'Check /etc/resolv.conf.' }],
+        summary: 'Alice is debugging DNS.',
+        summarizedUntil: 1,
+        lastUpdated: Date.now()
+      }
+    });
+    room.robot.brain.set('ollamaMemory', {
+      'room1:alice': { resolver: { summary: 'Uses 10.0.0.2', content: 'The office resolver is 10.0.0.2', createdAt: 1, updatedAt: 1, lastAccessedAt: 1 } },
+      'room1:bob': { secret: { summary: 'Not yours', content: 'Not yours', createdAt: 1, updatedAt: 1, lastAccessedAt: 1 } }
+    });
+  };
+
+  it('sends the transcript as text on adapters without file uploads', async () => {
+    storeConversation();
+
+    await room.user.say('alice', 'hubot ollama export');
+
+    expect(room.messages[1]).toEqual(['hubot', 'Conversation transcript (1 turn):']);
+    const transcript = room.messages.slice(2).map(([, text]) => text).join('\n');
+    expect(transcript).toContain('# Conversation transcript');
+    expect(transcript).toContain('**alice:**\n\nwhich resolver?');
+    expect(transcript).toContain('### resolver');
+    expect(transcript).not.toContain('Not yours');
+  });
+
+  it('exports JSON', async () => {
+    storeConversation();
+
+    await room.user.say('alice', 'hubot ollama export json');
+
+    const exported = JSON.parse(room.messages.slice(2).map(([, text]) => text).join('\n'));
+    expect(exported.turns).toEqual([{ user: 'alice', prompt: 'which resolver?', response: 'Check /etc/resolv.conf.' }]);
+    expect(exported.memories.map(m => m.key)).toEqual(['resolver']);
+  });
+
+  it('says so when there is nothing to export', async () => {
+    await room.user.say('alice', 'hubot ollama export');
+
+    expect(room.messages[1]).toEqual(['hubot', 'There is no conversation to export yet.']);
+  });
+});
+
+describe('ollama export on Slack', () => {
+  const slackHelper = new Helper([
+    './adapters/slack.js',
+    './../src/hubot-ollama.js'
+  ]);
+  let room;
+
+  beforeEach(async () => {
+    room = await slackHelper.createRoom();
+    ['debug', 'info', 'warn', 'warning', 'error'].forEach((method) => {
+      room.robot.logger[method] = vi.fn();
+    });
+    room.robot.brain.set('ollamaContexts', {
+      'room1:alice': { history: [{ user: 'which resolver?', assistant: 'Check /etc/resolv.conf.' }], summary: null, summarizedUntil: null, lastUpdated: Date.now() }
+    });
+  });
+
+  afterEach(() => {
+    room.destroy();
+  });
+
+  it('uploads the transcript as a file', async () => {
+    const uploadV2 = vi.fn().mockResolvedValue({ ok: true });
+    room.robot.adapter.client = { web: { files: { uploadV2 } } };
+
+    await room.user.say('alice', 'hubot ollama export json');
+
+    expect(uploadV2).toHaveBeenCalledWith(expect.objectContaining({
+      channel_id: 'room1',
+      filename: expect.stringMatching(/^transcript-\d{4}-\d{2}-\d{2}\.json$/),
+      title: 'Conversation transcript (1 turn)',
+      content: expect.stringContaining('"prompt": "which resolver?"')
+    }));
+    expect(room.messages).toHaveLength(1);
+  });
+
+  it('falls back to text when the upload fails', async () => {
+    room.robot.adapter.client = { web: { files: { uploadV2: vi.fn().mockRejectedValue(new Error('missing_scope')) } } };
+
+    await room.user.say('alice', 'hubot ollama export');
+
+    expect(room.robot.logger.warn).toHaveBeenCalledWith('Transcript upload failed, sending it as text: missing_scope');
+    expect(room.messages[1][1].text).toBe('Conversation transcript (1 turn):');
+    expect(room.messages[2][1]).toContain('which resolver?');
+  });
+});